@@ -1,66 +1,29 @@
 /**
  * WARREN Extension - Background Service Worker
  *
- * Minimal logic: omnibox handling + visit history.
- * All heavy RPC work is done in viewer page.
+ * Gateway redirect rules, omnibox handling, visit history and the container
+ * virtual origin (lib/container-server.js). All other RPC work is done in
+ * viewer page.
  */
 
-const EXT_VIEWER = chrome.runtime.getURL("viewer/viewer.html");
-
-const REDIRECT_RULES = [
-  {
-    id: 1000,
-    priority: 1,
-    action: {
-      type: "redirect",
-      redirect: {
-        regexSubstitution: `${EXT_VIEWER}?site=\\1&source=redirect`,
-      },
-    },
-    condition: {
-      regexFilter: "^https?://([a-z0-9][a-z0-9-]*[a-z0-9])\\.thewarren\\.app(/.*)?$",
-      resourceTypes: ["main_frame"],
-      excludedInitiatorDomains: ["thewarren.app"],
-    },
-  },
-  {
-    id: 1001,
-    priority: 1,
-    action: {
-      type: "redirect",
-      redirect: {
-        regexSubstitution: `${EXT_VIEWER}?site=\\1&source=redirect`,
-      },
-    },
-    condition: {
-      regexFilter: "^https?://([a-z0-9][a-z0-9-]*[a-z0-9])\\.megawarren\\.xyz(/.*)?$",
-      resourceTypes: ["main_frame"],
-      excludedInitiatorDomains: ["megawarren.xyz"],
-    },
-  },
-  {
-    id: 1002,
-    priority: 2,
-    action: {
-      type: "redirect",
-      redirect: {
-        regexSubstitution: `${EXT_VIEWER}?mega=\\1.mega&source=redirect`,
-      },
-    },
-    condition: {
-      regexFilter: "^https?://([a-z0-9][a-z0-9-]*[a-z0-9])\\.mega\\.thewarren\\.app(/.*)?$",
-      resourceTypes: ["main_frame"],
-      excludedInitiatorDomains: ["thewarren.app"],
-    },
-  },
-];
-
-chrome.runtime.onInstalled.addListener(async () => {
-  const existing = await chrome.declarativeNetRequest.getDynamicRules();
-  await chrome.declarativeNetRequest.updateDynamicRules({
-    removeRuleIds: existing.map((rule) => rule.id),
-    addRules: REDIRECT_RULES,
-  });
+import {
+  CONTAINER_PREFIX,
+  handleContainerRequest,
+  rebaseOnContainer,
+  serveContainer,
+} from "./lib/container-server.js";
+import { applyRedirectRules, REDIRECT_DOMAINS_KEY } from "./lib/redirect-rules.js";
+
+// Gateway subdomain redirects (lib/redirect-rules.js): rebuilt on install
+// and update, and whenever the options page changes the domain list
+chrome.runtime.onInstalled.addListener(() => {
+  applyRedirectRules().catch((err) => console.error("[background] Failed to set redirect rules:", err));
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && REDIRECT_DOMAINS_KEY in changes) {
+    applyRedirectRules().catch((err) => console.error("[background] Failed to set redirect rules:", err));
+  }
 });
 
 // Omnibox: "w mysite" → open viewer
@@ -108,13 +71,42 @@ chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
   suggest(suggestions);
 });
 
-// Listen for visit events from viewer
-chrome.runtime.onMessage.addListener((message) => {
+// Listen for visit events and container opens from viewer
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === "SITE_VISITED") {
     saveToHistory(message.value, message.accessType);
+  } else if (message.type === "CONTAINER_OPEN") {
+    serveContainer(message.containerId, { blockTag: message.blockTag, bypassCache: message.bypassCache }).then(
+      (container) => sendResponse({ ok: true, fileCount: container.files.length }),
+      (err) => sendResponse({ ok: false, error: err.message })
+    );
+    return true; // respond asynchronously
   }
 });
 
+// Container virtual origin: chrome-extension://<id>/c/<containerId>/<path>
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith(CONTAINER_PREFIX)) {
+    event.respondWith(handleContainerRequest(event.request));
+  } else if (event.clientId) {
+    event.respondWith(routeSubresource(event));
+  }
+});
+
+// A subresource outside /c/: container pages' root-relative URLs go back
+// into their container, everything else is an ordinary extension file
+async function routeSubresource(event) {
+  const client = await self.clients.get(event.clientId);
+  const rebased = client && rebaseOnContainer(event.request.url, client.url);
+  if (rebased) {
+    return handleContainerRequest(new Request(rebased, { method: event.request.method, headers: event.request.headers }));
+  }
+  return fetch(event.request);
+}
+
 async function saveToHistory(value, type) {
   const { visitHistory = [] } = await chrome.storage.local.get("visitHistory");
 
@@ -1,22 +1,38 @@
 /**
  * WARREN Extension Configuration
+ *
+ * Network, contract and RPC pool settings live in the SDK's config
+ * (sdk/config.js); the extension's own settings are added to that object,
+ * so both halves are read as one CONFIG.
  */
 
-export const CONFIG = {
-  // MegaETH Mainnet
-  RPC_URL: "https://mainnet.megaeth.com/rpc",
-  CHAIN_ID: 4326,
+import { CONFIG } from "../sdk/config.js";
 
+Object.assign(CONFIG, {
   // Contract addresses (update after deployment)
   DNS_CONTRACT: "0x3f9EaD44f51690b18bd491Fc5A04786121f20D5b",           // WarrenDNS address
-  MASTER_NFT_ADDRESS: "0xf299F428Efe1907618360F3c6D16dF0F2Bf8ceFC",     // MasterNFT registry (V2)
-  WARREN_CONTAINER_ADDRESS: "0xeF7d9452a7366d36238c10114CBbE62C0EBf70c3", // WarrenContainer (V3)
 
-  // Multicall3 (universal address)
-  MULTICALL3_ADDRESS: "0xcA11bde05977b3631167028862bE2a173976CA11",
+  // Containers: serve HTML sites from the background worker at
+  // chrome-extension://<id>/c/<containerId>/ instead of the sandbox bridge.
+  // Experimental: their assets only load if the worker controls these
+  // sandboxed pages, and the viewer falls back to the bridge when it doesn't
+  CONTAINER_VIRTUAL_ORIGIN: false,
 
-  // Batch settings
-  BATCH_SIZE: 100,
+  // Containers: serve /index.html for paths that match no file (single-page apps)
+  CONTAINER_SPA_FALLBACK: false,
+
+  // Containers: read every file in the background after the entry file
+  // renders (otherwise files load when the page asks for them)
+  CONTAINER_PREFETCH: false,
+
+  // Gateway domains whose subdomains open in the viewer: "site" names
+  // resolve through WarrenDNS, "mega" names as <name>.mega. These are the
+  // defaults; the options page adds domains and switches them off.
+  REDIRECT_DOMAINS: [
+    { domain: "thewarren.app", type: "site" },
+    { domain: "megawarren.xyz", type: "site" },
+    { domain: "mega.thewarren.app", type: "mega" },
+  ],
 
   // Gateway API (for fallback)
   GATEWAY_API: "https://thewarren.app/api/dns/resolve",
@@ -24,8 +40,9 @@ export const CONFIG = {
 
   // Timeouts
   API_TIMEOUT_MS: 5000,
-  RPC_TIMEOUT_MS: 10000,
 
   // MegaNames
   MEGANAMES_ADDRESS: "0x5B424C6CCba77b32b9625a6fd5A30D409d20d997",
-};
+});
+
+export { CONFIG };
@@ -0,0 +1,262 @@
+/**
+ * WARREN Container Server
+ *
+ * Serves WarrenContainer files from the background service worker under a
+ * virtual origin inside the extension:
+ *
+ *   chrome-extension://<id>/c/<containerId>/<path>
+ *
+ * A container page loaded from one of these URLs resolves relative links,
+ * ES modules, fonts, CSS url(), srcset and media the way it would on a normal
+ * web server; every request is answered here from the container's file list
+ * with the file's MIME type and a real status code (200, 206, 404, 416, 502).
+ * Paths go through the container router (sdk/container-router.js): clean
+ * URLs, directory indexes, /_redirects and /404.html.
+ *
+ * Containers are opened once per worker lifetime (or per viewer load, which
+ * pins the block they're read at) and files are read on demand.
+ */
+
+import { openContainer } from "../sdk/site-loader.js";
+import { createContainerRouter, resolveLocation } from "../sdk/container-router.js";
+import { CONFIG } from "./config.js";
+import { loadRpcSettings } from "./rpc-settings.js";
+
+export const CONTAINER_PREFIX = "/c/";
+
+// Every response is served sandboxed: an opaque origin with no chrome.*
+// access (the same treatment the manifest gives viewer/sandbox.html). It
+// goes on all of them, not just HTML, since a browser may still render a
+// document whose Content-Type differs from the one listed for its path.
+const SANDBOX_CSP = "sandbox allow-scripts allow-forms allow-popups allow-modals allow-downloads";
+
+// Added to HTML pages: the viewer can't read a sandboxed frame's location,
+// so pages post it on load and on history changes (viewer.js keeps ?path=
+// in step with it). It is a script the page fetches from here rather than
+// an inline one, so a report also shows that this worker answers the page's
+// own requests; the viewer falls back to the sandbox bridge without one.
+const LOCATION_REPORTER_PATH = "/c/location.js";
+const LOCATION_REPORTER_TAG = `<script src="${LOCATION_REPORTER_PATH}"></script>`;
+const LOCATION_REPORTER = "(function () { var report = function () { parent.postMessage({ type: \"CONTAINER_LOCATION\", href: location.href }, \"*\"); }; report(); addEventListener(\"popstate\", report); addEventListener(\"hashchange\", report); })();\n";
+
+const containers = new Map(); // containerId -> { blockTag, promise, router }
+
+/**
+ * URL of a container file on the virtual origin
+ */
+export function containerFileUrl(containerId, path = "/") {
+  const encoded = path.split("/").map(encodeURIComponent).join("/");
+  return chrome.runtime.getURL(`c/${containerId}${encoded}`);
+}
+
+/**
+ * Split a virtual-origin URL into { containerId, path }, or null when the
+ * URL isn't one
+ */
+export function parseContainerUrl(url) {
+  const { pathname } = new URL(url);
+  const match = /^\/c\/(\d+)(\/.*)?$/.exec(pathname);
+  if (!match) return null;
+
+  let path = match[2] || "/";
+  try {
+    path = decodeURIComponent(path);
+  } catch {
+    // keep the raw path; it simply won't match a file
+  }
+  return { containerId: match[1], path };
+}
+
+/**
+ * Root-relative URLs ("/style.css") requested by a container page resolve
+ * against the extension origin; map them back into the page's container.
+ * Returns the virtual-origin URL, or null if `clientUrl` isn't a container page.
+ */
+export function rebaseOnContainer(url, clientUrl) {
+  const client = parseContainerUrl(clientUrl);
+  if (!client) return null;
+  const { pathname, search } = new URL(url);
+  return chrome.runtime.getURL(`c/${client.containerId}${pathname}${search}`);
+}
+
+/**
+ * Open `containerId` for serving, pinned to `blockTag`. Called by the viewer
+ * before it points an iframe at the container, so pages are served from the
+ * same block the viewer listed.
+ */
+export function serveContainer(containerId, options = {}) {
+  const key = String(containerId);
+  const { blockTag = "latest" } = options;
+  const entry = containers.get(key);
+  if (entry && entry.blockTag === blockTag) return entry.promise;
+
+  const promise = loadRpcSettings().then(() => openContainer(
+    CONFIG.WARREN_CONTAINER_ADDRESS,
+    BigInt(key),
+    CONFIG.RPC_URL,
+    null,
+    options
+  ));
+  const router = promise.then(container =>
+    createContainerRouter(container, { spa: CONFIG.CONTAINER_SPA_FALLBACK })
+  );
+  router.catch(() => {
+    if (containers.get(key)?.promise === promise) containers.delete(key);
+  });
+  containers.set(key, { blockTag, promise, router });
+  return promise;
+}
+
+/**
+ * Answer a fetch for a virtual-origin URL
+ */
+export async function handleContainerRequest(request) {
+  if (new URL(request.url).pathname === LOCATION_REPORTER_PATH) {
+    return textResponse(200, LOCATION_REPORTER, { "Content-Type": "text/javascript; charset=utf-8", "Cache-Control": "no-cache" });
+  }
+
+  const target = parseContainerUrl(request.url);
+  if (!target) return textResponse(404, "Not found");
+
+  if (request.method !== "GET" && request.method !== "HEAD") {
+    return textResponse(405, "Method not allowed", { Allow: "GET, HEAD" });
+  }
+
+  let container, router;
+  try {
+    if (!containers.has(target.containerId)) serveContainer(target.containerId);
+    const entry = containers.get(target.containerId);
+    [container, router] = await Promise.all([entry.promise, entry.router]);
+  } catch (err) {
+    console.warn(`[container-server] Failed to open container ${target.containerId}:`, err.message);
+    return textResponse(502, `Could not read container #${target.containerId}: ${err.message}`);
+  }
+
+  const route = router.route(target.path);
+  if (route.location) {
+    return new Response(null, {
+      status: REDIRECT_STATUSES.includes(route.status) ? route.status : 302,
+      headers: { Location: redirectUrl(route.location, target, request.url), "Content-Security-Policy": SANDBOX_CSP },
+    });
+  }
+  if (!route.file) {
+    return textResponse(404, `Not found: ${target.path}`);
+  }
+
+  let file;
+  try {
+    file = await container.read(route.file);
+  } catch (err) {
+    console.warn(`[container-server] Failed to load ${route.file}:`, err.message);
+    return textResponse(502, `Could not read ${route.file}: ${err.message}`);
+  }
+
+  if (isHtmlType(file.mimeType)) file = { ...file, data: withLocationReporter(file.data) };
+  return fileResponse(request, file, route.status);
+}
+
+function isHtmlType(mimeType) {
+  const essence = mimeType.split(";")[0].trim().toLowerCase();
+  return essence === "text/html" || essence === "application/xhtml+xml";
+}
+
+/**
+ * Insert the location reporter's script tag after the opening <head> (else
+ * <html>, else the doctype, so the page doesn't drop into quirks mode).
+ * Works on the bytes, so the page's own charset is left alone.
+ */
+function withLocationReporter(data) {
+  const head = String.fromCharCode(...data.subarray(0, 4096));
+  const tag = /<head\b[^>]*>/i.exec(head) || /<html\b[^>]*>/i.exec(head) || /<!doctype\b[^>]*>/i.exec(head);
+  const at = tag ? tag.index + tag[0].length : 0;
+
+  const script = new TextEncoder().encode(LOCATION_REPORTER_TAG);
+  const out = new Uint8Array(data.length + script.length);
+  out.set(data.subarray(0, at), 0);
+  out.set(script, at);
+  out.set(data.subarray(at), at + script.length);
+  return out;
+}
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Location header for a routed redirect: http(s) URLs as they are (the
+ * router allows no other scheme), anything else resolved against the
+ * requested path within the container, keeping the target's query and
+ * fragment (or the request's query when the target has none)
+ */
+function redirectUrl(location, target, requestUrl) {
+  if (/^https?:\/\//i.test(location)) return location;
+  const { search } = new URL(requestUrl);
+  const resolved = resolveLocation(location, target.path);
+  const query = resolved.search || (location.includes("?") ? "" : search);
+  return chrome.runtime.getURL(`c/${target.containerId}${resolved.pathname}`) + query + resolved.hash;
+}
+
+/**
+ * `status` (200, or 404 for a not-found page) with the whole file, or 206
+ * for a satisfiable Range request (media elements seek with these)
+ */
+function fileResponse(request, { data, mimeType }, status = 200) {
+  const headers = {
+    "Content-Type": mimeType,
+    "Accept-Ranges": "bytes",
+    "Cache-Control": "no-cache",
+    // Container pages run in a sandboxed (opaque) origin, so module scripts,
+    // fonts and fetch() calls back to this origin are cross-origin requests
+    "Access-Control-Allow-Origin": "*",
+    // Never let container content run with the extension's origin and APIs
+    "Content-Security-Policy": SANDBOX_CSP,
+  };
+  const body = (bytes) => (request.method === "HEAD" ? null : bytes);
+
+  const range = parseRange(request.headers.get("Range"), data.length);
+  if (range === null || status !== 200) {
+    headers["Content-Length"] = String(data.length);
+    return new Response(body(data), { status, headers });
+  }
+  if (range === false) {
+    headers["Content-Range"] = `bytes */${data.length}`;
+    return new Response(null, { status: 416, headers });
+  }
+
+  const { start, end } = range;
+  headers["Content-Range"] = `bytes ${start}-${end}/${data.length}`;
+  headers["Content-Length"] = String(end - start + 1);
+  return new Response(body(data.subarray(start, end + 1)), { status: 206, headers });
+}
+
+/**
+ * Parse a single-range "bytes=" header. Returns { start, end } (inclusive),
+ * null when there is no usable Range header, or false when unsatisfiable.
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || "").trim());
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+
+  let start, end;
+  if (match[1] === "") {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+function textResponse(status, text, extraHeaders = {}) {
+  return new Response(text, {
+    status,
+    headers: {
+      "Content-Type": "text/plain; charset=utf-8",
+      "Access-Control-Allow-Origin": "*",
+      "Content-Security-Policy": SANDBOX_CSP,
+      ...extraHeaders,
+    },
+  });
+}
@@ -7,6 +7,7 @@
  */
 
 import { CONFIG } from "./config.js";
+import { snapshotCalls } from "../sdk/site-loader.js";
 
 const DNS_ABI = [
   {
@@ -32,9 +33,29 @@ const DNS_ABI = [
 /**
  * Resolve subdomain name → site info
  * Tries gateway API first, falls back to on-chain
+ *
+ * options.blockTag pins the on-chain lookup to a block. The gateway only
+ * knows the current record, so options.useApi = false skips it when the
+ * caller wants the record as it was at a past block. An on-chain result
+ * carries the block it was read at as blockNumber.
  */
-export async function resolve(name) {
+export async function resolve(name, options = {}) {
+  const { blockTag = "latest", useApi = true } = options;
+
   // 1st: Try gateway API
+  if (useApi) {
+    const apiResult = await resolveViaApi(name);
+    if (apiResult) return apiResult;
+  }
+
+  // 2nd: On-chain direct query
+  return resolveOnchain(name, blockTag);
+}
+
+/**
+ * Resolve via gateway API; null when the API is down or doesn't know the name
+ */
+async function resolveViaApi(name) {
   try {
     const controller = new AbortController();
     const timeout = setTimeout(
@@ -57,6 +78,7 @@ export async function resolve(name) {
         tokenId: data.tokenId,
         siteType: data.siteType, // "master_nft" or "container"
         isActive: data.isActive,
+        registeredAt: data.registeredAt,
         masterNftAddress: data.masterNftAddress,
         warrenContainerAddress: data.warrenContainerAddress,
         rpcUrl: data.rpcUrl || CONFIG.RPC_URL,
@@ -66,14 +88,13 @@ export async function resolve(name) {
     console.warn("[dns] API fallback failed:", e.message);
   }
 
-  // 2nd: On-chain direct query
-  return resolveOnchain(name);
+  return null;
 }
 
 /**
  * Resolve directly from on-chain WarrenDNS contract
  */
-async function resolveOnchain(name) {
+async function resolveOnchain(name, blockTag = "latest") {
   if (!CONFIG.DNS_CONTRACT) {
     throw new Error("DNS contract not configured");
   }
@@ -92,10 +113,9 @@ async function resolveOnchain(name) {
 
   const calldata = selector + offset + lengthHex + paddedName;
 
-  const response = await rpcCall("eth_call", [
-    { to: CONFIG.DNS_CONTRACT, data: calldata },
-    "latest",
-  ]);
+  const { results: [response], blockNumber } = await snapshotCalls([
+    { target: CONFIG.DNS_CONTRACT, callData: calldata },
+  ], CONFIG.RPC_URL, blockTag);
 
   if (!response || response === "0x" || response.length < 66) {
     return null;
@@ -119,32 +139,14 @@ async function resolveOnchain(name) {
     tokenId,
     siteType: siteType === 1 ? "container" : "master_nft",
     isActive,
+    registeredAt,
     masterNftAddress: CONFIG.MASTER_NFT_ADDRESS,
     warrenContainerAddress: CONFIG.WARREN_CONTAINER_ADDRESS,
     rpcUrl: CONFIG.RPC_URL,
+    blockNumber,
   };
 }
 
-/**
- * Raw JSON-RPC call
- */
-async function rpcCall(method, params) {
-  const res = await fetch(CONFIG.RPC_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      jsonrpc: "2.0",
-      id: 1,
-      method,
-      params,
-    }),
-  });
-
-  const json = await res.json();
-  if (json.error) throw new Error(json.error.message);
-  return json.result;
-}
-
 /**
  * Convert string to hex bytes (no 0x prefix)
  */
@@ -6,8 +6,10 @@
  * 2. On-chain RPC call to MegaNames contract
  */
 
-import { keccak256 } from "./keccak256.js";
+import { keccak256 } from "../sdk/keccak256.js";
 import { CONFIG } from "./config.js";
+import { getRpcPool } from "../sdk/rpc-pool.js";
+import { snapshotCalls } from "../sdk/site-loader.js";
 
 const ZERO_NODE = "0".repeat(64);
 const MEGA_LABEL_HASH = keccak256("mega");
@@ -26,17 +28,24 @@ const TEXT_KEYS = ["avatar", "description", "url", "com.twitter", "com.github",
  * - { exists: true, owner, isWarren: true, warrenTokenId, isMaster }
  * - { exists: true, owner, isWarren: false, warrenTokenId: 0, isMaster: false }
  * - null (name does not exist)
+ *
+ * options.blockTag pins the on-chain lookup to a block; options.useApi = false
+ * skips the gateway API, which only knows current records. On-chain results
+ * also carry the block they were read at as blockNumber.
  */
-export async function resolveMega(name) {
+export async function resolveMega(name, options = {}) {
+  const { blockTag = "latest", useApi = true } = options;
   const normalizedName = normalizeMegaName(name);
   if (!normalizedName) return null;
 
-  const apiResult = await resolveViaApi(normalizedName);
-  if (apiResult) {
-    return apiResult;
+  if (useApi) {
+    const apiResult = await resolveViaApi(normalizedName);
+    if (apiResult) {
+      return apiResult;
+    }
   }
 
-  return resolveOnchain(normalizedName);
+  return resolveOnchain(normalizedName, blockTag);
 }
 
 async function resolveViaApi(name) {
@@ -71,7 +80,7 @@ async function resolveViaApi(name) {
   return null;
 }
 
-async function resolveOnchain(name) {
+async function resolveOnchain(name, blockTag = "latest") {
   if (!CONFIG.MEGANAMES_ADDRESS) {
     throw new Error("MegaNames contract not configured");
   }
@@ -79,23 +88,17 @@ async function resolveOnchain(name) {
   const tokenIdHex = computeMegaTokenId(name);
   console.log("[mega] Resolving on-chain:", name);
 
-  const warrenCalldata = "0x" + WARREN_SELECTOR + tokenIdHex;
-  const warrenResponse = await rpcCall("eth_call", [
-    { to: CONFIG.MEGANAMES_ADDRESS, data: warrenCalldata },
-    "latest",
-  ]);
+  // warren() and addr() in one snapshot; addr() only matters without a site
+  const { results: [warrenResponse, addrResponse], blockNumber } = await snapshotCalls([
+    { target: CONFIG.MEGANAMES_ADDRESS, callData: "0x" + WARREN_SELECTOR + tokenIdHex },
+    { target: CONFIG.MEGANAMES_ADDRESS, callData: "0x" + ADDR_SELECTOR + tokenIdHex },
+  ], CONFIG.RPC_URL, blockTag);
 
   const warrenResult = decodeWarrenResponse(warrenResponse);
   if (warrenResult && warrenResult.isWarren) {
-    return { exists: true, owner: null, ...warrenResult };
+    return { exists: true, owner: null, ...warrenResult, blockNumber };
   }
 
-  const addrCalldata = "0x" + ADDR_SELECTOR + tokenIdHex;
-  const addrResponse = await rpcCall("eth_call", [
-    { to: CONFIG.MEGANAMES_ADDRESS, data: addrCalldata },
-    "latest",
-  ]);
-
   const owner = decodeAddressResponse(addrResponse);
   if (owner && owner !== ZERO_ADDRESS) {
     return {
@@ -104,6 +107,7 @@ async function resolveOnchain(name) {
       isWarren: false,
       warrenTokenId: 0,
       isMaster: false,
+      blockNumber,
     };
   }
 
@@ -250,8 +254,10 @@ function hexToBytes(hex) {
 /**
  * Fetch full on-chain profile for a MegaName.
  * Called when name exists but is not connected to Warren.
+ * options.blockTag pins every record read to one block.
  */
-export async function fetchMegaProfile(name) {
+export async function fetchMegaProfile(name, options = {}) {
+  const { blockTag = "latest" } = options;
   const normalizedName = normalizeMegaName(name);
   if (!normalizedName) return null;
 
@@ -260,20 +266,20 @@ export async function fetchMegaProfile(name) {
   // addr() — owner address (API may not return it)
   const addrCalldata = "0x" + ADDR_SELECTOR + tokenIdHex;
   const addrPromise = rpcCall("eth_call", [
-    { to: CONFIG.MEGANAMES_ADDRESS, data: addrCalldata }, "latest",
+    { to: CONFIG.MEGANAMES_ADDRESS, data: addrCalldata }, blockTag,
   ]).then(decodeAddressResponse).catch(() => null);
 
   // records() — label, expiresAt
   const recordsCalldata = "0x" + RECORDS_SELECTOR + tokenIdHex;
   const recordsPromise = rpcCall("eth_call", [
-    { to: CONFIG.MEGANAMES_ADDRESS, data: recordsCalldata }, "latest",
+    { to: CONFIG.MEGANAMES_ADDRESS, data: recordsCalldata }, blockTag,
   ]).then(decodeRecordsResponse).catch(() => null);
 
   // text() records — 7 keys in parallel
   const textPromises = TEXT_KEYS.map(key => {
     const calldata = encodeTextCall(tokenIdHex, key);
     return rpcCall("eth_call", [
-      { to: CONFIG.MEGANAMES_ADDRESS, data: calldata }, "latest",
+      { to: CONFIG.MEGANAMES_ADDRESS, data: calldata }, blockTag,
     ]).then(decodeStringResponse).catch(() => "");
   });
 
@@ -354,26 +360,6 @@ function hexToUtf8(hex) {
 }
 
 export async function rpcCall(method, params) {
-  const controller = new AbortController();
-  const timeout = setTimeout(
-    () => controller.abort(),
-    CONFIG.RPC_TIMEOUT_MS
-  );
-
-  const res = await fetch(CONFIG.RPC_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      jsonrpc: "2.0",
-      id: 1,
-      method,
-      params,
-    }),
-    signal: controller.signal,
-  });
-  clearTimeout(timeout);
-
-  const json = await res.json();
-  if (json.error) throw new Error(json.error.message);
-  return json.result;
+  const { result } = await getRpcPool(CONFIG.RPC_URL).call(method, params);
+  return result;
 }
@@ -0,0 +1,354 @@
+/**
+ * QR Code encoder
+ *
+ * Byte-mode QR codes (versions 1-40, error correction L or M) for the
+ * namecard renderer's contact QR. Follows the reference algorithm of
+ * Project Nayuki's QR Code generator (MIT): data codewords, Reed-Solomon
+ * blocks, function patterns, then the lowest-penalty of the eight masks.
+ */
+
+// Indexed by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+};
+const ERROR_CORRECTION_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+};
+const FORMAT_BITS = { L: 1, M: 0 };
+
+/**
+ * Encode `text` (UTF-8) in the smallest version that fits. Returns
+ * { version, size, modules } where modules[y][x] is true for dark, or
+ * throws when the text is too long for a QR code at `ecLevel`.
+ */
+export function encodeQR(text, options = {}) {
+  const { ecLevel = "M" } = options;
+  if (!ECC_CODEWORDS_PER_BLOCK[ecLevel]) throw new Error(`Unsupported error correction level: ${ecLevel}`);
+
+  const bytes = new TextEncoder().encode(text);
+  let version = 1;
+  for (; version <= 40; version++) {
+    const countBits = version <= 9 ? 8 : 16;
+    if (bytes.length < 2 ** countBits && 4 + countBits + bytes.length * 8 <= dataCodewords(version, ecLevel) * 8) break;
+  }
+  if (version > 40) throw new Error(`Text too long for a QR code (${bytes.length} bytes)`);
+
+  const data = dataBytes(bytes, version, ecLevel);
+  const codewords = addErrorCorrection(data, version, ecLevel);
+
+  const size = version * 4 + 17;
+  const qr = {
+    size,
+    modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+    reserved: Array.from({ length: size }, () => new Array(size).fill(false)),
+  };
+  drawFunctionPatterns(qr, version, ecLevel);
+  drawCodewords(qr, codewords);
+
+  // Try every mask, keep the one with the lowest penalty
+  let best = -1;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(qr, mask);
+    drawFormatBits(qr, ecLevel, mask);
+    const score = penalty(qr);
+    if (score < bestPenalty) {
+      best = mask;
+      bestPenalty = score;
+    }
+    applyMask(qr, mask); // XOR again to undo
+  }
+  applyMask(qr, best);
+  drawFormatBits(qr, ecLevel, best);
+
+  return { version, size, modules: qr.modules };
+}
+
+/**
+ * SVG markup for an encoded QR code, `margin` modules of quiet zone around it
+ */
+export function qrToSvg(qr, options = {}) {
+  const { margin = 4, dark = "#000", light = "#fff" } = options;
+  const full = qr.size + margin * 2;
+  let path = "";
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (qr.modules[y][x]) path += `M${x + margin},${y + margin}h1v1h-1z`;
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${full} ${full}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="${light}"/><path d="${path}" fill="${dark}"/></svg>`;
+}
+
+// Modules left for data and error correction once function patterns are placed
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewords(version, ecLevel) {
+  return Math.floor(rawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[ecLevel][version] * ERROR_CORRECTION_BLOCKS[ecLevel][version];
+}
+
+// Mode indicator, character count, data, terminator and pad bytes
+function dataBytes(bytes, version, ecLevel) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  append(0b0100, 4); // byte mode
+  append(bytes.length, version <= 9 ? 8 : 16);
+  for (const b of bytes) append(b, 8);
+
+  const capacity = dataCodewords(version, ecLevel) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+  const result = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    result.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return result;
+}
+
+// Split into blocks, append each block's Reed-Solomon codewords, interleave
+function addErrorCorrection(data, version, ecLevel) {
+  const blockCount = ERROR_CORRECTION_BLOCKS[ecLevel][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[ecLevel][version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+
+  const divisor = reedSolomonDivisor(eccLength);
+  const blocks = [];
+  for (let i = 0, k = 0; i < blockCount; i++) {
+    const block = data.slice(k, k + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0); // placeholder, skipped when interleaving
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function setFunctionModule(qr, x, y, dark) {
+  qr.modules[y][x] = dark;
+  qr.reserved[y][x] = true;
+}
+
+function drawFunctionPatterns(qr, version, ecLevel) {
+  const { size } = qr;
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunctionModule(qr, 6, i, i % 2 === 0);
+    setFunctionModule(qr, i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns (with separators) in three corners
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunctionModule(qr, x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  // Alignment patterns, except where they'd overlap the finders
+  const positions = alignmentPositions(version, size);
+  const last = positions.length - 1;
+  positions.forEach((y, i) => {
+    positions.forEach((x, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunctionModule(qr, x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Reserve the format areas (drawn per mask), then version info
+  drawFormatBits(qr, ecLevel, 0);
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunctionModule(qr, a, b, dark);
+      setFunctionModule(qr, b, a, dark);
+    }
+  }
+}
+
+function alignmentPositions(version, size) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const result = [6];
+  for (let position = size - 7; result.length < count; position -= step) result.splice(1, 0, position);
+  return result;
+}
+
+function drawFormatBits(qr, ecLevel, mask) {
+  const data = (FORMAT_BITS[ecLevel] << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  const bit = i => ((bits >>> i) & 1) === 1;
+  const { size } = qr;
+
+  // Around the top-left finder
+  for (let i = 0; i <= 5; i++) setFunctionModule(qr, 8, i, bit(i));
+  setFunctionModule(qr, 8, 7, bit(6));
+  setFunctionModule(qr, 8, 8, bit(7));
+  setFunctionModule(qr, 7, 8, bit(8));
+  for (let i = 9; i < 15; i++) setFunctionModule(qr, 14 - i, 8, bit(i));
+
+  // Split between the other two finders
+  for (let i = 0; i < 8; i++) setFunctionModule(qr, size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) setFunctionModule(qr, 8, size - 15 + i, bit(i));
+  setFunctionModule(qr, 8, size - 8, true); // always dark
+}
+
+// Zigzag through the non-function modules, two columns at a time
+function drawCodewords(qr, codewords) {
+  const { size } = qr;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // skip the vertical timing pattern
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!qr.reserved[y][x] && i < codewords.length * 8) {
+          qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function applyMask(qr, mask) {
+  const invert = MASKS[mask];
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (!qr.reserved[y][x] && invert(x, y)) qr.modules[y][x] = !qr.modules[y][x];
+    }
+  }
+}
+
+// The standard's four penalty rules: runs, 2x2 blocks, finder-like
+// patterns and dark/light imbalance
+function penalty(qr) {
+  const { size, modules } = qr;
+  let score = 0;
+
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+    }
+
+    const pattern = line.map(dark => (dark ? "1" : "0")).join("");
+    for (const finder of ["10111010000", "00001011101"]) {
+      for (let at = pattern.indexOf(finder); at !== -1; at = pattern.indexOf(finder, at + 1)) score += 40;
+    }
+  }
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (y < size - 1 && x < size - 1) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
@@ -0,0 +1,118 @@
+/**
+ * WARREN Redirect Rules
+ *
+ * declarativeNetRequest rules that open gateway subdomains
+ * (https://<name>.thewarren.app/<path>) in the viewer. The gateway domains
+ * are kept in chrome.storage.local ("redirectDomains") and edited on the
+ * options page; background.js rebuilds the dynamic rules when they change.
+ *
+ * Entries are { domain, type: "site" | "mega", enabled }. A switched-off
+ * gateway is not redirected at all, and a switched-off subdomain of a
+ * redirected gateway ("docs.thewarren.app") is left out of its rule.
+ */
+
+import { CONFIG } from "./config.js";
+
+export const REDIRECT_DOMAINS_KEY = "redirectDomains";
+
+const FIRST_RULE_ID = 1000;
+
+/**
+ * The stored gateway domains, or CONFIG.REDIRECT_DOMAINS (all switched on)
+ * when the user hasn't changed them
+ */
+export async function getRedirectDomains() {
+  const { [REDIRECT_DOMAINS_KEY]: stored } = await chrome.storage.local.get(REDIRECT_DOMAINS_KEY);
+  return stored || defaultRedirectDomains();
+}
+
+export function defaultRedirectDomains() {
+  return CONFIG.REDIRECT_DOMAINS.map(entry => ({ ...entry, enabled: true }));
+}
+
+export async function setRedirectDomains(domains) {
+  await chrome.storage.local.set({ [REDIRECT_DOMAINS_KEY]: domains });
+}
+
+/**
+ * Bare lowercase hostname from user input ("https://Foo.example.com/x" ->
+ * "foo.example.com"), or null when it isn't one
+ */
+export function normalizeDomain(input) {
+  const domain = input.trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, "")
+    .replace(/[/?#:].*$/, "")
+    .replace(/^\*\./, "")
+    .replace(/\.$/, "");
+  return /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z0-9-]{2,}$/.test(domain) ? domain : null;
+}
+
+/**
+ * Host permission match patterns for a gateway's subdomains (redirect rules
+ * only fire on hosts the extension has access to)
+ */
+export function domainOrigins(domain) {
+  return [`*://*.${domain}/*`];
+}
+
+/**
+ * Dynamic rules for `domains`. The viewer gets the subdomain as site= (or
+ * mega=) and the original path and query as path=. regexSubstitution can't
+ * encode them, so path= comes last and the viewer takes everything after it.
+ */
+export function buildRedirectRules(domains) {
+  const viewer = chrome.runtime.getURL("viewer/viewer.html");
+  const gateways = domains.filter(entry => entry.enabled);
+  const rules = [];
+  let id = FIRST_RULE_ID;
+
+  for (const { domain, type } of gateways) {
+    const name = type === "mega" ? "mega=\\1.mega" : "site=\\1";
+    rules.push({
+      id: id++,
+      priority: type === "mega" ? 2 : 1,
+      action: {
+        type: "redirect",
+        redirect: {
+          regexSubstitution: `${viewer}?${name}&source=redirect&path=\\2`,
+        },
+      },
+      condition: {
+        regexFilter: `^https?://([a-z0-9][a-z0-9-]*[a-z0-9])\\.${domain.replace(/\./g, "\\.")}(/.*)?$`,
+        resourceTypes: ["main_frame"],
+        // Links followed on the gateway's own pages stay on the gateway
+        excludedInitiatorDomains: [type === "mega" ? domain.replace(/^mega\./, "") : domain],
+      },
+    });
+  }
+
+  const optOuts = domains.filter(entry =>
+    !entry.enabled && gateways.some(gateway => entry.domain.endsWith(`.${gateway.domain}`))
+  );
+  if (optOuts.length) {
+    rules.push({
+      id: id++,
+      priority: 3,
+      action: { type: "allow" },
+      condition: {
+        requestDomains: optOuts.map(entry => entry.domain),
+        resourceTypes: ["main_frame"],
+      },
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Replace the dynamic rules with the ones for the stored domains
+ */
+export async function applyRedirectRules() {
+  const rules = buildRedirectRules(await getRedirectDomains());
+  const existing = await chrome.declarativeNetRequest.getDynamicRules();
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: existing.map((rule) => rule.id),
+    addRules: rules,
+  });
+  return rules;
+}
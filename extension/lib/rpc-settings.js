@@ -0,0 +1,73 @@
+/**
+ * WARREN RPC Settings
+ *
+ * Fallback RPC endpoints added on the options page. They are kept in
+ * chrome.storage.local ("rpcFallbackUrls"), in order of preference, and
+ * replace CONFIG.RPC_FALLBACK_URLS in every extension context that reads
+ * the chain (viewer, background worker). The pool is built per endpoint
+ * list (sdk/rpc-pool.js), so a change applies to the next call.
+ */
+
+import { CONFIG } from "./config.js";
+
+export const RPC_FALLBACK_URLS_KEY = "rpcFallbackUrls";
+
+const DEFAULT_FALLBACK_URLS = [...CONFIG.RPC_FALLBACK_URLS];
+
+let loaded = null;
+
+/**
+ * The stored fallback endpoints, or the built-in list when the user hasn't
+ * changed it
+ */
+export async function getRpcFallbackUrls() {
+  const { [RPC_FALLBACK_URLS_KEY]: stored } = await chrome.storage.local.get(RPC_FALLBACK_URLS_KEY);
+  return stored || [...DEFAULT_FALLBACK_URLS];
+}
+
+export async function setRpcFallbackUrls(urls) {
+  await chrome.storage.local.set({ [RPC_FALLBACK_URLS_KEY]: urls });
+}
+
+/**
+ * Copy the stored endpoints into CONFIG, once per context, and keep them in
+ * step with the options page. Await before the first RPC call.
+ */
+export function loadRpcSettings() {
+  if (!loaded) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && RPC_FALLBACK_URLS_KEY in changes) {
+        CONFIG.RPC_FALLBACK_URLS = changes[RPC_FALLBACK_URLS_KEY].newValue || [...DEFAULT_FALLBACK_URLS];
+      }
+    });
+    loaded = getRpcFallbackUrls().then((urls) => {
+      CONFIG.RPC_FALLBACK_URLS = urls;
+    }, (err) => {
+      console.warn("[rpc] Could not read the fallback endpoints:", err.message);
+    });
+  }
+  return loaded;
+}
+
+/**
+ * Endpoint URL from user input ("https://rpc.example.com/v1"), or null when
+ * it isn't an http(s) URL
+ */
+export function normalizeRpcUrl(input) {
+  try {
+    const url = new URL(input.trim());
+    if (url.protocol !== "https:" && url.protocol !== "http:") return null;
+    url.hash = "";
+    return url.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Host permission match pattern for an endpoint, so its responses can be
+ * read without CORS headers
+ */
+export function rpcOrigins(url) {
+  return [`*://${new URL(url).hostname}/*`];
+}
@@ -0,0 +1,217 @@
+/**
+ * WARREN Options - gateway redirect domains and fallback RPC endpoints
+ *
+ * Edits the lists in chrome.storage.local (lib/redirect-rules.js,
+ * lib/rpc-settings.js); the background worker rebuilds the redirect rules
+ * when the domains change, and every context picks up new endpoints. Gateways
+ * outside the manifest's host_permissions need host access before their
+ * rule can fire, so it is asked for when one is added or switched on; an
+ * endpoint asks for it when added, so it is read without CORS headers.
+ */
+
+import { CONFIG } from "../lib/config.js";
+import {
+  defaultRedirectDomains,
+  domainOrigins,
+  getRedirectDomains,
+  normalizeDomain,
+  setRedirectDomains,
+} from "../lib/redirect-rules.js";
+import {
+  getRpcFallbackUrls,
+  normalizeRpcUrl,
+  rpcOrigins,
+  setRpcFallbackUrls,
+} from "../lib/rpc-settings.js";
+
+const list = document.getElementById("domains");
+const input = document.getElementById("domainInput");
+const typeSelect = document.getElementById("typeSelect");
+const status = document.getElementById("status");
+const rpcList = document.getElementById("rpcUrls");
+const rpcInput = document.getElementById("rpcInput");
+const rpcStatus = document.getElementById("rpcStatus");
+
+let domains = [];
+let rpcUrls = [];
+
+document.getElementById("rpcMain").textContent = CONFIG.RPC_URL;
+
+document.getElementById("addBtn").addEventListener("click", addDomain);
+input.addEventListener("keypress", (e) => {
+  if (e.key === "Enter") addDomain();
+});
+
+document.getElementById("rpcAddBtn").addEventListener("click", addRpcUrl);
+rpcInput.addEventListener("keypress", (e) => {
+  if (e.key === "Enter") addRpcUrl();
+});
+
+document.getElementById("resetBtn").addEventListener("click", async () => {
+  domains = defaultRedirectDomains();
+  await save();
+});
+
+async function addDomain() {
+  const domain = normalizeDomain(input.value);
+  if (!domain) {
+    showStatus("Enter a domain name, like gateway.example.com");
+    return;
+  }
+  const enabled = typeSelect.value !== "off";
+  const type = enabled ? typeSelect.value : "site";
+  // Must run first: permission prompts need the click's user gesture
+  if (enabled && !(await requestAccess(domain))) return;
+
+  domains = domains.filter(entry => entry.domain !== domain);
+  domains.push({ domain, type, enabled });
+  input.value = "";
+  await save();
+}
+
+async function setEnabled(entry, enabled) {
+  if (enabled && !(await requestAccess(entry.domain))) {
+    render();
+    return;
+  }
+  entry.enabled = enabled;
+  await save();
+}
+
+async function removeDomain(entry) {
+  domains = domains.filter(other => other !== entry);
+  await save();
+}
+
+async function requestAccess(domain) {
+  try {
+    if (await chrome.permissions.request({ origins: domainOrigins(domain) })) return true;
+    showStatus(`No access to ${domain}: its pages can't be redirected`);
+  } catch (err) {
+    console.warn("[options] Permission request failed:", err.message);
+    showStatus(err.message);
+  }
+  return false;
+}
+
+async function save() {
+  showStatus("");
+  await setRedirectDomains(domains);
+  render();
+}
+
+function render() {
+  list.replaceChildren();
+  for (const entry of domains) {
+    const row = document.createElement("div");
+    row.className = entry.enabled ? "domain" : "domain off";
+
+    const name = document.createElement("span");
+    name.className = "name";
+    name.textContent = entry.domain;
+
+    const type = document.createElement("span");
+    type.className = "type";
+    type.textContent = entry.type === "mega" ? "MegaName" : "site";
+
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = entry.enabled;
+    checkbox.addEventListener("change", () => setEnabled(entry, checkbox.checked));
+    label.append(checkbox, " Redirect");
+
+    const remove = document.createElement("button");
+    remove.className = "secondary";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => removeDomain(entry));
+
+    row.append(name, type, label, remove);
+    list.appendChild(row);
+  }
+  if (domains.length === 0) {
+    list.innerHTML = '<p class="hint">No gateways: nothing is redirected.</p>';
+  }
+}
+
+function showStatus(text) {
+  status.textContent = text;
+}
+
+async function addRpcUrl() {
+  const url = normalizeRpcUrl(rpcInput.value);
+  if (!url) {
+    rpcStatus.textContent = "Enter an http(s) URL, like https://rpc.example.com";
+    return;
+  }
+  try {
+    // Before any await: permission prompts need the click's user gesture
+    if (!(await chrome.permissions.request({ origins: rpcOrigins(url) }))) {
+      rpcStatus.textContent = `No access to ${new URL(url).host}: only endpoints that allow CORS will work`;
+    } else {
+      rpcStatus.textContent = "";
+    }
+  } catch (err) {
+    console.warn("[options] Permission request failed:", err.message);
+    rpcStatus.textContent = err.message;
+  }
+
+  rpcUrls = [...rpcUrls.filter(other => other !== url), url];
+  rpcInput.value = "";
+  await saveRpcUrls();
+}
+
+async function moveRpcUrl(index) {
+  rpcUrls.splice(index - 1, 0, ...rpcUrls.splice(index, 1));
+  await saveRpcUrls();
+}
+
+async function removeRpcUrl(url) {
+  rpcUrls = rpcUrls.filter(other => other !== url);
+  rpcStatus.textContent = "";
+  await saveRpcUrls();
+}
+
+async function saveRpcUrls() {
+  await setRpcFallbackUrls(rpcUrls);
+  renderRpcUrls();
+}
+
+function renderRpcUrls() {
+  rpcList.replaceChildren();
+  rpcUrls.forEach((url, index) => {
+    const row = document.createElement("div");
+    row.className = "domain";
+
+    const name = document.createElement("span");
+    name.className = "name";
+    name.textContent = `${index + 1}. ${url}`;
+
+    const up = document.createElement("button");
+    up.className = "secondary";
+    up.textContent = "Move up";
+    up.disabled = index === 0;
+    up.addEventListener("click", () => moveRpcUrl(index));
+
+    const remove = document.createElement("button");
+    remove.className = "secondary";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => removeRpcUrl(url));
+
+    row.append(name, up, remove);
+    rpcList.appendChild(row);
+  });
+  if (rpcUrls.length === 0) {
+    rpcList.innerHTML = '<p class="hint">No fallback endpoints: every call goes to the main RPC.</p>';
+  }
+}
+
+getRedirectDomains().then((stored) => {
+  domains = stored;
+  render();
+});
+
+getRpcFallbackUrls().then((stored) => {
+  rpcUrls = stored;
+  renderRpcUrls();
+});
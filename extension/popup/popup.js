@@ -6,6 +6,12 @@ input.addEventListener("keypress", (e) => {
   if (e.key === "Enter") navigate();
 });
 
+document.getElementById("settingsLink").addEventListener("click", (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+  window.close();
+});
+
 function navigate() {
   const value = input.value.trim();
   if (!value) return;
@@ -0,0 +1,38 @@
+/**
+ * WARREN SDK Configuration
+ *
+ * Network, contract and read settings shared by everything built on the
+ * SDK. The extension (extension/lib/config.js) and the loader pages add
+ * their own settings to this same object, so the modules here see them.
+ */
+
+export const CONFIG = {
+  // MegaETH Mainnet
+  RPC_URL: "https://mainnet.megaeth.com/rpc",
+  CHAIN_ID: 4326,
+
+  // RPC pool: extra endpoints tried after RPC_URL, in order of preference.
+  // None ship by default (the extension's options page and the loader's
+  // /api/config supply them), and with RPC_URL alone there is nothing to
+  // fail over or hedge to: the pool then only retries, batches and reports.
+  RPC_FALLBACK_URLS: [],
+  RPC_HEDGE_DELAY_MS: 1500,        // send a slow request to a second endpoint too
+  RPC_CIRCUIT_COOLDOWN_MS: 30000,  // skip an endpoint this long after a 429/timeout
+  RPC_BATCH_WINDOW_MS: 10,         // coalesce calls this close together into one batch (0 = off)
+  RPC_MAX_BATCH_SIZE: 50,          // calls per JSON-RPC batch request
+  RPC_TIMEOUT_MS: 10000,
+
+  // Contract addresses (update after deployment)
+  MASTER_NFT_ADDRESS: "0xf299F428Efe1907618360F3c6D16dF0F2Bf8ceFC",     // MasterNFT registry (V2)
+  WARREN_CONTAINER_ADDRESS: "0xeF7d9452a7366d36238c10114CBbE62C0EBf70c3", // WarrenContainer (V3)
+
+  // Multicall3 (universal address)
+  MULTICALL3_ADDRESS: "0xcA11bde05977b3631167028862bE2a173976CA11",
+
+  // Batch settings
+  BATCH_SIZE: 100,      // Page reads per Multicall3 aggregate3 call
+  MAX_CONCURRENCY: 4,   // Multicall batches in flight at once
+
+  // Persistent chunk cache (IndexedDB), LRU-evicted past this size
+  CHUNK_CACHE_MAX_BYTES: 200 * 1024 * 1024,
+};
@@ -0,0 +1,308 @@
+/**
+ * WARREN RPC Pool
+ *
+ * Every rpcCall made by the SDK goes through a pool built from an ordered
+ * endpoint list (the caller's RPC URL first, then CONFIG.RPC_FALLBACK_URLS).
+ *
+ * - Latency and error rate are tracked per endpoint (moving averages) and
+ *   used to rank endpoints; list order breaks ties.
+ * - HTTP 429, rate-limit errors and timeouts open an endpoint's circuit for
+ *   CONFIG.RPC_CIRCUIT_COOLDOWN_MS; it is skipped until the cooldown ends.
+ * - A request still pending after CONFIG.RPC_HEDGE_DELAY_MS is sent to the
+ *   next endpoint as well, and the first answer wins.
+ * - Each call reports which endpoint served it.
+ * - Calls made within CONFIG.RPC_BATCH_WINDOW_MS of each other are sent as
+ *   one JSON-RPC batch and matched back up by id. Endpoints that reject
+ *   batches are remembered and get single requests from then on.
+ */
+
+import { CONFIG } from "./config.js";
+
+const pools = new Map(); // endpoint list -> pool
+let nextId = 1;
+
+// JSON-RPC error codes that mean "slow down" rather than "bad request"
+const RATE_LIMIT_CODES = [-32005, -32022];
+
+/**
+ * Get the shared pool whose preferred endpoint is `primaryUrl`. Pools are
+ * keyed by their whole endpoint list, so a change to CONFIG.RPC_FALLBACK_URLS
+ * applies to the calls made after it.
+ */
+export function getRpcPool(primaryUrl = CONFIG.RPC_URL) {
+  const urls = [primaryUrl, ...CONFIG.RPC_FALLBACK_URLS.filter(u => u !== primaryUrl)];
+  const key = urls.join(" ");
+  if (!pools.has(key)) pools.set(key, createRpcPool(urls));
+  return pools.get(key);
+}
+
+/**
+ * Create a pool over `urls` (in order of preference)
+ */
+export function createRpcPool(urls) {
+  const endpoints = urls.map((url, index) => ({
+    url,
+    index,
+    latency: null,   // moving average, ms
+    errorRate: 0,    // moving average, 0..1
+    openUntil: 0,    // circuit open until this timestamp
+    noBatch: false,  // endpoint rejected a batch request
+    requests: 0,
+    failures: 0,
+  }));
+
+  const queue = []; // calls waiting for the batch window: { body, resolve, reject }
+  let flushTimer = null;
+
+  /**
+   * Healthy endpoints, best first. When every circuit is open, fall back to
+   * list order rather than failing outright. Batch requests only go to
+   * endpoints that accept them.
+   */
+  function rank(batch = false) {
+    const now = Date.now();
+    const healthy = endpoints.filter(ep => ep.openUntil <= now);
+    const pool = (healthy.length > 0 ? healthy : endpoints).filter(ep => !batch || !ep.noBatch);
+    return pool.sort((a, b) => score(a) - score(b));
+  }
+
+  function score(ep) {
+    return (ep.latency ?? 100) * (1 + 4 * ep.errorRate) + ep.index * 50;
+  }
+
+  function record(ep, ok, elapsed) {
+    ep.requests++;
+    if (!ok) ep.failures++;
+    ep.errorRate = ep.errorRate * 0.8 + (ok ? 0 : 0.2);
+    if (ok) {
+      recordLatency(ep, elapsed);
+      ep.openUntil = 0;
+    }
+  }
+
+  function recordLatency(ep, elapsed) {
+    ep.latency = ep.latency === null ? elapsed : ep.latency * 0.8 + elapsed * 0.2;
+  }
+
+  function openCircuit(ep, reason) {
+    ep.openUntil = Date.now() + CONFIG.RPC_CIRCUIT_COOLDOWN_MS;
+    console.warn(`[rpc] Circuit open for ${ep.url}: ${reason}`);
+  }
+
+  /**
+   * POST one JSON-RPC body to one endpoint. Transport failures (HTTP errors,
+   * timeouts, rate limits) throw; JSON-RPC errors are returned to the caller.
+   * A refused batch throws an error flagged `batchRejected`.
+   */
+  async function attempt(ep, body, signal) {
+    const batch = Array.isArray(body);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CONFIG.RPC_TIMEOUT_MS);
+    const onAbort = () => controller.abort();
+    signal.addEventListener("abort", onAbort, { once: true });
+    const started = Date.now();
+
+    try {
+      const res = await fetch(ep.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+
+      if (res.status === 429) {
+        record(ep, false);
+        openCircuit(ep, "HTTP 429");
+        throw new Error("RPC rate limited");
+      }
+      if (batch && res.status >= 400 && res.status < 500) {
+        throw rejectBatch(ep, `HTTP ${res.status}`);
+      }
+      if (!res.ok) {
+        record(ep, false);
+        throw new Error(`RPC HTTP ${res.status}`);
+      }
+
+      const json = await res.json();
+      if (batch && !Array.isArray(json)) {
+        throw rejectBatch(ep, json?.error?.message || "non-array response");
+      }
+      const errors = (Array.isArray(json) ? json : [json]).map(r => r?.error).filter(Boolean);
+      if (errors.some(e => RATE_LIMIT_CODES.includes(e.code) || /rate limit/i.test(e.message || ""))) {
+        record(ep, false);
+        openCircuit(ep, errors[0].message);
+        throw new Error(errors[0].message);
+      }
+
+      record(ep, true, Date.now() - started);
+      return { json, endpoint: ep.url };
+    } catch (err) {
+      if (signal.aborted) {
+        // Lost a hedge race: not an error, but it was at least this slow
+        recordLatency(ep, Date.now() - started);
+        throw err;
+      }
+      if (err.name === "AbortError") {
+        record(ep, false);
+        openCircuit(ep, "timeout");
+        throw new Error("RPC timeout");
+      }
+      if (err instanceof TypeError) record(ep, false); // network error
+      throw err;
+    } finally {
+      clearTimeout(timeout);
+      signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  function rejectBatch(ep, reason) {
+    ep.noBatch = true;
+    console.warn(`[rpc] ${ep.url} rejected a batch request (${reason}), sending single requests`);
+    const err = new Error(`Batch rejected by ${ep.url}`);
+    err.batchRejected = true;
+    return err;
+  }
+
+  /**
+   * Send to `primary`, hedging to `backup` if primary is slow or fails.
+   * Resolves with the first success; the losing request is aborted.
+   */
+  function hedged(primary, backup, body) {
+    return new Promise((resolve, reject) => {
+      const race = new AbortController();
+      let pending = 0;
+      let backupStarted = false;
+      let settled = false;
+      let hedgeTimer = null;
+
+      const start = (ep) => {
+        pending++;
+        attempt(ep, body, race.signal).then((res) => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(hedgeTimer);
+          race.abort();
+          resolve(res);
+        }, (err) => {
+          pending--;
+          if (settled) return;
+          if (backup && !backupStarted) {
+            startBackup();
+          } else if (pending === 0) {
+            settled = true;
+            reject(err);
+          }
+        });
+      };
+
+      const startBackup = () => {
+        backupStarted = true;
+        clearTimeout(hedgeTimer);
+        start(backup);
+      };
+
+      start(primary);
+      if (backup) {
+        hedgeTimer = setTimeout(() => {
+          if (!settled && !backupStarted) startBackup();
+        }, CONFIG.RPC_HEDGE_DELAY_MS);
+      }
+    });
+  }
+
+  /**
+   * Send a raw JSON-RPC body (object or batch array) with failover.
+   * Returns { json, endpoint }.
+   */
+  async function send(body) {
+    const candidates = rank(Array.isArray(body));
+    let lastErr = Object.assign(new Error("No endpoint accepts batch requests"), { batchRejected: true });
+
+    for (let i = 0; i < candidates.length; i += 2) {
+      try {
+        return await hedged(candidates[i], candidates[i + 1], body);
+      } catch (err) {
+        lastErr = err;
+      }
+    }
+
+    throw lastErr;
+  }
+
+  /**
+   * JSON-RPC call. Returns { result, endpoint }.
+   * Queued for the next batch unless options.batch is false (for calls that
+   * are large on their own, like Multicall3 reads).
+   */
+  function call(method, params, options = {}) {
+    const { batch = true } = options;
+    const body = { jsonrpc: "2.0", id: nextId++, method, params };
+    if (!batch || CONFIG.RPC_BATCH_WINDOW_MS <= 0) return callSingle(body);
+
+    return new Promise((resolve, reject) => {
+      queue.push({ body, resolve, reject });
+      if (queue.length >= CONFIG.RPC_MAX_BATCH_SIZE) {
+        flush();
+      } else if (!flushTimer) {
+        flushTimer = setTimeout(flush, CONFIG.RPC_BATCH_WINDOW_MS);
+      }
+    });
+  }
+
+  async function callSingle(body) {
+    const { json, endpoint } = await send(body);
+    if (json.error) throw new Error(json.error.message);
+    return { result: json.result, endpoint };
+  }
+
+  /**
+   * Send everything queued as one batch, falling back to single requests
+   * when no endpoint takes batches. Responses are matched to calls by id;
+   * a call missing from the response is retried on its own.
+   */
+  async function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    const entries = queue.splice(0);
+    const single = (entry) => callSingle(entry.body).then(entry.resolve, entry.reject);
+
+    if (entries.length === 1 || rank(true).length === 0) {
+      entries.forEach(single);
+      return;
+    }
+
+    let json, endpoint;
+    try {
+      ({ json, endpoint } = await send(entries.map(e => e.body)));
+    } catch (err) {
+      if (err.batchRejected) entries.forEach(single);
+      else entries.forEach(e => e.reject(err));
+      return;
+    }
+
+    const byId = new Map(json.map(r => [r?.id, r]));
+    for (const entry of entries) {
+      const res = byId.get(entry.body.id);
+      if (!res) single(entry);
+      else if (res.error) entry.reject(new Error(res.error.message));
+      else entry.resolve({ result: res.result, endpoint });
+    }
+  }
+
+  /**
+   * Snapshot of per-endpoint health
+   */
+  function stats() {
+    const now = Date.now();
+    return endpoints.map(ep => ({
+      url: ep.url,
+      latency: ep.latency === null ? null : Math.round(ep.latency),
+      errorRate: Math.round(ep.errorRate * 100) / 100,
+      requests: ep.requests,
+      failures: ep.failures,
+      circuitOpen: ep.openUntil > now,
+    }));
+  }
+
+  return { call, send, stats };
+}
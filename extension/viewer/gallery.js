@@ -0,0 +1,401 @@
+/**
+ * WARREN Collection Gallery
+ *
+ * Renders NFT containers (siteType 2) as a thumbnail grid instead of raw
+ * /collection.json. Tokens come from the manifest when there is one and
+ * from the container's /images/N.ext files otherwise (the layout
+ * warren-nft-deploy writes); thumbnails are read from the container as
+ * they scroll into view.
+ *
+ * Accepted manifests: an array of token metadata, or an object with the
+ * collection's name, symbol and description and its tokens under `tokens`,
+ * `items` or `nfts`. Token metadata is the usual ERC-721 JSON: name,
+ * description, image and attributes ([{ trait_type, value }]).
+ */
+
+const IMAGE_FILE = /^\/images\/(\d+)\.[a-z0-9]+$/i;
+const THUMBNAIL_CONCURRENCY = 4;
+
+/**
+ * Normalize a manifest (parsed JSON, or null) against the container's file
+ * list. Returns { name, symbol, description, tokens, traits } where each
+ * token is { id, name, description, image, attributes: [{ trait, value }] }
+ * and `image` is a container path, an http(s)/data URL, or null.
+ */
+export function parseCollection(manifest, files) {
+  const paths = new Set(files.map(file => file.path));
+  const images = new Map(); // token id -> /images/N.ext
+  for (const file of files) {
+    const match = IMAGE_FILE.exec(file.path);
+    if (match && file.mimeType.startsWith("image/")) images.set(Number(match[1]), file.path);
+  }
+
+  const info = manifest && typeof manifest === "object" && !Array.isArray(manifest) ? manifest : {};
+  const entries = Array.isArray(manifest) ? manifest : info.tokens || info.items || info.nfts;
+
+  let tokens;
+  if (Array.isArray(entries)) {
+    tokens = entries
+      .filter(entry => entry && typeof entry === "object")
+      .map((entry, i) => {
+        const rawId = Number(entry.tokenId ?? entry.token_id ?? entry.id);
+        const id = Number.isFinite(rawId) ? rawId : i + 1;
+        return {
+          id,
+          name: entry.name ? String(entry.name) : `#${id}`,
+          description: entry.description ? String(entry.description) : "",
+          image: imageRef(entry.image ?? entry.image_url, paths) || images.get(id) || null,
+          attributes: normalizeAttributes(entry.attributes ?? entry.traits),
+        };
+      });
+  } else {
+    tokens = [...images.keys()].sort((a, b) => a - b).map(id => ({
+      id,
+      name: `#${id}`,
+      description: "",
+      image: images.get(id),
+      attributes: [],
+    }));
+  }
+
+  return {
+    name: info.name ? String(info.name) : null,
+    symbol: info.symbol ? String(info.symbol) : null,
+    description: info.description ? String(info.description) : "",
+    tokens,
+    traits: collectTraits(tokens),
+  };
+}
+
+/**
+ * Render `collection` (see parseCollection) into `parent`: header, filter
+ * and sort toolbar, thumbnail grid and a per-token detail view
+ */
+export function renderGallery(parent, container, collection) {
+  const loadImage = createImageLoader(container);
+  const { tokens, traits } = collection;
+
+  const gallery = element("div", "warren-gallery");
+
+  const head = element("div", "warren-gallery-head");
+  head.appendChild(element("h1", "warren-gallery-title", collection.name || "Collection"));
+  if (collection.description) head.appendChild(element("p", "warren-gallery-description", collection.description));
+  const summary = element("p", "warren-gallery-summary");
+  head.appendChild(summary);
+  gallery.appendChild(head);
+
+  // Toolbar: name search, one select per trait, sort order
+  const state = { query: "", filters: new Map(), sort: "id" };
+  const toolbar = element("div", "warren-gallery-toolbar");
+
+  const search = element("input", "warren-gallery-search");
+  search.type = "search";
+  search.placeholder = "Search name or #id";
+  search.addEventListener("input", () => {
+    state.query = search.value.trim().toLowerCase();
+    apply();
+  });
+  toolbar.appendChild(search);
+
+  const traitSelects = new Map();
+  for (const { trait, values } of traits) {
+    const select = element("select", "warren-gallery-filter");
+    select.appendChild(option("", `${trait}: all`));
+    for (const { value, count } of values) select.appendChild(option(value, `${trait}: ${value} (${count})`));
+    select.addEventListener("change", () => {
+      if (select.value) state.filters.set(trait, select.value);
+      else state.filters.delete(trait);
+      apply();
+    });
+    traitSelects.set(trait, select);
+    toolbar.appendChild(select);
+  }
+
+  const sort = element("select", "warren-gallery-sort");
+  sort.appendChild(option("id", "Sort: token ID"));
+  sort.appendChild(option("name", "Sort: name"));
+  if (traits.length) sort.appendChild(option("rarity", "Sort: rarest first"));
+  for (const { trait } of traits) sort.appendChild(option(`trait:${trait}`, `Sort: ${trait}`));
+  sort.addEventListener("change", () => {
+    state.sort = sort.value;
+    apply();
+  });
+  toolbar.appendChild(sort);
+  gallery.appendChild(toolbar);
+
+  // Grid: cards are built once and reordered / hidden by apply()
+  const grid = element("div", "warren-gallery-grid");
+  const cards = new Map(); // token -> card
+  const thumbnails = "IntersectionObserver" in window
+    ? new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        if (!entry.isIntersecting) continue;
+        thumbnails.unobserve(entry.target);
+        showThumbnail(entry.target);
+      }
+    }, { rootMargin: "200px" })
+    : null;
+
+  function showThumbnail(card) {
+    const token = card._token;
+    if (!token.image) return;
+    loadImage(token.image).then((url) => {
+      if (url) card.querySelector("img").src = url;
+    });
+  }
+
+  for (const token of tokens) {
+    const card = element("button", "warren-gallery-card");
+    card._token = token;
+    const thumb = element("div", "warren-gallery-thumb");
+    const img = element("img");
+    img.alt = token.name;
+    thumb.appendChild(img);
+    card.appendChild(thumb);
+    card.appendChild(element("span", "warren-gallery-name", token.name));
+    card.addEventListener("click", () => openDetail(token));
+    cards.set(token, card);
+    if (thumbnails) thumbnails.observe(card);
+    else showThumbnail(card);
+  }
+  gallery.appendChild(grid);
+
+  if (!tokens.length) {
+    gallery.appendChild(element("p", "warren-gallery-empty", "This collection has no tokens or /images files."));
+  }
+
+  // Detail view
+  let visible = tokens;
+  let current = null;
+  const detail = element("div", "warren-gallery-detail");
+  detail.hidden = true;
+  detail.addEventListener("click", (e) => {
+    if (e.target === detail) closeDetail();
+  });
+  gallery.appendChild(detail);
+
+  function openDetail(token) {
+    current = token;
+    detail.replaceChildren();
+
+    const panel = element("div", "warren-gallery-detail-panel");
+    const image = element("img", "warren-gallery-detail-image");
+    image.alt = token.name;
+    if (token.image) {
+      loadImage(token.image).then((url) => {
+        if (url && current === token) image.src = url;
+      });
+    }
+    panel.appendChild(image);
+
+    const body = element("div", "warren-gallery-detail-body");
+    body.appendChild(element("h2", "warren-gallery-detail-name", token.name));
+    body.appendChild(element("p", "warren-gallery-detail-id", `Token #${token.id}${token.image && !/^[a-z]+:/i.test(token.image) ? ` - ${token.image}` : ""}`));
+    if (token.description) body.appendChild(element("p", "warren-gallery-description", token.description));
+
+    if (token.attributes.length) {
+      const list = element("div", "warren-gallery-attributes");
+      for (const { trait, value } of token.attributes) {
+        const share = traitShare(trait, value);
+        const attribute = element("button", "warren-gallery-attribute");
+        attribute.title = `Show every token with ${trait}: ${value}`;
+        attribute.appendChild(element("span", "warren-gallery-attribute-trait", trait));
+        attribute.appendChild(element("span", "warren-gallery-attribute-value", value));
+        attribute.appendChild(element("span", "warren-gallery-attribute-share", `${share}% have this`));
+        attribute.addEventListener("click", () => {
+          const select = traitSelects.get(trait);
+          select.value = value;
+          select.dispatchEvent(new Event("change"));
+          closeDetail();
+        });
+        list.appendChild(attribute);
+      }
+      body.appendChild(list);
+    }
+
+    const nav = element("div", "warren-gallery-detail-nav");
+    const prev = element("button", null, "Previous");
+    const next = element("button", null, "Next");
+    const close = element("button", null, "Close");
+    prev.addEventListener("click", () => step(-1));
+    next.addEventListener("click", () => step(1));
+    close.addEventListener("click", closeDetail);
+    nav.append(prev, next, close);
+    body.appendChild(nav);
+
+    panel.appendChild(body);
+    detail.appendChild(panel);
+    detail.hidden = false;
+  }
+
+  function closeDetail() {
+    detail.hidden = true;
+    current = null;
+  }
+
+  // Previous / next within the current filter and sort order
+  function step(delta) {
+    if (!visible.length) return;
+    const index = visible.indexOf(current);
+    openDetail(visible[(index + delta + visible.length) % visible.length]);
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if (detail.hidden || !detail.isConnected) return;
+    if (e.key === "Escape") closeDetail();
+    else if (e.key === "ArrowLeft") step(-1);
+    else if (e.key === "ArrowRight") step(1);
+  });
+
+  function traitShare(trait, value) {
+    const entry = traits.find(t => t.trait === trait)?.values.find(v => v.value === value);
+    return entry ? Math.round((entry.count / tokens.length) * 1000) / 10 : 0;
+  }
+
+  // Rarity score: sum of 1 / (share of tokens with each of the token's traits)
+  const rarity = new Map(tokens.map(token => [
+    token,
+    token.attributes.reduce((score, { trait, value }) => score + 100 / (traitShare(trait, value) || 100), 0),
+  ]));
+
+  function apply() {
+    visible = tokens.filter((token) => {
+      if (state.query && !token.name.toLowerCase().includes(state.query) && `#${token.id}` !== state.query && String(token.id) !== state.query) {
+        return false;
+      }
+      for (const [trait, value] of state.filters) {
+        if (!token.attributes.some(a => a.trait === trait && a.value === value)) return false;
+      }
+      return true;
+    });
+    visible.sort(comparator(state.sort, rarity));
+
+    const shown = new Set(visible);
+    for (const [token, card] of cards) card.hidden = !shown.has(token);
+    grid.append(...visible.map(token => cards.get(token)));
+
+    summary.textContent = visible.length === tokens.length
+      ? `${tokens.length} token${tokens.length === 1 ? "" : "s"}${collection.symbol ? ` - ${collection.symbol}` : ""}`
+      : `${visible.length} of ${tokens.length} tokens`;
+  }
+  apply();
+
+  parent.appendChild(gallery);
+  return gallery;
+}
+
+// Reads container images a few at a time, one blob URL per path
+function createImageLoader(container) {
+  const urls = new Map(); // path -> Promise<url|null>
+  const queue = [];
+  let active = 0;
+
+  function pump() {
+    while (active < THUMBNAIL_CONCURRENCY && queue.length) {
+      const { path, resolve } = queue.shift();
+      active++;
+      container.read(path)
+        .then(file => (file ? URL.createObjectURL(new Blob([file.data], { type: file.mimeType })) : null))
+        .catch((err) => {
+          console.warn(`[gallery] Failed to load ${path}:`, err.message);
+          urls.delete(path); // retry when it scrolls into view again
+          return null;
+        })
+        .then((url) => {
+          active--;
+          resolve(url);
+          pump();
+        });
+    }
+  }
+
+  return function loadImage(ref) {
+    if (/^(https?:|data:image\/)/i.test(ref)) return Promise.resolve(ref);
+    if (!urls.has(ref)) {
+      urls.set(ref, new Promise((resolve) => {
+        queue.push({ path: ref, resolve });
+        pump();
+      }));
+    }
+    return urls.get(ref);
+  };
+}
+
+function comparator(sort, rarity) {
+  const byId = (a, b) => a.id - b.id;
+  if (sort === "name") return (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }) || byId(a, b);
+  if (sort === "rarity") return (a, b) => rarity.get(b) - rarity.get(a) || byId(a, b);
+  if (sort.startsWith("trait:")) {
+    const trait = sort.slice("trait:".length);
+    const valueOf = token => token.attributes.find(a => a.trait === trait)?.value;
+    return (a, b) => {
+      const va = valueOf(a);
+      const vb = valueOf(b);
+      if (va === undefined || vb === undefined) return (va === undefined) - (vb === undefined) || byId(a, b);
+      return va.localeCompare(vb, undefined, { numeric: true }) || byId(a, b);
+    };
+  }
+  return byId;
+}
+
+// Container path for an image reference, or an http(s)/data URL as is
+function imageRef(ref, paths) {
+  if (typeof ref !== "string" || !ref) return null;
+  if (/^(https?:|data:image\/)/i.test(ref)) return ref;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(ref)) return null; // ipfs:, ar:, ... -> fall back to /images
+
+  let path;
+  try {
+    path = decodeURIComponent(new URL(ref, "https://container.invalid/").pathname);
+  } catch {
+    return null;
+  }
+  return paths.has(path) ? path : null;
+}
+
+// [{ trait_type, value }] or { trait: value } -> [{ trait, value }]
+function normalizeAttributes(attributes) {
+  if (Array.isArray(attributes)) {
+    return attributes
+      .filter(a => a && typeof a === "object" && a.value !== undefined && a.value !== null)
+      .map(a => ({ trait: String(a.trait_type ?? a.type ?? "Trait"), value: String(a.value) }));
+  }
+  if (attributes && typeof attributes === "object") {
+    return Object.entries(attributes).map(([trait, value]) => ({ trait, value: String(value) }));
+  }
+  return [];
+}
+
+// [{ trait, values: [{ value, count }] }], traits and values sorted
+function collectTraits(tokens) {
+  const counts = new Map(); // trait -> Map<value, count>
+  for (const token of tokens) {
+    for (const { trait, value } of token.attributes) {
+      if (!counts.has(trait)) counts.set(trait, new Map());
+      const values = counts.get(trait);
+      values.set(value, (values.get(value) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([trait, values]) => ({
+      trait,
+      values: [...values]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => a.value.localeCompare(b.value, undefined, { numeric: true })),
+    }));
+}
+
+function element(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function option(value, label) {
+  const el = document.createElement("option");
+  el.value = value;
+  el.textContent = label;
+  return el;
+}
@@ -0,0 +1,205 @@
+/**
+ * WARREN Namecard Renderer (site type 2)
+ *
+ * Shows a namecard site as a profile card with a vCard download and a QR
+ * code of the same vCard, so a phone camera can save the contact. The
+ * stored content may be a vCard (BEGIN:VCARD), a JSON object, or plain
+ * text (first line as the name).
+ *
+ * JSON fields: name, title, organization, email, phone, url, address, bio,
+ * avatar, and twitter / github / telegram / discord handles. Common aliases
+ * (fullName, org, company, tel, website, description, image, ...) work too.
+ */
+
+import { encodeQR, qrToSvg } from "../lib/qrcode.js";
+
+const FIELD_ALIASES = {
+  name: ["name", "fullName", "displayName", "fn"],
+  title: ["title", "role", "jobTitle"],
+  organization: ["organization", "org", "company"],
+  email: ["email", "mail"],
+  phone: ["phone", "tel", "telephone", "mobile"],
+  url: ["url", "website", "homepage"],
+  address: ["address", "location", "adr"],
+  bio: ["bio", "description", "note", "about"],
+  avatar: ["avatar", "image", "photo", "picture"],
+  twitter: ["twitter", "x"],
+  github: ["github"],
+  telegram: ["telegram"],
+  discord: ["discord"],
+};
+
+/**
+ * Namecard content (text) -> { name, title, organization, email, phone,
+ * url, address, bio, avatar, twitter, github, telegram, discord }, any of
+ * them possibly empty
+ */
+export function parseNamecard(text) {
+  const trimmed = text.trim();
+  if (/^BEGIN:VCARD/i.test(trimmed)) return parseVCard(trimmed);
+
+  if (trimmed.startsWith("{")) {
+    try {
+      const json = JSON.parse(trimmed);
+      const card = {};
+      for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+        const key = aliases.find(alias => typeof json[alias] === "string" || typeof json[alias] === "number");
+        card[field] = key ? String(json[key]).trim() : "";
+      }
+      return card;
+    } catch {
+      // not JSON after all; fall through to plain text
+    }
+  }
+
+  const [first = "", ...rest] = trimmed.split("\n");
+  return { ...emptyCard(), name: first.trim(), bio: rest.join("\n").trim() };
+}
+
+/**
+ * vCard 3.0 text for a card
+ */
+export function toVCard(card) {
+  const lines = ["BEGIN:VCARD", "VERSION:3.0"];
+  const add = (property, value) => {
+    if (value) lines.push(`${property}:${escapeVCard(value)}`);
+  };
+
+  add("FN", card.name || "Unnamed");
+  lines.push(`N:${escapeVCard(card.name || "")};;;;`);
+  add("TITLE", card.title);
+  add("ORG", card.organization);
+  add("EMAIL;TYPE=INTERNET", card.email);
+  add("TEL", card.phone);
+  add("URL", card.url);
+  if (card.address) lines.push(`ADR:;;${escapeVCard(card.address)};;;;`);
+  add("NOTE", card.bio);
+  for (const [field, base] of [["twitter", "https://x.com/"], ["github", "https://github.com/"], ["telegram", "https://t.me/"]]) {
+    if (card[field]) add(`URL;TYPE=${field}`, base + card[field].replace(/^@/, ""));
+  }
+  if (/^https?:\/\//i.test(card.avatar)) add("PHOTO;VALUE=URI", card.avatar);
+  lines.push("END:VCARD");
+  return lines.join("\r\n");
+}
+
+/**
+ * Render the profile card into `parent`
+ */
+export function renderNamecard(parent, card) {
+  const wrapper = element("div", "warren-namecard");
+  const panel = element("div", "warren-namecard-card");
+
+  if (/^(https?:|data:image\/)/i.test(card.avatar)) {
+    const avatar = element("img", "warren-namecard-avatar");
+    avatar.src = card.avatar;
+    avatar.alt = card.name;
+    panel.appendChild(avatar);
+  }
+
+  panel.appendChild(element("div", "warren-namecard-name", card.name || "Unnamed"));
+  const role = [card.title, card.organization].filter(Boolean).join(" - ");
+  if (role) panel.appendChild(element("div", "warren-namecard-role", role));
+  if (card.bio) panel.appendChild(element("p", "warren-namecard-bio", card.bio));
+
+  const rows = element("div", "warren-namecard-rows");
+  const row = (label, value, href) => {
+    if (!value) return;
+    const line = element("div", "warren-namecard-row");
+    line.appendChild(element("span", "warren-namecard-label", label));
+    const content = element(href ? "a" : "span", "warren-namecard-value", value);
+    if (href) {
+      content.href = href;
+      if (/^https?:/.test(href)) {
+        content.target = "_blank";
+        content.rel = "noopener";
+      }
+    }
+    line.appendChild(content);
+    rows.appendChild(line);
+  };
+  row("Email", card.email, card.email && `mailto:${card.email}`);
+  row("Phone", card.phone, card.phone && `tel:${card.phone.replace(/[^\d+]/g, "")}`);
+  row("Web", card.url, /^https?:\/\//i.test(card.url) ? card.url : null);
+  row("Address", card.address);
+  row("X", card.twitter, card.twitter && `https://x.com/${card.twitter.replace(/^@/, "")}`);
+  row("GitHub", card.github, card.github && `https://github.com/${card.github}`);
+  row("Telegram", card.telegram, card.telegram && `https://t.me/${card.telegram.replace(/^@/, "")}`);
+  row("Discord", card.discord);
+  panel.appendChild(rows);
+
+  const vcard = toVCard(card);
+  try {
+    const qr = element("div", "warren-namecard-qr");
+    qr.innerHTML = qrToSvg(encodeQR(vcard));
+    qr.title = "Scan to save the contact";
+    panel.appendChild(qr);
+  } catch (err) {
+    // Too long for a QR code (a very long bio); the download still works
+    console.warn("[namecard] No QR code:", err.message);
+  }
+
+  const download = element("button", "warren-namecard-download", "Download vCard");
+  download.addEventListener("click", () => {
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(new Blob([vcard], { type: "text/vcard" }));
+    a.download = `${(card.name || "contact").replace(/[^\w .-]+/g, "_")}.vcf`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  });
+  panel.appendChild(download);
+
+  wrapper.appendChild(panel);
+  parent.appendChild(wrapper);
+  return wrapper;
+}
+
+function parseVCard(text) {
+  const card = emptyCard();
+  // Unfold continuation lines (CRLF + space or tab)
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  for (const line of lines) {
+    const colon = line.indexOf(":");
+    if (colon === -1) continue;
+    const [property, ...params] = line.slice(0, colon).toUpperCase().split(";");
+    const value = unescapeVCard(line.slice(colon + 1));
+    const name = property.replace(/^ITEM\d+\./, "");
+
+    if (name === "FN") card.name = value;
+    else if (name === "N" && !card.name) card.name = value.split(";").slice(0, 2).reverse().join(" ").trim();
+    else if (name === "TITLE") card.title = value;
+    else if (name === "ORG") card.organization = value.replace(/;/g, " ").trim();
+    else if (name === "EMAIL" && !card.email) card.email = value;
+    else if (name === "TEL" && !card.phone) card.phone = value;
+    else if (name === "ADR" && !card.address) card.address = value.split(";").filter(Boolean).join(", ");
+    else if (name === "NOTE") card.bio = value;
+    else if (name === "PHOTO" && /^(https?:|data:image\/)/i.test(value)) card.avatar = value;
+    else if (name === "URL") {
+      const type = params.join(";").toLowerCase();
+      const handle = value.replace(/\/+$/, "").split("/").pop();
+      if (/twitter|x\.com/.test(type + value)) card.twitter = handle;
+      else if (/github/.test(type + value)) card.github = handle;
+      else if (/telegram|t\.me/.test(type + value)) card.telegram = handle;
+      else if (!card.url) card.url = value;
+    }
+  }
+  return card;
+}
+
+function emptyCard() {
+  return Object.fromEntries(Object.keys(FIELD_ALIASES).map(field => [field, ""]));
+}
+
+function escapeVCard(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/([,;])/g, "\\$1");
+}
+
+function unescapeVCard(value) {
+  return value.replace(/\\([nN,;\\])/g, (m, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+function element(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
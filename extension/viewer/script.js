@@ -0,0 +1,185 @@
+/**
+ * WARREN Script Renderer (site type 7)
+ *
+ * Shows a script site as highlighted source with line numbers. JavaScript
+ * can be run in the sandbox with its console output shown under the
+ * source; Python and shell scripts are view-only.
+ */
+
+const KEYWORDS = {
+  javascript: "async await break case catch class const continue debugger default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while with yield",
+  python: "and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield self print",
+  shell: "case do done elif else esac export fi for function if in local read return select set shift source then until unset while echo exit",
+};
+
+// Comments, strings, numbers and keywords; everything else is plain text
+const TOKEN_PATTERNS = {
+  javascript: /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\[\s\S]|[^`\\])*`)|(\b(?:0x[\da-f]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?)n?\b)|(\b[A-Za-z_$][\w$]*\b)/gi,
+  python: /(#[^\n]*)|("""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')|(\b(?:0x[\da-f]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?)\b)|(\b[A-Za-z_]\w*\b)/gi,
+  shell: /(#(?!!)[^\n]*|^#![^\n]*)|("(?:\\.|[^"\\])*"|'[^']*')|(\b\d+\b)|(\b[A-Za-z_][\w-]*\b)/gim,
+};
+
+/**
+ * "javascript", "python" or "shell", from the shebang or the source's look
+ */
+export function detectLanguage(source) {
+  const shebang = /^#!\s*(\S+)(?:\s+(\S+))?/.exec(source);
+  if (shebang) {
+    const interpreter = /\/env$/.test(shebang[1]) ? shebang[2] || "" : shebang[1];
+    if (/python/.test(interpreter)) return "python";
+    if (/node|deno|bun/.test(interpreter)) return "javascript";
+    return "shell";
+  }
+  if (/^\s*(def \w+\(|from [\w.]+ import |import \w+\s*$|class \w+(\(.*\))?:)/m.test(source)) return "python";
+  return "javascript";
+}
+
+/**
+ * Highlighted source as a DocumentFragment of text nodes and
+ * <span class="tok-comment|tok-string|tok-number|tok-keyword">
+ */
+export function highlight(source, language = detectLanguage(source)) {
+  const keywords = new Set(KEYWORDS[language].split(" "));
+  const pattern = new RegExp(TOKEN_PATTERNS[language]);
+  const fragment = document.createDocumentFragment();
+
+  let last = 0;
+  for (const match of source.matchAll(pattern)) {
+    const [text, comment, string, number, word] = match;
+    let kind = null;
+    if (comment) kind = "comment";
+    else if (string) kind = "string";
+    else if (number) kind = "number";
+    else if (word && keywords.has(word)) kind = "keyword";
+    if (!kind) continue;
+
+    if (match.index > last) fragment.appendChild(document.createTextNode(source.slice(last, match.index)));
+    const span = document.createElement("span");
+    span.className = `tok-${kind}`;
+    span.textContent = text;
+    fragment.appendChild(span);
+    last = match.index + text.length;
+  }
+  if (last < source.length) fragment.appendChild(document.createTextNode(source.slice(last)));
+  return fragment;
+}
+
+/**
+ * HTML page that runs `source` as a classic script and prints its console
+ * output, for the sandbox. The source travels base64-encoded so nothing in
+ * it can close the <script> element early.
+ */
+export function scriptRunnerHtml(source) {
+  const bytes = new TextEncoder().encode(source);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<style>
+  body { margin: 0; background: #0a0a0a; color: #ccc; font: 12px monospace; }
+  #warren-console { padding: 12px 16px; white-space: pre-wrap; }
+  #warren-console .warn { color: #fc5; }
+  #warren-console .error { color: #f55; }
+</style>
+</head>
+<body>
+<div id="warren-console"></div>
+<script>
+(function() {
+  var out = document.getElementById("warren-console");
+  function format(value) {
+    if (typeof value === "string") return value;
+    if (value instanceof Error) return value.stack || String(value);
+    try { return JSON.stringify(value); } catch (e) { return String(value); }
+  }
+  function print(kind, args) {
+    var line = document.createElement("div");
+    line.className = kind;
+    line.textContent = Array.prototype.map.call(args, format).join(" ");
+    out.appendChild(line);
+  }
+  ["log", "info", "debug", "warn", "error"].forEach(function(kind) {
+    var original = console[kind];
+    console[kind] = function() {
+      print(kind, arguments);
+      original.apply(console, arguments);
+    };
+  });
+  window.addEventListener("error", function(e) { print("error", [e.error || e.message]); });
+  window.addEventListener("unhandledrejection", function(e) { print("error", ["Unhandled rejection:", e.reason]); });
+
+  var bytes = Uint8Array.from(atob("${btoa(binary)}"), function(c) { return c.charCodeAt(0); });
+  var script = document.createElement("script");
+  script.textContent = new TextDecoder().decode(bytes);
+  document.body.appendChild(script);
+})();
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * Render `source` into `parent`. `run(html, outputParent)` is called with
+ * scriptRunnerHtml() when the user runs a JavaScript source.
+ */
+export function renderScript(parent, source, options = {}) {
+  const { run } = options;
+  const language = detectLanguage(source);
+  const view = element("div", "warren-script");
+
+  const toolbar = element("div", "warren-script-toolbar");
+  const lineCount = source.split("\n").length;
+  toolbar.appendChild(element("span", "warren-script-meta", `${language} - ${lineCount} line${lineCount === 1 ? "" : "s"}`));
+
+  const copy = element("button", "warren-script-button", "Copy");
+  copy.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(source);
+      copy.textContent = "Copied";
+    } catch (err) {
+      console.warn("[script] Copy failed:", err.message);
+      copy.textContent = "Copy failed";
+    }
+    setTimeout(() => (copy.textContent = "Copy"), 1500);
+  });
+  toolbar.appendChild(copy);
+
+  const output = element("div", "warren-script-output");
+  output.hidden = true;
+  if (language === "javascript" && run) {
+    const runButton = element("button", "warren-script-button warren-script-run", "Run in sandbox");
+    runButton.title = "Run this script in the sandboxed iframe (no extension access)";
+    runButton.addEventListener("click", () => {
+      output.replaceChildren();
+      output.hidden = false;
+      run(scriptRunnerHtml(source), output);
+      runButton.textContent = "Run again";
+    });
+    toolbar.appendChild(runButton);
+  }
+  view.appendChild(toolbar);
+
+  const code = element("div", "warren-script-code");
+  const gutter = element("pre", "warren-script-gutter");
+  gutter.textContent = Array.from({ length: lineCount }, (_, i) => i + 1).join("\n");
+  const pre = element("pre", "warren-script-source");
+  pre.appendChild(highlight(source, language));
+  code.append(gutter, pre);
+  view.appendChild(code);
+  view.appendChild(output);
+
+  parent.appendChild(view);
+  return view;
+}
+
+function element(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
@@ -9,18 +9,103 @@
  */
 
 import { resolve } from "../lib/dns-resolver.js";
-import { loadMasterNFTSite, loadAllContainerFiles, detectContentType, SITE_TYPES } from "../lib/site-loader.js";
+import { streamMasterNFTSite, openContainer, openArchive, detectContentType, pinBlock, SITE_TYPES } from "../sdk/site-loader.js";
+import { containerFileUrl, parseContainerUrl } from "../lib/container-server.js";
+import { createContainerRouter } from "../sdk/container-router.js";
+import { parseCollection, renderGallery } from "./gallery.js";
+import { parseNamecard, renderNamecard } from "./namecard.js";
+import { renderScript } from "./script.js";
+import { decryptSite, parseEncryptedSite } from "../sdk/encrypted-site.js";
+import { isZip } from "../sdk/zip.js";
+import { loadRpcSettings } from "../lib/rpc-settings.js";
 
 const params = new URLSearchParams(window.location.search);
 const siteName = params.get("site");
 const megaName = params.get("mega");
 const tokenId = params.get("tokenId");
 const containerId = params.get("containerId");
-const containerPath = params.get("path");
 const source = params.get("source"); // "redirect" if from declarativeNetRequest
+const { path: containerPath, query: containerQuery } = requestedPage();
+const bypassCache = params.get("nocache") === "1"; // "Reload from chain"
+const blockParam = params.get("block"); // render the site as it was at a past block
+const prefetchParam = params.get("prefetch") === "1"; // read every container file up front
+
+/**
+ * The page asked for inside a container or archive site: { path, query }
+ * from ?path=, with path null when none was given. Gateway redirects put
+ * the original path and query last and unencoded (declarativeNetRequest
+ * can't encode them), so there everything after "path=" is the value; the
+ * address bar is then rewritten with it encoded, so a reload reads it like
+ * any other parameter.
+ */
+function requestedPage() {
+  let value = params.get("path");
+  if (source === "redirect") {
+    const match = /[?&]path=(.*)$/.exec(window.location.search);
+    value = match ? match[1] : null;
+
+    const cleaned = new URLSearchParams(window.location.search.slice(0, match ? match.index : undefined));
+    cleaned.delete("source");
+    if (value && value !== "/") {
+      const [pathname, ...rest] = value.split("?");
+      let decoded = pathname;
+      try {
+        decoded = decodeURIComponent(pathname);
+      } catch {
+        // malformed escape; keep it as typed
+      }
+      value = rest.length ? `${decoded}?${rest.join("?")}` : decoded;
+      cleaned.set("path", value);
+    }
+    history.replaceState(history.state, "", `${window.location.pathname}?${cleaned}`);
+  }
+
+  if (!value) return { path: null, query: "" };
+  const queryStart = value.indexOf("?");
+  const path = queryStart === -1 ? value : value.slice(0, queryStart);
+  const query = queryStart === -1 ? "" : value.slice(queryStart);
+  // "/" is what every bare gateway URL redirects with: let the container
+  // pick its own entry page (NFT collections open their gallery)
+  return { path: path === "/" || !path ? null : path, query };
+}
+
+// Every on-chain read of this page load is pinned to one block (pinSession)
+const loadOptions = { bypassCache, blockTag: "latest" };
+let pinnedBlock = null;
+
+// What this page shows and where it came from, for the header info panel:
+// { site: { kind, contract, tokenId, ...siteData }, dns, endpoints }
+const provenance = { site: null, dns: null, endpoints: new Set() };
+
+const EXPLORER_URL = "https://megaeth.blockscout.com";
+
+// Container rendered by this page; links within it render in place
+// ({ id, container, router, entryPath, label }, plus the iframe and whether
+// it has reported its location when served from the virtual origin)
+let activeContainer = null;
+
+// How long after the virtual-origin frame loads its first location report
+// may take before the page is rendered over the sandbox bridge instead
+const FRAME_REPORT_GRACE_MS = 1000;
+
+// Stands in for the container id of an unpacked archive site: the sandbox
+// and the page history name it like any container
+const ARCHIVE_ID = "archive";
+
+// Stops in-flight tree reads when the viewer is closed or navigated away
+const pageAbort = new AbortController();
+window.addEventListener("pagehide", () => pageAbort.abort());
 
 async function main() {
   try {
+    await loadRpcSettings();
+
+    // ?block= pins the load up front; otherwise its first on-chain read does
+    if (blockParam) {
+      const { CONFIG } = await import("../lib/config.js");
+      pinSession((await pinBlock(CONFIG.RPC_URL, blockParam)).blockNumber);
+    }
+
     if (megaName) {
       await loadByMegaName(megaName);
     } else if (siteName && siteName.toLowerCase().endsWith(".mega")) {
@@ -40,6 +125,17 @@ async function main() {
   }
 }
 
+/**
+ * Read the rest of the load at `blockNumber`, the block of its first
+ * on-chain read (name lookup, getSiteData or container listing), so it sees
+ * one consistent snapshot. Later calls leave the pin alone.
+ */
+function pinSession(blockNumber) {
+  if (pinnedBlock || blockNumber === undefined) return;
+  pinnedBlock = { blockTag: "0x" + blockNumber.toString(16), blockNumber };
+  loadOptions.blockTag = pinnedBlock.blockTag;
+}
+
 async function loadByMegaName(name) {
   const normalizedName = name.trim().toLowerCase();
   updateUI("siteName", normalizedName);
@@ -50,16 +146,20 @@ async function loadByMegaName(name) {
     import("../lib/config.js"),
   ]);
 
-  const megaResult = await resolveMega(normalizedName);
+  const megaResult = await resolveMega(normalizedName, {
+    blockTag: loadOptions.blockTag,
+    useApi: !blockParam,
+  });
   if (!megaResult) {
     showError(`MegaName not found: ${normalizedName}`);
     return;
   }
+  pinSession(megaResult.blockNumber);
 
   if (megaResult.exists && !megaResult.isWarren) {
     updatePhase("Loading profile...");
     const { fetchMegaProfile } = await import("../lib/meganames-resolver.js");
-    const profile = await fetchMegaProfile(normalizedName);
+    const profile = await fetchMegaProfile(normalizedName, { blockTag: loadOptions.blockTag });
     showMegaProfile(normalizedName, megaResult.owner, profile);
     return;
   }
@@ -95,7 +195,10 @@ async function loadBySiteName(name) {
 
   // DNS resolve
   updatePhase("Resolving DNS...");
-  const dnsResult = await resolve(name);
+  const dnsResult = await resolve(name, {
+    blockTag: loadOptions.blockTag,
+    useApi: !blockParam,
+  });
 
   if (!dnsResult) {
     showError(`Site not found: ${name}`);
@@ -106,6 +209,14 @@ async function loadBySiteName(name) {
     showError(`Site deactivated: ${name}`);
     return;
   }
+  pinSession(dnsResult.blockNumber);
+
+  provenance.dns = {
+    name: `${name}.thewarren.app`,
+    owner: dnsResult.owner,
+    registeredAt: dnsResult.registeredAt,
+    source: dnsResult.source,
+  };
 
   // Show source badge
   const badge = document.getElementById("sourceBadge");
@@ -116,18 +227,24 @@ async function loadBySiteName(name) {
   }
 
   if (dnsResult.siteType === "container") {
-    showError("Container subdomain loading is not yet supported via WarrenDNS");
-    return;
+    // The record's token ID is the container ID; the requested page
+    // (?path=) is routed inside the container
+    const loaded = await loadByContainerId(Number(dnsResult.tokenId), containerPath, {
+      recordVisit: false,
+      label: `${name}.thewarren.app`,
+      containerAddress: dnsResult.warrenContainerAddress,
+    });
+    if (!loaded) return;
+  } else {
+    // MasterNFT site
+    await loadSite(
+      dnsResult.masterNftAddress,
+      dnsResult.tokenId,
+      dnsResult.rpcUrl,
+      name
+    );
   }
 
-  // MasterNFT site
-  await loadSite(
-    dnsResult.masterNftAddress,
-    dnsResult.tokenId,
-    dnsResult.rpcUrl,
-    name
-  );
-
   // Record visit
   chrome.runtime.sendMessage({
     type: "SITE_VISITED",
@@ -156,68 +273,539 @@ async function loadByTokenId(id) {
   });
 }
 
+/**
+ * Load and render container `id` at `path`. options.label names the site in
+ * the header (a WarrenDNS name, say; "Container #<id>" by default) and
+ * options.containerAddress reads from another WarrenContainer deployment.
+ * Resolves to false when nothing could be shown.
+ */
 async function loadByContainerId(id, path, options = {}) {
-  const { recordVisit = true } = options;
-  const displayName = path ? `Container #${id} - ${path}` : `Container #${id}`;
+  const { recordVisit = true, label = `Container #${id}` } = options;
+  const displayName = path ? `${label} - ${path}` : label;
   updateUI("siteName", displayName);
 
   const { CONFIG } = await import("../lib/config.js");
 
-  if (!CONFIG.WARREN_CONTAINER_ADDRESS) {
+  const containerAddress = options.containerAddress || CONFIG.WARREN_CONTAINER_ADDRESS;
+  if (!containerAddress) {
     showError("WarrenContainer address not configured");
     return false;
   }
+  // The background worker serves containers of the configured contract only
+  const virtualOrigin = CONFIG.CONTAINER_VIRTUAL_ORIGIN &&
+    containerAddress.toLowerCase() === CONFIG.WARREN_CONTAINER_ADDRESS?.toLowerCase();
 
-  updatePhase("Loading all container files...");
+  updatePhase("Reading container file list...");
 
-  const { files, siteData } = await loadAllContainerFiles(
-    CONFIG.WARREN_CONTAINER_ADDRESS,
+  const container = await openContainer(
+    containerAddress,
     id,
     CONFIG.RPC_URL,
-    onProgress
+    onProgress,
+    loadOptions
   );
+  pinSession(container.blockNumber);
+  provenance.site = { kind: "WarrenContainer", contract: containerAddress, tokenId: id, ...container.siteData };
 
-  // Determine which file to render
+  // Determine which file to render: static-host routing (directory
+  // indexes, clean URLs, /_redirects, /404.html) from the requested path
+  const router = await createContainerRouter(container, { spa: CONFIG.CONTAINER_SPA_FALLBACK });
   let targetPath = path;
   if (!targetPath) {
-    targetPath = siteData.siteType === 2 ? "/collection.json" : "/index.html";
+    targetPath = container.siteData.siteType === 2 ? "/collection.json" : "/";
   }
   if (!targetPath.startsWith("/")) targetPath = "/" + targetPath;
 
-  const targetFile = files.get(targetPath);
-  if (!targetFile) {
+  const route = isCollectionPage(container, targetPath)
+    ? { status: 200, file: null, url: targetPath }
+    : router.resolve(targetPath);
+  if (route.external) {
+    window.location.href = route.external;
+    return true;
+  }
+
+  if (isCollectionPage(container, route.url)) {
+    await renderCollection(id, container, displayName);
+  } else if (isAutoIndex(container, route)) {
+    // No index file: the file listing is the page
+    renderContainerIndex(id, container, route.url, displayName);
+  } else if (!route.file) {
     showError(`File not found: ${targetPath}`);
     return false;
+  } else {
+    // HTML sites run from the virtual origin when the background worker can
+    // serve it; everything else (and the fallback) renders here
+    const entry = container.files.find(file => file.path === route.file);
+    if (isHtmlType(entry.mimeType) && virtualOrigin && await openOnVirtualOrigin(id)) {
+      const frame = renderContainerFrame(id, route.url, displayName, container, containerQuery);
+      activeContainer = { id, container, router, entryPath: route.url, label, frame, frameReported: false };
+      history.replaceState({ containerId: id.toString(), path: route.url + containerQuery }, "");
+      expectFrameReport(frame);
+      if (recordVisit) recordContainerVisit(id);
+      return true;
+    }
+
+    // Only the entry file is read now; the rest load when the page asks for them
+    updatePhase(`Loading ${route.file}...`);
+    const { data, mimeType } = await container.read(route.file, onProgress);
+    await renderContainerContent(data, mimeType, route.url, displayName, id, container);
   }
 
-  renderContainerContent(targetFile.data, targetFile.mimeType, targetPath, displayName, id, files);
+  activeContainer = { id, container, router, entryPath: route.url, label };
+  history.replaceState({ containerId: id.toString(), path: route.url }, "");
 
-  if (recordVisit) {
-    chrome.runtime.sendMessage({
-      type: "SITE_VISITED",
-      value: id.toString(),
-      accessType: "container",
-    });
+  if (CONFIG.CONTAINER_PREFETCH || prefetchParam) {
+    container.prefetch();
   }
 
+  if (recordVisit) recordContainerVisit(id);
   return true;
 }
 
+function recordContainerVisit(id) {
+  chrome.runtime.sendMessage({
+    type: "SITE_VISITED",
+    value: id.toString(),
+    accessType: "container",
+  });
+}
+
+/**
+ * Follow a link inside the rendered container without reloading the viewer:
+ * files already read stay memoized in `activeContainer.container`. Links to
+ * another container load normally.
+ */
+async function navigateContainer(id, path) {
+  if (!activeContainer || activeContainer.id.toString() !== String(id)) {
+    const url = `viewer/viewer.html?containerId=${id}&path=${encodeURIComponent(path)}`;
+    window.location.href = chrome.runtime.getURL(url);
+    return;
+  }
+
+  // The worker routes virtual-origin requests itself
+  if (activeContainer.frame) {
+    const url = new URL(window.location.href);
+    url.searchParams.set("path", path);
+    history.pushState({ containerId: String(id), path }, "", url);
+    showFramePath(path);
+    return;
+  }
+
+  const route = activeContainer.router.resolve(path);
+  if (route.external) {
+    window.location.href = route.external;
+    return;
+  }
+
+  const url = new URL(window.location.href);
+  url.searchParams.set("path", route.url);
+  history.pushState({ containerId: String(id), path: route.url }, "", url);
+  await showContainerPath(route.url);
+}
+
+// Back/forward between pages of the active container
+window.addEventListener("popstate", () => {
+  if (!activeContainer) return;
+  const requested = new URLSearchParams(window.location.search).get("path") || activeContainer.entryPath;
+  if (activeContainer.frame) {
+    showFramePath(requested.startsWith("/") ? requested : "/" + requested);
+    return;
+  }
+  // Drop a query kept from a gateway redirect; only the file matters here
+  const path = requested.split("?")[0] || activeContainer.entryPath;
+  showContainerPath(path.startsWith("/") ? path : "/" + path);
+});
+
+/**
+ * Point the virtual-origin frame at `path` (query included) without giving
+ * the frame a history entry of its own: the viewer's entry stands for it
+ */
+function showFramePath(path) {
+  const queryStart = path.indexOf("?");
+  const file = queryStart === -1 ? path : path.slice(0, queryStart);
+  const query = queryStart === -1 ? "" : path.slice(queryStart);
+  activeContainer.frame.contentWindow.location.replace(containerFileUrl(activeContainer.id, file) + query);
+}
+
+/**
+ * A virtual-origin page loaded at `href`: bring ?path= in line with it.
+ * Links followed inside the frame already have a history entry (the
+ * frame's), so this replaces the viewer URL rather than pushing one; back
+ * and forward then move the frame, which reports again.
+ */
+function onFrameLocation(href) {
+  const target = parseContainerUrl(href);
+  if (!target || target.containerId !== String(activeContainer.id)) return;
+
+  const path = target.path + new URL(href).search;
+  const url = new URL(window.location.href);
+  if (url.searchParams.get("path") === path) return;
+  url.searchParams.set("path", path);
+  history.replaceState({ containerId: target.containerId, path }, "", url);
+
+  const displayName = `${activeContainer.label} - ${target.path}`;
+  updateUI("siteName", displayName);
+  document.title = `${displayName} - WARREN`;
+}
+
+/**
+ * Replace the rendered page with another file of the active container.
+ * The current page stays up until the new file has been read.
+ */
+async function showContainerPath(path) {
+  const { id, container, router, label } = activeContainer;
+  const displayName = `${label} - ${path}`;
+
+  if (isCollectionPage(container, path)) {
+    clearContent();
+    updateUI("siteName", displayName);
+    await renderCollection(id, container, displayName);
+    return;
+  }
+
+  const route = router.resolve(path);
+  if (isAutoIndex(container, route)) {
+    clearContent();
+    updateUI("siteName", displayName);
+    renderContainerIndex(id, container, route.url, displayName);
+    return;
+  }
+  if (!route.file) {
+    showError(`File not found: ${path}`);
+    return;
+  }
+
+  let file;
+  try {
+    file = await container.read(route.file);
+  } catch (err) {
+    showError(`Failed to load ${path}: ${err.message}`);
+    return;
+  }
+
+  clearContent();
+  updateUI("siteName", displayName);
+  await renderContainerContent(file.data, file.mimeType, path, displayName, id, container);
+}
+
+/**
+ * Remove the rendered page (and the file bridge of its sandbox, if any)
+ */
+function clearContent() {
+  fileBridge?.abort();
+  fileBridge = null;
+  document.getElementById("error-container").style.display = "none";
+  document.getElementById("content").replaceChildren();
+}
+
+/**
+ * Ask the background worker to serve container `id` at this load's pinned
+ * block. False when the worker can't intercept this page's requests.
+ */
+async function openOnVirtualOrigin(id) {
+  if (!navigator.serviceWorker?.controller) return false;
+
+  try {
+    const res = await chrome.runtime.sendMessage({
+      type: "CONTAINER_OPEN",
+      containerId: id.toString(),
+      blockTag: loadOptions.blockTag,
+      bypassCache: loadOptions.bypassCache,
+    });
+    return res?.ok === true;
+  } catch (err) {
+    console.warn("[viewer] Container virtual origin unavailable:", err.message);
+    return false;
+  }
+}
+
+/**
+ * The worker serves the frame's location reporter as a script the page
+ * requests itself, so a report shows the worker answers that page's
+ * requests, not just its navigation. Sandboxed (opaque-origin) pages may
+ * not be controlled by the worker: with no report soon after the frame
+ * loads, render the container over the sandbox bridge instead.
+ */
+function expectFrameReport(frame) {
+  frame.addEventListener("load", () => {
+    setTimeout(() => {
+      if (activeContainer?.frame === frame && !activeContainer.frameReported) leaveVirtualOrigin();
+    }, FRAME_REPORT_GRACE_MS);
+  }, { once: true });
+}
+
+async function leaveVirtualOrigin() {
+  const { id, container, router, entryPath, label } = activeContainer;
+  console.warn(`[viewer] No answer from the container virtual origin for #${id}, using the sandbox bridge`);
+  provenance.endpoints.delete("background worker");
+  activeContainer = { id, container, router, entryPath, label };
+  history.replaceState({ containerId: id.toString(), path: entryPath }, "");
+  await showContainerPath(entryPath);
+}
+
+/**
+ * Render a container page straight from the virtual origin; the page loads
+ * its own assets and follows its own links from there. `query` ("?a=b")
+ * is passed on to the page; pages rendered over the sandbox bridge don't
+ * get one. Returns the iframe.
+ */
+function renderContainerFrame(id, filePath, displayName, container, query = "") {
+  const loader = document.getElementById("loader-container");
+  const content = document.getElementById("content");
+
+  loader.style.display = "none";
+  content.style.display = "block";
+
+  const header = createHeader(displayName, "Container");
+  content.appendChild(header);
+
+  const frame = document.createElement("iframe");
+  frame.src = containerFileUrl(id, filePath) + query;
+  frame.style.cssText = "width:100%;height:calc(100vh - 40px);border:none;";
+  content.appendChild(frame);
+
+  provenance.endpoints.add("background worker");
+
+  // Pages report their address once loaded (the worker adds the reporter:
+  // a sandboxed frame's location can't be read from here)
+  frame.addEventListener("load", () => {
+    try {
+      onFrameLocation(frame.contentWindow.location.href);
+    } catch {
+      // opaque origin: wait for CONTAINER_LOCATION
+    }
+  });
+
+  addFileBrowser(header, container, filePath, path => navigateContainer(id, path));
+
+  document.title = `${displayName} - WARREN`;
+  return frame;
+}
+
+/**
+ * NFT containers show /collection.json as a gallery, built from the
+ * /images files when the container has no manifest
+ */
+function isCollectionPage(container, path) {
+  return container.siteData.siteType === 2 && path === "/collection.json";
+}
+
+async function renderCollection(id, container, displayName) {
+  let manifest = null;
+  if (container.has("/collection.json")) {
+    updatePhase("Loading /collection.json...");
+    const file = await container.read("/collection.json", onProgress);
+    try {
+      manifest = JSON.parse(new TextDecoder("utf-8").decode(file.data));
+    } catch (err) {
+      console.warn("[viewer] Invalid /collection.json, showing /images only:", err.message);
+    }
+  }
+
+  const loader = document.getElementById("loader-container");
+  const content = document.getElementById("content");
+
+  loader.style.display = "none";
+  content.style.display = "block";
+
+  const header = createHeader(displayName, "Collection");
+  content.appendChild(header);
+  addFileBrowser(header, container, "/collection.json", path => navigateContainer(id, path));
+
+  const collection = parseCollection(manifest, container.files);
+  renderGallery(content, container, collection);
+
+  document.title = `${collection.name || displayName} - WARREN`;
+}
+
+/**
+ * A directory path that no file routes to, but that files live under:
+ * shown as a generated index page (the whole container at "/")
+ */
+function isAutoIndex(container, route) {
+  if (route.external || route.status !== 404 || !route.url.endsWith("/")) return false;
+  return container.files.some(file => file.path.startsWith(route.url));
+}
+
+/**
+ * Generated index page for `dirPath` when the container has no index file
+ */
+function renderContainerIndex(id, container, dirPath, displayName) {
+  const loader = document.getElementById("loader-container");
+  const content = document.getElementById("content");
+
+  loader.style.display = "none";
+  content.style.display = "block";
+
+  content.appendChild(createHeader(displayName, containerBadge(id)));
+
+  const files = container.files.filter(file => file.path.startsWith(dirPath));
+  const index = document.createElement("div");
+  index.className = "warren-index";
+  index.innerHTML = `
+    <h1 class="warren-index-title">Index of ${escapeHtml(dirPath)}</h1>
+    <p class="warren-index-summary">${files.length} file${files.length === 1 ? "" : "s"}, ${formatBytes(files.reduce((sum, file) => sum + file.size, 0))}</p>
+  `;
+  index.appendChild(createFileTree(files, container, dirPath, null, path => navigateContainer(id, path)));
+  content.appendChild(index);
+
+  document.title = `${displayName} - WARREN`;
+}
+
+// Kept across in-place navigation, which rebuilds the page
+let fileBrowserOpen = false;
+
+/**
+ * Collapsible sidebar listing every file of `container`, toggled from the
+ * page header. `onOpen(path)` shows a file in the page.
+ */
+function addFileBrowser(header, container, currentPath, onOpen) {
+  const panel = document.createElement("aside");
+  panel.className = "warren-files";
+  panel.hidden = !fileBrowserOpen;
+  panel.appendChild(createFileTree(container.files, container, "/", currentPath, onOpen));
+  document.getElementById("content").appendChild(panel);
+
+  const toggle = document.createElement("button");
+  toggle.className = "warren-files-toggle";
+  toggle.title = "Browse every file in this container";
+  toggle.textContent = `Files (${container.files.length})`;
+  toggle.addEventListener("click", () => {
+    fileBrowserOpen = !fileBrowserOpen;
+    panel.hidden = !fileBrowserOpen;
+  });
+  header.insertBefore(toggle, header.querySelector(".warren-reload"));
+}
+
+/**
+ * Directory tree of `files` (paths under `rootPath`): directories are
+ * <details> elements, files show size, MIME type, tree depth and chunk
+ * address with open and download actions
+ */
+function createFileTree(files, container, rootPath, currentPath, onOpen) {
+  // { dirs: Map<name, node>, files: [{ name, ...entry }] }
+  const root = { dirs: new Map(), files: [] };
+  for (const file of files) {
+    const parts = file.path.slice(rootPath.length).split("/").filter(Boolean);
+    let node = root;
+    for (const dir of parts.slice(0, -1)) {
+      if (!node.dirs.has(dir)) node.dirs.set(dir, { dirs: new Map(), files: [] });
+      node = node.dirs.get(dir);
+    }
+    node.files.push({ ...file, name: parts[parts.length - 1] });
+  }
+
+  const tree = document.createElement("div");
+  tree.className = "warren-tree";
+
+  const renderNode = (node, parent) => {
+    for (const [name, dir] of [...node.dirs].sort(([a], [b]) => a.localeCompare(b))) {
+      const details = document.createElement("details");
+      details.open = true;
+      const summary = document.createElement("summary");
+      summary.textContent = `${name}/`;
+      details.appendChild(summary);
+      renderNode(dir, details);
+      parent.appendChild(details);
+    }
+    for (const file of node.files.sort((a, b) => a.name.localeCompare(b.name))) {
+      const current = file.path === currentPath || file.path === `${currentPath}index.html`;
+      parent.appendChild(createFileRow(file, container, current, tree, onOpen));
+    }
+  };
+  renderNode(root, tree);
+
+  return tree;
+}
+
+function createFileRow(file, container, current, tree, onOpen) {
+  const row = document.createElement("div");
+  row.className = current ? "warren-file current" : "warren-file";
+  row.innerHTML = `
+    <div class="warren-file-name">${escapeHtml(file.name)}</div>
+    <div class="warren-file-meta">
+      <span>${formatBytes(file.size)}</span>
+      <span>${escapeHtml(file.mimeType)}</span>
+      ${file.chunk ? `
+      <span title="Fractal tree depth">depth ${file.depth}</span>
+      <a href="${EXPLORER_URL}/address/${file.chunk}" target="_blank" rel="noopener" title="${file.chunk}">${file.chunk.slice(0, 6)}...${file.chunk.slice(-4)}</a>
+      ` : `<span title="Size inside the ZIP archive">${file.method === 0 ? "stored" : `${formatBytes(file.compressedSize)} zipped`}</span>`}
+    </div>
+    <div class="warren-file-actions">
+      <button class="warren-file-open">Open</button>
+      <button class="warren-file-download">Download</button>
+    </div>
+  `;
+  row.querySelector(".warren-file-name").title = file.path;
+
+  row.querySelector(".warren-file-open").addEventListener("click", () => {
+    tree.querySelector(".warren-file.current")?.classList.remove("current");
+    row.classList.add("current");
+    onOpen(file.path);
+  });
+
+  const download = row.querySelector(".warren-file-download");
+  download.addEventListener("click", async () => {
+    download.disabled = true;
+    download.textContent = "Reading...";
+    try {
+      const { data, mimeType } = await container.read(file.path);
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(new Blob([data], { type: mimeType }));
+      a.download = file.name;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+      download.textContent = "Download";
+      download.removeAttribute("title");
+    } catch (err) {
+      console.warn(`[viewer] Failed to download ${file.path}:`, err.message);
+      download.textContent = "Retry";
+      download.title = err.message;
+    }
+    download.disabled = false;
+  });
+
+  return row;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 async function loadSite(registryAddress, tokenId, rpcUrl, displayName) {
   updatePhase("Loading from blockchain...");
 
-  const { data, siteType } = await loadMasterNFTSite(
+  const { stream, siteType, siteData, blockNumber } = await streamMasterNFTSite(
     registryAddress,
     tokenId,
     rpcUrl,
-    onProgress
+    onProgress,
+    { ...loadOptions, signal: pageAbort.signal }
   );
+  pinSession(blockNumber);
+  provenance.site = { kind: "MasterNFT", contract: registryAddress, tokenId, ...siteData };
+
+  // Collect straight into a Blob: chunks are never assembled into a second
+  // contiguous copy, and media renders from slices of the same Blob.
+  const blob = await new Response(stream).blob();
 
   // Render
-  renderContent(data, siteType, displayName);
+  await renderContent(blob, siteType, displayName);
 }
 
-function renderContent(data, siteType, displayName) {
+async function renderContent(blob, siteType, displayName) {
+  // Archive sites are a ZIP of a whole website, served like a container.
+  // Anything else stored as type 1 renders as a single document below.
+  if (siteType === SITE_TYPES.ARCHIVE) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    if (isZip(bytes)) {
+      await renderArchive(bytes, displayName);
+      return;
+    }
+  }
+
   const loader = document.getElementById("loader-container");
   const content = document.getElementById("content");
 
@@ -225,88 +813,184 @@ function renderContent(data, siteType, displayName) {
   content.style.display = "block";
 
   // Create header
-  const header = document.createElement("div");
-  header.className = "warren-header";
-  header.innerHTML = `
-    <div class="warren-logo">WARREN</div>
-    <div class="warren-site-name">${displayName}</div>
-    <div class="warren-badge">On-chain</div>
-  `;
-  content.appendChild(header);
+  content.appendChild(createHeader(displayName, "On-chain"));
 
   if (siteType === SITE_TYPES.IMAGE || siteType === 3) {
-    const contentType = detectContentType(data);
-    const blob = new Blob([data], { type: contentType });
+    const contentType = await sniffContentType(blob);
     const img = document.createElement("img");
-    img.src = URL.createObjectURL(blob);
+    img.src = URL.createObjectURL(blob.slice(0, blob.size, contentType));
     img.alt = displayName;
     content.appendChild(img);
   } else if (siteType === SITE_TYPES.VIDEO || siteType === 4) {
     // Check for header (from video-loader.js fallback logic)
-    let videoData = data;
-    const isRawMP4 = data.length >= 8 &&
-      data[4] === 0x66 && data[5] === 0x74 &&
-      data[6] === 0x79 && data[7] === 0x70;
-
-    if (!isRawMP4 && data.length > 4) {
-      const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-      const hdrLen = view.getUint32(0);
-      if (hdrLen < data.length && hdrLen < 10000) {
-        videoData = data.slice(4 + hdrLen);
+    let videoBlob = blob;
+    const head = new Uint8Array(await blob.slice(0, 8).arrayBuffer());
+    const isRawMP4 = head.length >= 8 &&
+      head[4] === 0x66 && head[5] === 0x74 &&
+      head[6] === 0x79 && head[7] === 0x70;
+
+    if (!isRawMP4 && head.length > 4) {
+      const hdrLen = new DataView(head.buffer).getUint32(0);
+      if (hdrLen < blob.size && hdrLen < 10000) {
+        videoBlob = blob.slice(4 + hdrLen);
       }
     }
 
-    const contentType = detectContentType(videoData);
-    const blob = new Blob([videoData], { type: contentType });
+    const contentType = await sniffContentType(videoBlob);
     const video = document.createElement("video");
-    video.src = URL.createObjectURL(blob);
+    video.src = URL.createObjectURL(videoBlob.slice(0, videoBlob.size, contentType));
     video.controls = true;
     video.autoplay = true;
     video.muted = true;
     content.appendChild(video);
   } else if (siteType === SITE_TYPES.AUDIO || siteType === 5) {
-    const contentType = detectContentType(data);
-    const blob = new Blob([data], { type: contentType });
+    const contentType = await sniffContentType(blob);
     const audio = document.createElement("audio");
-    audio.src = URL.createObjectURL(blob);
+    audio.src = URL.createObjectURL(blob.slice(0, blob.size, contentType));
     audio.controls = true;
     audio.autoplay = true;
     content.appendChild(audio);
+  } else if (siteType === SITE_TYPES.NAMECARD) {
+    renderNamecard(content, parseNamecard(await blob.text()));
+  } else if (siteType === SITE_TYPES.SCRIPT) {
+    renderScript(content, await blob.text(), {
+      run: (html, output) => output.appendChild(createSandboxFrame(html, "40vh")),
+    });
+  } else if (siteType === SITE_TYPES.ENCRYPTED) {
+    renderUnlockForm(content, new Uint8Array(await blob.arrayBuffer()), displayName);
   } else {
     // HTML / default
-    const html = new TextDecoder("utf-8").decode(data);
+    content.appendChild(createSandboxFrame(await blob.text()));
+  }
 
-    // Use sandbox page to bypass extension CSP.
-    // Sandbox pages allow unsafe-inline/unsafe-eval, and the inner
-    // iframe with blob URL has no CSP restrictions at all.
-    const sandbox = document.createElement("iframe");
-    sandbox.src = chrome.runtime.getURL("viewer/sandbox.html");
-    sandbox.style.cssText = "width:100%;height:calc(100vh - 40px);border:none;";
-    content.appendChild(sandbox);
+  document.title = `${displayName} - WARREN`;
+}
 
-    sandbox.addEventListener("load", () => {
-      sandbox.contentWindow.postMessage({ type: "RENDER_HTML", html }, "*");
-    });
+/**
+ * Unpack an archive site and make it the active container: its pages,
+ * assets and links are served from the ZIP through the sandbox bridge
+ * (the background worker's virtual origin only serves WarrenContainers)
+ */
+async function renderArchive(bytes, displayName) {
+  const { CONFIG } = await import("../lib/config.js");
+
+  updatePhase("Unpacking archive...");
+  const archive = openArchive(bytes, provenance.site);
+  const router = await createContainerRouter(archive, { spa: CONFIG.CONTAINER_SPA_FALLBACK });
+
+  let targetPath = containerPath || "/";
+  if (!targetPath.startsWith("/")) targetPath = "/" + targetPath;
+  const route = router.resolve(targetPath);
+  if (route.external) {
+    window.location.href = route.external;
+    return;
   }
 
-  document.title = `${displayName} - WARREN`;
+  activeContainer = { id: ARCHIVE_ID, container: archive, router, entryPath: route.url, label: displayName };
+  history.replaceState({ containerId: ARCHIVE_ID, path: route.url }, "");
+  await showContainerPath(route.url);
 }
 
-function renderContainerContent(data, mimeType, filePath, displayName, containerId, files) {
+/**
+ * HTML by its essence type: parameters (charset) and case don't matter
+ */
+function isHtmlType(mimeType) {
+  const essence = mimeType.split(";")[0].trim().toLowerCase();
+  return essence === "text/html" || essence === "application/xhtml+xml";
+}
+
+function containerBadge(id) {
+  return id === ARCHIVE_ID ? "Archive" : "Container";
+}
+
+/**
+ * Use sandbox page to bypass extension CSP.
+ * Sandbox pages allow unsafe-inline/unsafe-eval, and the inner
+ * iframe with blob URL has no CSP restrictions at all.
+ */
+function createSandboxFrame(html, height = "calc(100vh - 40px)") {
+  const sandbox = document.createElement("iframe");
+  sandbox.src = chrome.runtime.getURL("viewer/sandbox.html");
+  sandbox.style.cssText = `width:100%;height:${height};border:none;`;
+
+  sandbox.addEventListener("load", () => {
+    sandbox.contentWindow.postMessage({ type: "RENDER_HTML", html }, "*");
+  });
+  return sandbox;
+}
+
+/**
+ * Passphrase prompt for an encrypted site; the content is decrypted here
+ * with WebCrypto and rendered as its inner site type
+ */
+function renderUnlockForm(content, bytes, displayName) {
+  let encrypted;
+  try {
+    encrypted = parseEncryptedSite(bytes);
+  } catch (err) {
+    showError(`Cannot open encrypted site: ${err.message}`);
+    return;
+  }
+
+  const form = document.createElement("form");
+  form.className = "warren-unlock";
+  form.innerHTML = `
+    <div class="warren-unlock-icon">&#128274;</div>
+    <p class="warren-unlock-text">This site is encrypted. Enter its passphrase to decrypt it in your browser.</p>
+    <input class="warren-unlock-input" type="password" autocomplete="off" placeholder="Passphrase" required>
+    <button class="warren-unlock-button" type="submit">Decrypt</button>
+    <p class="warren-unlock-error" hidden></p>
+    <p class="warren-unlock-meta">AES-256-GCM, PBKDF2-SHA256 with ${encrypted.iterations.toLocaleString()} iterations. The passphrase never leaves this page.</p>
+  `;
+  const input = form.querySelector(".warren-unlock-input");
+  const button = form.querySelector(".warren-unlock-button");
+  const error = form.querySelector(".warren-unlock-error");
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    button.disabled = true;
+    button.textContent = "Decrypting...";
+    error.hidden = true;
+    try {
+      const { data, siteType } = await decryptSite(bytes, input.value);
+      content.replaceChildren();
+      await renderContent(new Blob([data]), siteType, displayName);
+    } catch (err) {
+      error.textContent = err.message;
+      error.hidden = false;
+      button.disabled = false;
+      button.textContent = "Decrypt";
+      input.select();
+    }
+  });
+
+  content.appendChild(form);
+  input.focus();
+}
+
+/**
+ * detectContentType on the first bytes of a Blob
+ */
+async function sniffContentType(blob) {
+  const head = new Uint8Array(await blob.slice(0, 16).arrayBuffer());
+  return detectContentType(head);
+}
+
+/**
+ * Render one container file. HTML goes to the sandbox with the container's
+ * path manifest; the sandbox requests other files from `container` as the
+ * page needs them (see serveContainerFiles).
+ */
+async function renderContainerContent(data, mimeType, filePath, displayName, containerId, container) {
   const loader = document.getElementById("loader-container");
   const content = document.getElementById("content");
 
   loader.style.display = "none";
   content.style.display = "block";
 
-  const header = document.createElement("div");
-  header.className = "warren-header";
-  header.innerHTML = `
-    <div class="warren-logo">WARREN</div>
-    <div class="warren-site-name">${displayName}</div>
-    <div class="warren-badge">Container</div>
-  `;
+  const header = createHeader(displayName, containerBadge(containerId));
   content.appendChild(header);
+  if (container) addFileBrowser(header, container, filePath, path => navigateContainer(containerId, path));
 
   if (mimeType.startsWith("image/")) {
     const blob = new Blob([data], { type: mimeType });
@@ -329,49 +1013,60 @@ function renderContainerContent(data, mimeType, filePath, displayName, container
     audio.controls = true;
     audio.autoplay = true;
     content.appendChild(audio);
-  } else if (mimeType === "text/html") {
+  } else if (isHtmlType(mimeType)) {
     let html = new TextDecoder("utf-8").decode(data);
 
-    // Inline CSS files from container
-    if (files) {
-      html = html.replace(/<link\s+[^>]*href=["']([^"']+\.css)["'][^>]*>/gi, (match, href) => {
-        // Normalize: ./css/style.css → /css/style.css, css/style.css → /css/style.css
-        let cssPath = href.replace(/^\.\//, "");
-        if (!cssPath.startsWith("/")) cssPath = "/" + cssPath;
-        const cssFile = files.get(cssPath);
-        if (cssFile) {
-          const cssText = new TextDecoder("utf-8").decode(cssFile.data);
-          return `<style>/* ${href} */\n${cssText}</style>`;
+    // Manifest of every path in the container (path → mimeType)
+    const paths = {};
+    // Relative references resolve against this page (or its <base href>)
+    const basePath = documentBasePath(html, filePath);
+    if (container) {
+      for (const file of container.files) paths[file.path] = file.mimeType;
+
+      // <style> blocks: url()s and @imports relative to the page
+      const styleBlocks = [...html.matchAll(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi)];
+      const styleTexts = await Promise.all(styleBlocks.map(([, , css]) =>
+        resolveStylesheet(css, basePath, container, paths)
+      ));
+      styleBlocks.forEach(([match, open, , close], i) => {
+        html = html.replace(match, () => open + styleTexts[i] + close);
+      });
+
+      // Inline CSS files from container (read in parallel before rendering,
+      // so the page doesn't flash unstyled)
+      const cssLinks = [...html.matchAll(/<link\s+[^>]*href=["']([^"']+)["'][^>]*>/gi)]
+        .filter(([, href]) => paths[resolveContainerPath(href, basePath)] === "text/css");
+      const cssTexts = await Promise.all(cssLinks.map(async ([, href]) => {
+        const cssPath = resolveContainerPath(href, basePath);
+        const cssFile = await container.read(cssPath).catch(() => null);
+        if (!cssFile) return null;
+        return resolveStylesheet(new TextDecoder("utf-8").decode(cssFile.data), cssPath, container, paths);
+      }));
+      cssLinks.forEach(([match, href], i) => {
+        if (cssTexts[i] !== null) {
+          html = html.replace(match, () => `<style>/* ${href} */\n${cssTexts[i]}</style>`);
         }
-        return match;
       });
 
-      // Remove any existing <base> tags (server injects them, not needed in sandbox)
+      // Remove any existing <base> tags (already folded into basePath; the
+      // sandbox would otherwise resolve against them itself)
       html = html.replace(/<base\s+[^>]*>/gi, "");
     }
 
-    // Build serializable files map for sandbox (path → {arrayBuffer, mimeType})
-    const filesForSandbox = {};
-    if (files) {
-      for (const [path, file] of files) {
-        filesForSandbox[path] = {
-          data: Array.from(file.data), // Uint8Array can't be cloned to sandbox
-          mimeType: file.mimeType,
-        };
-      }
-    }
-
     const sandbox = document.createElement("iframe");
     sandbox.src = chrome.runtime.getURL("viewer/sandbox.html");
     sandbox.style.cssText = "width:100%;height:calc(100vh - 40px);border:none;";
     content.appendChild(sandbox);
 
+    if (container) serveContainerFiles(sandbox, container);
+
     sandbox.addEventListener("load", () => {
       sandbox.contentWindow.postMessage({
         type: "RENDER_HTML",
         html,
         containerId,
-        files: filesForSandbox,
+        paths,
+        basePath,
       }, "*");
     });
   } else if (mimeType === "application/json") {
@@ -395,7 +1090,196 @@ function renderContainerContent(data, mimeType, filePath, displayName, container
   document.title = `${displayName} - WARREN`;
 }
 
+/**
+ * Prepare container CSS for the sandbox: url() references become container
+ * paths resolved against the stylesheet's own path (`basePath`), and
+ * @import rules for container stylesheets are replaced by the imported CSS
+ * (wrapped in @media when the rule has a media list). The sandbox turns the
+ * container paths into blob URLs.
+ */
+async function resolveStylesheet(css, basePath, container, paths, seen = new Set()) {
+  css = css.replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/gi, (match, quote, ref) => {
+    const path = resolveContainerPath(ref.trim(), basePath);
+    return path && paths[path] ? `url("${path}")` : match;
+  });
+
+  const imports = [...css.matchAll(/@import\s+(?:url\(\s*)?["']?([^"')\s;]+)["']?\s*\)?\s*([^;]*);/gi)];
+  const imported = await Promise.all(imports.map(async ([, ref]) => {
+    const path = resolveContainerPath(ref, basePath);
+    if (!path || paths[path] !== "text/css") return null;
+    if (seen.has(path)) return ""; // already inlined (or an import cycle)
+    seen.add(path);
+
+    const file = await container.read(path).catch(() => null);
+    if (!file) return null;
+    const text = new TextDecoder("utf-8").decode(file.data).replace(/@charset\s+["'][^"']*["']\s*;/gi, "");
+    return resolveStylesheet(text, path, container, paths, seen);
+  }));
+
+  imports.forEach(([rule, ref, media], i) => {
+    if (imported[i] === null) return;
+    const body = media.trim() ? `@media ${media.trim()} {\n${imported[i]}\n}` : imported[i];
+    css = css.replace(rule, () => `/* @import ${resolveContainerPath(ref, basePath)} */\n${body}`);
+  });
+  return css;
+}
+
+// Stand-in origin that lets the URL parser resolve container paths
+const CONTAINER_ORIGIN = "https://container.invalid";
+
+/**
+ * Resolve `ref` the way a browser would from a page at `basePath`: "../",
+ * "./" and directory-relative paths, with query and fragment dropped.
+ * Returns the container path, or null for fragment-only references and
+ * anything outside the container (other schemes or hosts).
+ */
+function resolveContainerPath(ref, basePath) {
+  if (!ref || ref.startsWith("#")) return null;
+
+  let url;
+  try {
+    url = new URL(ref, CONTAINER_ORIGIN + basePath);
+  } catch {
+    return null;
+  }
+  if (url.origin !== CONTAINER_ORIGIN) return null;
+
+  try {
+    return decodeURIComponent(url.pathname);
+  } catch {
+    return url.pathname;
+  }
+}
+
+/**
+ * Path that a container document's relative URLs resolve against: its
+ * <base href> when that points inside the container, else the file itself
+ */
+function documentBasePath(html, filePath) {
+  const match = /<base\s+[^>]*href=["']([^"']*)["']/i.exec(html);
+  if (!match) return filePath;
+
+  try {
+    const url = new URL(match[1], CONTAINER_ORIGIN + filePath);
+    return url.origin === CONTAINER_ORIGIN ? url.pathname : filePath;
+  } catch {
+    return filePath;
+  }
+}
+
+let fileBridge = null; // AbortController of the current sandbox's listener
+
+/**
+ * Answer the sandbox's CONTAINER_FILE_REQUEST messages with file contents.
+ * Files are sent as Blobs (structured-cloneable); `blob` is null when the
+ * path isn't in the container or couldn't be read.
+ */
+function serveContainerFiles(sandbox, container) {
+  // Removed with the sandbox by clearContent(), or when another replaces it
+  fileBridge?.abort();
+  fileBridge = new AbortController();
+
+  window.addEventListener("message", async (e) => {
+    if (e.source !== sandbox.contentWindow) return;
+    if (!e.data || e.data.type !== "CONTAINER_FILE_REQUEST") return;
+
+    const { id, path } = e.data;
+    let blob = null;
+    try {
+      const file = await container.read(path);
+      if (file) blob = new Blob([file.data], { type: file.mimeType });
+    } catch (err) {
+      console.warn(`[viewer] Failed to load ${path}:`, err.message);
+    }
+    sandbox.contentWindow?.postMessage({ type: "CONTAINER_FILE", id, path, blob }, "*");
+  }, { signal: fileBridge.signal });
+}
+
+function createHeader(displayName, badgeText) {
+  const header = document.createElement("div");
+  header.className = "warren-header";
+  header.innerHTML = `
+    <div class="warren-logo">WARREN</div>
+    <div class="warren-site-name"></div>
+    <div class="warren-badge"></div>
+    ${pinnedBlock ? `<div class="warren-badge" title="Every read was pinned to this block">Block ${pinnedBlock.blockNumber}</div>` : ""}
+    <button class="warren-info-toggle" title="Site metadata and provenance">Info</button>
+    <button class="warren-reload" title="Bypass the local chunk cache and read every chunk from chain">Reload from chain</button>
+    <div class="warren-info" hidden></div>
+  `;
+  // Both can come from the address bar or from chain: text only
+  header.querySelector(".warren-site-name").textContent = displayName;
+  header.querySelector(".warren-badge").textContent = badgeText;
+
+  header.querySelector(".warren-reload").addEventListener("click", () => {
+    const url = new URL(window.location.href);
+    url.searchParams.set("nocache", "1");
+    window.location.href = url.toString();
+  });
+
+  // Rendered on open: container pages keep reading (and adding endpoints)
+  const info = header.querySelector(".warren-info");
+  header.querySelector(".warren-info-toggle").addEventListener("click", () => {
+    if (info.hidden) info.innerHTML = renderInfoPanel();
+    info.hidden = !info.hidden;
+  });
+
+  return header;
+}
+
+/**
+ * Rows of the header info panel, from `provenance`
+ */
+function renderInfoPanel() {
+  const rows = [];
+  const row = (label, value) => rows.push(`<div class="warren-info-row"><span class="warren-info-label">${label}</span><span class="warren-info-value">${value}</span></div>`);
+  const address = (addr) => `<a href="${EXPLORER_URL}/address/${escapeHtml(addr)}" target="_blank" rel="noopener" title="${escapeHtml(addr)}">${escapeHtml(addr.slice(0, 6))}...${escapeHtml(addr.slice(-4))}</a>`;
+  const date = (seconds) => (seconds > 0 ? new Date(seconds * 1000).toLocaleString() : "-");
+
+  const { site, dns } = provenance;
+  if (site) {
+    row("Token", `${site.kind} #${escapeHtml(String(site.tokenId))}`);
+    row("Contract", address(site.contract));
+    row("Type", siteTypeLabel(site));
+    if (site.creator) row("Creator", address(site.creator));
+    row("Version", escapeHtml(String(site.version)));
+    row("Created", date(site.createdAt));
+    row("Updated", date(site.updatedAt));
+    if (site.rootChunk) {
+      row("Root chunk", address(site.rootChunk));
+      row("Tree depth", String(site.depth));
+    }
+    if (site.fileCount !== undefined) row("Files", String(site.fileCount));
+    row("Size", formatBytes(site.totalSize));
+  }
+
+  if (dns) {
+    row("Domain", escapeHtml(dns.name));
+    if (dns.owner) row("Owner", address(dns.owner));
+    if (dns.registeredAt) row("Registered", date(Number(dns.registeredAt)));
+    row("Resolved via", dns.source === "api" ? "Gateway API" : "WarrenDNS contract");
+  }
+
+  if (pinnedBlock) {
+    row("Read at block", `<a href="${EXPLORER_URL}/block/${pinnedBlock.blockNumber}" target="_blank" rel="noopener">${pinnedBlock.blockNumber}</a>`);
+  }
+  const endpoints = [...provenance.endpoints].map(endpointLabel);
+  row("Served by", endpoints.length ? escapeHtml(endpoints.join(", ")) : "-");
+
+  return rows.join("");
+}
+
+function siteTypeLabel(site) {
+  if (site.kind === "WarrenContainer") {
+    return site.siteType === 2 ? "NFT container" : "Site container";
+  }
+  const name = Object.keys(SITE_TYPES).find(key => SITE_TYPES[key] === site.siteType);
+  return name ? name.charAt(0) + name.slice(1).toLowerCase() : `Type ${site.siteType}`;
+}
+
 function onProgress(progress) {
+  if (progress.endpoint) provenance.endpoints.add(progress.endpoint);
+
   if (progress.phase === "scan") {
     updatePhase(
       progress.depth
@@ -404,7 +1288,8 @@ function onProgress(progress) {
     );
   } else if (progress.phase === "load") {
     const percent = Math.round((progress.loaded / progress.total) * 100);
-    updatePhase(`Loading ${progress.loaded}/${progress.total}`);
+    const source = progress.endpoint ? ` via ${endpointLabel(progress.endpoint)}` : "";
+    updatePhase(`Loading ${progress.loaded}/${progress.total}${source}`);
     const bar = document.getElementById("progressBar");
     const text = document.getElementById("progressText");
     if (bar) bar.style.width = percent + "%";
@@ -412,6 +1297,15 @@ function onProgress(progress) {
   }
 }
 
+// "cache" or the RPC endpoint's host
+function endpointLabel(endpoint) {
+  try {
+    return new URL(endpoint).host;
+  } catch {
+    return endpoint;
+  }
+}
+
 function updatePhase(text) {
   const el = document.getElementById("phaseText");
   if (el) el.textContent = text;
@@ -447,7 +1341,7 @@ function showMegaProfile(name, owner, profile) {
     const shortOwner = resolvedOwner.slice(0, 6) + "..." + resolvedOwner.slice(-4);
     ownerEl.textContent = shortOwner;
     ownerEl.title = resolvedOwner;
-    ownerEl.href = `https://megaeth.blockscout.com/address/${resolvedOwner}`;
+    ownerEl.href = `${EXPLORER_URL}/address/${resolvedOwner}`;
   } else {
     ownerEl.textContent = "Unknown";
     ownerEl.removeAttribute("title");
@@ -511,11 +1405,15 @@ document.getElementById("profileBackBtn")?.addEventListener("click", () => {
   window.history.back();
 });
 
-// Listen for container navigation from sandbox
+// Listen for container navigation from sandbox, and for the address of
+// the page in the virtual-origin frame
 window.addEventListener("message", (e) => {
   if (e.data && e.data.type === "CONTAINER_NAVIGATE") {
-    const url = `viewer/viewer.html?containerId=${e.data.containerId}&path=${encodeURIComponent(e.data.path)}`;
-    window.location.href = chrome.runtime.getURL(url);
+    navigateContainer(e.data.containerId, e.data.path);
+  } else if (e.data?.type === "CONTAINER_LOCATION" && typeof e.data.href === "string" &&
+      activeContainer?.frame && e.source === activeContainer.frame.contentWindow) {
+    activeContainer.frameReported = true;
+    onFrameLocation(e.data.href);
   }
 });
 
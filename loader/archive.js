@@ -0,0 +1,309 @@
+/**
+ * Warren Archive Sites (siteType 1) for the standalone loader
+ *
+ * An archive site is a ZIP of a whole website. The loader unpacks it here
+ * and renders its pages in place of the loader page, the way loader.js
+ * renders a single HTML file:
+ *
+ * - Asset references (src, href, srcset, poster, CSS url() and @import,
+ *   ES module imports) are rewritten to blob URLs of the ZIP entries
+ * - fetch() of an archive path is answered from the ZIP
+ * - Links to other pages in the archive re-render in place; the page path
+ *   is kept in the URL as ?path=, so reloads and back/forward work
+ *
+ * The ZIP is opened and routed by the SDK, the same code the extension
+ * viewer uses (openArchive, createContainerRouter): exact file, directory
+ * index.html, clean URLs (/about -> /about.html), /_redirects, then
+ * /404.html.
+ */
+
+import { openArchive } from "./sdk/site-loader.js";
+import { createContainerRouter } from "./sdk/container-router.js";
+import { rewriteModuleSyntax, scanModuleSyntax } from "./sdk/module-rewriter.js";
+
+// URL attributes rewritten to blob URLs ('a' and 'area' links are handled on click)
+const URL_ATTRIBUTES = [
+    ['img', 'src'], ['script', 'src'], ['iframe', 'src'], ['embed', 'src'], ['input', 'src'],
+    ['audio', 'src'], ['video', 'src'], ['source', 'src'], ['track', 'src'],
+    ['video', 'poster'], ['object', 'data'], ['link', 'href'], ['use', 'href'], ['image', 'href']
+];
+
+// Stand-in origin that lets the URL parser resolve archive paths
+const ARCHIVE_ORIGIN = 'https://archive.invalid';
+
+let archive = null; // openArchive(): { files, has(path), read(path) }
+let router = null;
+let mimeTypes = new Map(); // path -> MIME type
+const urls = new Map(); // key -> Promise<blob URL>
+
+/**
+ * Unpack `bytes` (a ZIP) and render the page at `path`
+ */
+export async function renderArchiveSite(bytes, path = '/') {
+    archive = openArchive(bytes);
+    router = await createContainerRouter(archive);
+    mimeTypes = new Map(archive.files.map(file => [file.path, file.mimeType]));
+
+    // Kept across page renders: document.open() leaves window properties alone
+    const nativeFetch = window.fetch.bind(window);
+    window.fetch = (input, init) => {
+        const filePath = typeof input === 'string' ? resolvePath(input, currentPage) : null;
+        if (filePath && archive.has(filePath)) {
+            return readFile(filePath).then(data => new Response(data, {
+                headers: { 'Content-Type': mimeType(filePath) }
+            }));
+        }
+        return nativeFetch(input, init);
+    };
+
+    await showPage(path.startsWith('/') ? path : '/' + path, false);
+}
+
+let currentPage = '/';
+
+async function showPage(path, push) {
+    const route = routeArchivePath(path);
+    if (route && route.external) {
+        window.location.href = route.external;
+        return;
+    }
+
+    let html;
+    if (!route) {
+        html = `<!DOCTYPE html><title>Not found</title><pre>Not found: ${escapeHtml(path)}</pre>`;
+    } else if (mimeType(route.file) !== 'text/html') {
+        // Not a page: hand the file itself to the browser
+        window.location.href = await fileUrl(route.file);
+        return;
+    } else {
+        html = await rewriteHtml(new TextDecoder('utf-8').decode(await readFile(route.file)), route.base);
+    }
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('path', route ? route.url : path);
+    if (push) {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
+    if (!route) currentPage = path;
+
+    document.open();
+    document.write(html);
+    document.close();
+
+    // document.open() dropped the previous page's listeners (and ours)
+    document.addEventListener('click', onLinkClick);
+    window.addEventListener('popstate', onPopState);
+}
+
+function onLinkClick(e) {
+    const link = e.target.closest && e.target.closest('a[href], area[href]');
+    if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey) return;
+    if (link.target && link.target !== '_self') return;
+
+    const href = link.getAttribute('href');
+    if (href.startsWith('#')) return;
+    const path = resolvePath(href, currentPage);
+    const route = path && routeArchivePath(path);
+    if (!route || route.external) return;
+
+    e.preventDefault();
+    showPage(path, true);
+}
+
+function onPopState() {
+    const path = new URLSearchParams(window.location.search).get('path') || '/';
+    showPage(path, false);
+}
+
+/**
+ * { file, url, base } for `path`, { external } for a redirect out of the
+ * archive, or null. `base` is what the page's relative references resolve
+ * against.
+ */
+function routeArchivePath(path) {
+    const result = router.resolve(path);
+    if (result.external) return result;
+    if (!result.file) return null;
+    return { file: result.file, url: result.url, base: result.status === 404 ? result.file : result.url };
+}
+
+async function readFile(path) {
+    const { data } = await archive.read(path);
+    return data;
+}
+
+/**
+ * Blob URL of an archive file. CSS and ES modules are rewritten so their
+ * own references point at blob URLs too.
+ */
+function fileUrl(path, asModule = false) {
+    const type = mimeType(path);
+    if (type !== 'text/css' && !(asModule && type === 'application/javascript')) {
+        return cachedUrl(path, type, () => readFile(path));
+    }
+
+    return cachedUrl(`rewritten:${path}`, type, async () => {
+        const text = new TextDecoder('utf-8').decode(await readFile(path));
+        try {
+            return type === 'text/css' ? await rewriteCss(text, path, path) : await rewriteModule(text, path, path);
+        } finally {
+            waiting.delete(path);
+        }
+    });
+}
+
+// Files being rewritten -> the files their rewrite is waiting on
+const waiting = new Map();
+
+/**
+ * fileUrl() of `path` for a reference in `owner` (a file being rewritten,
+ * or null for the page itself). A reference that would close an import
+ * cycle links to the plain file instead of waiting on itself.
+ */
+function dependencyUrl(owner, path, asModule) {
+    if (!owner) return fileUrl(path, asModule);
+    if (waitsOn(path, owner)) return cachedUrl(path, mimeType(path), () => readFile(path));
+
+    if (!waiting.has(owner)) waiting.set(owner, new Set());
+    waiting.get(owner).add(path);
+    return fileUrl(path, asModule);
+}
+
+function waitsOn(from, target, seen = new Set()) {
+    if (from === target) return true;
+    if (seen.has(from)) return false;
+    seen.add(from);
+    for (const next of waiting.get(from) || []) {
+        if (waitsOn(next, target, seen)) return true;
+    }
+    return false;
+}
+
+function cachedUrl(key, type, body) {
+    if (!urls.has(key)) {
+        const url = Promise.resolve()
+            .then(body)
+            .then(data => URL.createObjectURL(new Blob([data], { type })));
+        urls.set(key, url);
+    }
+    return urls.get(key);
+}
+
+async function rewriteHtml(html, pagePath) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    // <base href> inside the archive: relative references resolve against it
+    let basePath = pagePath;
+    const base = doc.querySelector('base[href]');
+    if (base) {
+        const resolved = resolvePath(base.getAttribute('href'), basePath);
+        if (resolved) {
+            basePath = resolved;
+            base.remove();
+        }
+    }
+
+    const jobs = [];
+    for (const [tag, attr] of URL_ATTRIBUTES) {
+        for (const el of doc.querySelectorAll(`${tag}[${attr}]`)) {
+            const path = resolvePath(el.getAttribute(attr), basePath);
+            if (!path || !archive.has(path)) continue;
+            const asModule = tag === 'script' && el.type === 'module' ||
+                tag === 'link' && el.rel === 'modulepreload';
+            jobs.push(fileUrl(path, asModule).then(url => el.setAttribute(attr, url)));
+        }
+    }
+    for (const el of doc.querySelectorAll('img[srcset], source[srcset]')) {
+        jobs.push(rewriteSrcset(el.getAttribute('srcset'), basePath).then(value => el.setAttribute('srcset', value)));
+    }
+    for (const el of doc.querySelectorAll('style')) {
+        jobs.push(rewriteCss(el.textContent, basePath).then(css => (el.textContent = css)));
+    }
+    for (const el of doc.querySelectorAll('[style]')) {
+        jobs.push(rewriteCss(el.getAttribute('style'), basePath).then(css => el.setAttribute('style', css)));
+    }
+    for (const el of doc.querySelectorAll('script[type="module"]:not([src])')) {
+        jobs.push(rewriteModule(el.textContent, basePath).then(code => (el.textContent = code)));
+    }
+    await Promise.all(jobs);
+
+    currentPage = basePath;
+    const doctype = doc.doctype ? '<!DOCTYPE html>' : '';
+    return doctype + doc.documentElement.outerHTML;
+}
+
+async function rewriteSrcset(srcset, basePath) {
+    const candidates = await Promise.all(srcset.split(',').map(async (candidate) => {
+        const [ref, ...descriptors] = candidate.trim().split(/\s+/);
+        const path = resolvePath(ref, basePath);
+        if (!path || !archive.has(path)) return candidate.trim();
+        return [await fileUrl(path), ...descriptors].join(' ');
+    }));
+    return candidates.join(', ');
+}
+
+async function rewriteCss(css, basePath, owner = null) {
+    return replaceAsync(css, /(url\(\s*(["']?))([^"')]+)(\2\s*\))|(@import\s+(["']))([^"']+)(\6)/gi, async (match, ...groups) => {
+        const ref = groups[2] || groups[6];
+        const path = resolvePath(ref.trim(), basePath);
+        if (!path || !archive.has(path)) return match;
+        const url = await dependencyUrl(owner, path, false);
+        return groups[2] ? groups[0] + url + groups[3] : groups[4] + url + groups[7];
+    });
+}
+
+async function rewriteModule(code, basePath, owner = null) {
+    // import ... from "x", export ... from "x", import "x", import("x"),
+    // found by the SDK's tokenizer (the extension sandbox uses it too)
+    const urls = new Map(); // specifier offset -> quoted blob URL
+    await Promise.all(scanModuleSyntax(code).map(async (token) => {
+        if (token.type !== 'specifier' || !/^(\.{1,2})?\//.test(token.value)) return; // bare specifier or URL
+        const path = resolvePath(token.value, basePath);
+        if (path && archive.has(path)) urls.set(token.start, JSON.stringify(await dependencyUrl(owner, path, true)));
+    }));
+    return rewriteModuleSyntax(code, token => urls.get(token.start));
+}
+
+async function replaceAsync(text, pattern, replacer) {
+    const matches = [...text.matchAll(pattern)];
+    const replacements = await Promise.all(matches.map(match => replacer(...match)));
+    let result = '';
+    let last = 0;
+    matches.forEach((match, i) => {
+        result += text.slice(last, match.index) + replacements[i];
+        last = match.index + match[0].length;
+    });
+    return result + text.slice(last);
+}
+
+/**
+ * Archive path that `ref` points at from a page at `basePath`, or null for
+ * fragments and other origins
+ */
+function resolvePath(ref, basePath) {
+    if (!ref || ref.startsWith('#') || ref.startsWith('data:') || ref.startsWith('blob:')) return null;
+
+    let url;
+    try {
+        url = new URL(ref, ARCHIVE_ORIGIN + basePath);
+    } catch (e) {
+        return null;
+    }
+    if (url.origin !== ARCHIVE_ORIGIN) return null;
+
+    try {
+        return decodeURIComponent(url.pathname);
+    } catch (e) {
+        return url.pathname;
+    }
+}
+
+function mimeType(path) {
+    return mimeTypes.get(path) || 'application/octet-stream';
+}
+
+function escapeHtml(str) {
+    return str.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
@@ -1,87 +1,7 @@
-import { createPublicClient, http, hexToBytes, toHex, decodeAbiParameters } from "https://esm.sh/viem@2.21.0";
+import { loadConfig, readSiteRecord, readTree, formatServed, describeError } from "./chain.js";
 
-// URL parameters
+// URL parameters (?batchSize= and ?multicall= are read by loadConfig)
 const params = new URLSearchParams(window.location.search);
-let BATCH_SIZE = parseInt(params.get('batchSize')) || 100; // config에서 덮어씀
-const USE_MULTICALL = params.get('multicall') !== 'false';
-const DEBUG = params.get('debug') === 'true';
-const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
-
-// Config will be loaded from API
-let CHUNK_SIZE = 15000; // 15KB fallback
-let RPC_URL = "https://mainnet.megaeth.com/rpc";
-
-// ABIs
-const masterAbi = [{
-    name: 'getCurrentSiteInfo',
-    type: 'function',
-    stateMutability: 'view',
-    inputs: [],
-    outputs: [{
-        type: 'tuple',
-        components: [
-            { name: 'rootChunk', type: 'address' },
-            { name: 'depth', type: 'uint8' },
-            { name: 'totalSize', type: 'uint256' },
-            { name: 'siteType', type: 'uint8' }
-        ]
-    }]
-}];
-
-// MasterNFT ABI (for registry mode)
-const masterNFTAbi = [{
-    name: 'getSiteData',
-    type: 'function',
-    stateMutability: 'view',
-    inputs: [{ name: 'tokenId', type: 'uint256' }],
-    outputs: [{
-        type: 'tuple',
-        components: [
-            { name: 'rootChunk', type: 'address' },
-            { name: 'depth', type: 'uint8' },
-            { name: 'totalSize', type: 'uint256' },
-            { name: 'siteType', type: 'uint8' },
-            { name: 'creator', type: 'address' },
-            { name: 'version', type: 'uint256' },
-            { name: 'createdAt', type: 'uint256' },
-            { name: 'updatedAt', type: 'uint256' }
-        ]
-    }]
-}];
-
-const pageAbi = [{
-    name: 'read',
-    type: 'function',
-    stateMutability: 'view',
-    inputs: [],
-    outputs: [{ type: 'bytes' }]
-}];
-
-const multicall3Abi = [{
-    name: 'aggregate3',
-    type: 'function',
-    stateMutability: 'view',
-    inputs: [{
-        name: 'calls',
-        type: 'tuple[]',
-        components: [
-            { name: 'target', type: 'address' },
-            { name: 'allowFailure', type: 'bool' },
-            { name: 'callData', type: 'bytes' }
-        ]
-    }],
-    outputs: [{
-        name: 'returnData',
-        type: 'tuple[]',
-        components: [
-            { name: 'success', type: 'bool' },
-            { name: 'returnData', type: 'bytes' }
-        ]
-    }]
-}];
-
-// Viem client
-let client = null;
 
 // DOM Elements
 const loaderContainer = document.getElementById('loader-container');
@@ -126,124 +46,6 @@ function updateStats() {
     if (progressText) progressText.textContent = percent + '%';
 }
 
-// === UTILITY: Error message sanitization ===
-function sanitizeErrorMessage(message) {
-    if (!message) return 'Unknown error';
-    return message.replace(/https?:\/\/[^\s]+/gi, '[RPC]')
-                  .replace(/wss?:\/\/[^\s]+/gi, '[RPC]');
-}
-
-// === NETWORK FUNCTIONS ===
-async function fetchChunkData(address, retries = 3) {
-    for (let i = 0; i < retries; i++) {
-        try {
-            const data = await client.readContract({
-                address,
-                abi: pageAbi,
-                functionName: 'read'
-            });
-            return hexToBytes(data);
-        } catch (err) {
-            if (i === retries - 1) throw err;
-            const delay = 300 * Math.pow(2, i);
-            await new Promise(r => setTimeout(r, Math.min(delay, 3000)));
-        }
-    }
-}
-
-// 개별 청크 순차 로딩 (Multicall 실패 시 폴백)
-async function fetchChunksIndividually(addresses, retries = 3) {
-    const results = [];
-    for (const addr of addresses) {
-        try {
-            const data = await fetchChunkData(addr, retries);
-            results.push({ success: true, data });
-        } catch (err) {
-            results.push({ success: false, error: sanitizeErrorMessage(err.message) });
-        }
-    }
-    return results;
-}
-
-async function fetchChunksBatch(addresses, retries = 3) {
-    if (!USE_MULTICALL || addresses.length === 0) {
-        return fetchChunksIndividually(addresses, retries);
-    }
-
-    for (let i = 0; i < retries; i++) {
-        try {
-            const calls = addresses.map(addr => ({
-                target: addr,
-                allowFailure: true,
-                callData: '0x57de26a4' // read() function selector
-            }));
-
-            const results = await client.readContract({
-                address: MULTICALL3_ADDRESS,
-                abi: multicall3Abi,
-                functionName: 'aggregate3',
-                args: [calls]
-            });
-
-            return results.map((result, idx) => {
-                if (result.success && result.returnData !== '0x') {
-                    try {
-                        const decoded = decodeAbiParameters(
-                            [{ type: 'bytes' }],
-                            result.returnData
-                        );
-                        const data = hexToBytes(decoded[0]);
-                        return { success: true, data };
-                    } catch (e) {
-                        return { success: false, error: `Decode error: ${e.message}` };
-                    }
-                }
-                return { success: false, error: `Failed to fetch chunk ${idx}` };
-            });
-        } catch (err) {
-            if (i === retries - 1) {
-                // Multicall 최종 실패 시 개별 로딩으로 폴백
-                console.log('⚠️ Multicall failed, falling back to individual loading');
-                return fetchChunksIndividually(addresses, retries);
-            }
-            const delay = 300 * Math.pow(2, i);
-            await new Promise(r => setTimeout(r, Math.min(delay, 3000)));
-        }
-    }
-}
-
-// === COLLECT LEAF ADDRESSES ===
-async function collectLeafAddresses(rootChunk, depth) {
-    const leaves = [];
-
-    async function traverseNode(address, nodeDepth) {
-        if (nodeDepth === 0) {
-            leaves.push(address);
-            return;
-        }
-
-        try {
-            const data = await fetchChunkData(address, 3);
-            const childAddrs = [];
-            for (let i = 0; i < data.length; i += 20) {
-                childAddrs.push(toHex(data.slice(i, i + 20)));
-            }
-
-            setPhase(`Scanning depth ${nodeDepth}: ${childAddrs.length} nodes`);
-
-            for (const childAddr of childAddrs) {
-                await traverseNode(childAddr, nodeDepth - 1);
-            }
-        } catch (err) {
-            log(`Failed to traverse node: ${address.substring(0, 10)}...`);
-            throw err;
-        }
-    }
-
-    await traverseNode(rootChunk, depth);
-    return leaves;
-}
-
 // === DETECT AUDIO TYPE ===
 function detectAudioType(data) {
     // Check magic bytes
@@ -270,60 +72,24 @@ function detectAudioType(data) {
 }
 
 // === MAIN LOADER ===
-async function loadAudio(rootChunk, depth, totalSize) {
+async function loadAudio(siteData, blockTag) {
     setPhase('Scanning chunks...');
 
-    // Phase 1: Collect addresses
-    const leafAddresses = await collectLeafAddresses(rootChunk, depth);
-    totalChunks = leafAddresses.length;
-    log(`Found ${totalChunks} chunks`);
-
-    // Phase 2: Load chunks in batches
-    setPhase('Loading audio...');
-    const chunks = [];
-
-    for (let i = 0; i < leafAddresses.length; i += BATCH_SIZE) {
-        const batchEnd = Math.min(i + BATCH_SIZE, leafAddresses.length);
-        const batch = leafAddresses.slice(i, batchEnd);
-
-        setPhase(`Loading ${i + 1}-${batchEnd}/${totalChunks}${USE_MULTICALL ? ' (MULTICALL)' : ''}`);
-
-        try {
-            const results = await fetchChunksBatch(batch, 2);
-
-            results.forEach((result, idx) => {
-                const chunkIndex = i + idx;
-                if (result.success && result.data) {
-                    chunks[chunkIndex] = result.data;
-                    loadedChunks++;
-                    totalBytesLoaded += result.data.length;
-                    updateStats();
-                } else {
-                    log(`Failed chunk ${chunkIndex + 1}: ${result.error}`);
-                }
-            });
-
-            // Rate limiting
-            if (batchEnd < leafAddresses.length) {
-                await new Promise(r => setTimeout(r, 100));
-            }
-        } catch (err) {
-            log(`Batch ${Math.floor(i / BATCH_SIZE) + 1} failed: ${err.message}`);
-        }
-    }
-
-    // Phase 3: Assemble audio
-    setPhase('Assembling audio...');
-    const totalBytes = chunks.reduce((sum, c) => sum + (c?.length || 0), 0);
-    const finalData = new Uint8Array(totalBytes);
-    let offset = 0;
-
-    for (const chunk of chunks) {
-        if (chunk) {
-            finalData.set(chunk, offset);
-            offset += chunk.length;
-        }
-    }
+    const { data: finalData, served } = await readTree(siteData, blockTag, {
+        onScan: ({ depth, nodes }) => setPhase(`Scanning depth ${depth}: ${nodes} nodes`),
+        onStart: (total) => {
+            totalChunks = total;
+            log(`Found ${totalChunks} chunks`);
+            setPhase('Loading audio...');
+        },
+        onChunk: (index, chunk) => {
+            loadedChunks++;
+            totalBytesLoaded += chunk.length;
+            setPhase(`Loading ${index + 1}/${totalChunks}`);
+            updateStats();
+        },
+    });
+    const totalBytes = finalData.length;
 
     // Detect type and display
     const mimeType = detectAudioType(finalData);
@@ -350,6 +116,7 @@ async function loadAudio(rootChunk, depth, totalSize) {
 
     setPhase('Complete');
     log(`Audio loaded: ${totalChunks} chunks, ${formatBytes(totalBytes)}`);
+    log(`Served by ${formatServed(served)}`);
 }
 
 // === INIT ===
@@ -366,32 +133,9 @@ async function init() {
     }
 
     try {
-        // Load config from API
+        // Load config from API (iframe 내에서는 RPC 프록시 사용)
         setPhase('Loading config...');
-        let masterNftAddress = null;
-        try {
-            const configRes = await fetch('/api/config');
-            if (configRes.ok) {
-                const config = await configRes.json();
-                RPC_URL = config.rpcUrl;
-                CHUNK_SIZE = config.chunkSize || 15000;
-                masterNftAddress = config.masterNftAddress;
-                if (!params.get('batchSize') && config.batchSize) {
-                    BATCH_SIZE = config.batchSize;
-                }
-            }
-        } catch (e) {
-            console.warn('Failed to load config, using fallback values');
-        }
-
-        // iframe 내에서 실행 중이면 RPC 프록시 사용 (CORS 회피)
-        try {
-            if (window.self !== window.top) {
-                RPC_URL = '/api/rpc-proxy';
-            }
-        } catch (e) {
-            RPC_URL = '/api/rpc-proxy';
-        }
+        const { masterNftAddress } = await loadConfig(params);
 
         // Handle simplified ?site= parameter
         if (siteId && !registryAddress) {
@@ -405,45 +149,20 @@ async function init() {
             log(`Using simplified URL: site=${siteId}`);
         }
 
-        // Create viem client
-        client = createPublicClient({
-            transport: http(RPC_URL)
-        });
-
         setPhase('Connecting...');
 
-        let rootChunk, depth, totalSize;
-
         if (registryAddress && tokenId) {
             // MasterNFT Registry 모드
             log(`Registry mode: ${registryAddress}, Token ID: ${tokenId}`);
-            const siteData = await client.readContract({
-                address: registryAddress,
-                abi: masterNFTAbi,
-                functionName: 'getSiteData',
-                args: [BigInt(tokenId)]
-            });
-            rootChunk = siteData.rootChunk;
-            depth = siteData.depth;
-            totalSize = siteData.totalSize;
-        } else {
-            // Legacy Master Contract 모드
-            const info = await client.readContract({
-                address: masterAddress,
-                abi: masterAbi,
-                functionName: 'getCurrentSiteInfo'
-            });
-            rootChunk = info.rootChunk;
-            depth = info.depth;
-            totalSize = info.totalSize;
         }
+        const { siteData, blockTag, blockNumber } = await readSiteRecord({ registryAddress, tokenId, masterAddress });
 
-        log(`Root: ${rootChunk.substring(0, 10)}..., Depth: ${depth}`);
+        log(`Root: ${siteData.rootChunk.substring(0, 10)}..., Depth: ${siteData.depth}, Block: ${blockNumber}`);
 
-        await loadAudio(rootChunk, Number(depth), Number(totalSize));
+        await loadAudio(siteData, blockTag);
 
     } catch (err) {
-        log(`Error: ${err.message}`);
+        log(`Error: ${describeError(err)}`);
         setPhase('ERROR');
         console.error(err);
     }
@@ -0,0 +1,159 @@
+/**
+ * Loader chain access - config, site records and tree reads for the loader
+ * pages, on top of the shared WARREN SDK (./sdk, copied from the repo's sdk/).
+ *
+ * The SDK does the reading: Multicall batches, retries, RPC failover and
+ * the chunk cache. This module only maps /api/config onto the SDK's CONFIG
+ * and gives the pages their progress callbacks.
+ */
+
+import { CONFIG } from "./sdk/config.js";
+import { getSiteSnapshot, getMasterSiteSnapshot, streamContent } from "./sdk/site-loader.js";
+import { CHUNK_SIZE, RPC_URL } from "./config.js";
+
+/**
+ * Load /api/config into the SDK's CONFIG, over the fallback values in
+ * config.js. URL parameters win:
+ * ?batchSize=N sets the Multicall batch size, ?multicall=false reads one
+ * chunk per call. Inside an iframe every read goes through the
+ * same-origin /api/rpc-proxy (CORS).
+ * Returns the page settings: { masterNftAddress, siteId, digApiUrl, chunkSize }.
+ */
+export async function loadConfig(params) {
+    const settings = { masterNftAddress: null, siteId: null, digApiUrl: null, chunkSize: CHUNK_SIZE };
+    CONFIG.RPC_URL = RPC_URL;
+    try {
+        const res = await fetch('/api/config');
+        if (res.ok) {
+            const config = await res.json();
+            if (config.rpcUrl) CONFIG.RPC_URL = config.rpcUrl;
+            CONFIG.RPC_FALLBACK_URLS = config.rpcFallbackUrls || [];
+            if (config.batchSize) CONFIG.BATCH_SIZE = config.batchSize;
+            settings.masterNftAddress = config.masterNftAddress || null;
+            settings.siteId = config.siteId || null;
+            settings.digApiUrl = config.digApiUrl || null;
+            settings.chunkSize = config.chunkSize || CHUNK_SIZE;
+        }
+    } catch (e) {
+        console.warn('[loader] Failed to load config, using fallback values');
+    }
+
+    if (isFramed()) {
+        CONFIG.RPC_URL = '/api/rpc-proxy';
+        CONFIG.RPC_FALLBACK_URLS = [];
+    }
+
+    const batchSize = parseInt(params.get('batchSize'));
+    if (batchSize > 0) CONFIG.BATCH_SIZE = batchSize;
+    if (params.get('multicall') === 'false') CONFIG.BATCH_SIZE = 1;
+
+    return settings;
+}
+
+function isFramed() {
+    try {
+        return window.self !== window.top;
+    } catch (e) {
+        return true; // cross-origin parent
+    }
+}
+
+/**
+ * Read a site record: MasterNFT getSiteData for a registry and token ID,
+ * otherwise the legacy Master contract's getCurrentSiteInfo. As the first
+ * read of the page it also pins the block every tree read uses.
+ * Returns { siteData, blockTag, blockNumber }.
+ */
+export function readSiteRecord({ registryAddress, tokenId, masterAddress }) {
+    if (registryAddress && tokenId) {
+        return getSiteSnapshot(registryAddress, BigInt(tokenId), CONFIG.RPC_URL);
+    }
+    return getMasterSiteSnapshot(masterAddress, CONFIG.RPC_URL);
+}
+
+/**
+ * Read a site's tree in order. Handlers (all optional):
+ *   onScan({ depth, nodes })  - a tree level was read
+ *   onStart(total)            - leaf count, before the first chunk
+ *   onChunk(index, data)      - each leaf in order; a returned promise is
+ *                               awaited before the next one
+ * Resolves to the chunks each endpoint served, { [host or "cache"]: count }.
+ */
+export async function streamTree({ rootChunk, depth }, blockTag, handlers = {}) {
+    const { onScan, onStart, onChunk } = handlers;
+    const served = {};
+    let counted = 0;
+    const stream = streamContent(rootChunk, depth, CONFIG.RPC_URL, (progress) => {
+        if (progress.phase === 'scan') {
+            if (progress.depth) onScan?.(progress);
+        } else if (progress.loaded === 0) {
+            onStart?.(progress.total);
+        } else if (progress.endpoint) {
+            const label = endpointLabel(progress.endpoint);
+            served[label] = (served[label] || 0) + progress.loaded - counted;
+        }
+        if (progress.phase === 'load') counted = progress.loaded;
+    }, { blockTag });
+
+    const reader = stream.getReader();
+    for (let index = 0; ; index++) {
+        const { done, value } = await reader.read();
+        if (done) return served;
+        await onChunk?.(index, value);
+    }
+}
+
+/**
+ * streamTree, assembled: resolves to { data, served }.
+ */
+export async function readTree(siteData, blockTag, handlers = {}) {
+    const chunks = [];
+    let size = 0;
+    const served = await streamTree(siteData, blockTag, {
+        ...handlers,
+        onChunk: (index, data) => {
+            chunks.push(data);
+            size += data.length;
+            return handlers.onChunk?.(index, data);
+        },
+    });
+
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return { data: bytes, served };
+}
+
+/**
+ * "host: count, ..." for the log, busiest endpoint first
+ */
+export function formatServed(served) {
+    return Object.entries(served)
+        .sort((a, b) => b[1] - a[1])
+        .map(([label, count]) => `${label}: ${count}`)
+        .join(', ') || 'none';
+}
+
+// Endpoints are shown by host only: paths and queries often carry API keys
+function endpointLabel(endpoint) {
+    if (endpoint === 'cache') return endpoint;
+    try {
+        return new URL(endpoint, window.location.href).host;
+    } catch (e) {
+        return '[RPC]';
+    }
+}
+
+/**
+ * Error text for the page log: endpoint URLs (which may carry API keys)
+ * are replaced with [RPC].
+ */
+export function describeError(err) {
+    const message = err?.message;
+    if (!message) return 'Unknown error';
+    return message.replace(/https?:\/\/[^\s]+/gi, '[RPC]')
+                  .replace(/wss?:\/\/[^\s]+/gi, '[RPC]');
+}
@@ -1,4 +1,7 @@
-import { createPublicClient, http, hexToBytes, toHex, decodeAbiParameters } from "https://esm.sh/viem@2.21.0";
+import { CONFIG } from "./sdk/config.js";
+import { loadConfig, readSiteRecord, readTree, formatServed, describeError } from "./chain.js";
+import { isZip } from "./sdk/zip.js";
+import { renderArchiveSite } from "./archive.js";
 
 // URL 파라미터로 배치 사이즈 조정 가능
 // /v/site=X 또는 /v/master=X 형식의 pathname도 지원
@@ -9,100 +12,14 @@ if (pathname.startsWith('/v/site=')) {
 } else if (pathname.startsWith('/v/master=')) {
     params.set('master', pathname.replace('/v/master=', ''));
 }
-let BATCH_SIZE = parseInt(params.get('batchSize')) || 100; // 기본값, config에서 덮어씀
-const USE_MULTICALL = params.get('multicall') !== 'false'; // 기본 true
+// ?batchSize=N, ?multicall=false 는 loadConfig에서 처리
 const DEBUG = params.get('debug') === 'true'; // 디버그 모드
 const IS_BOT = params.get('bot') === '1'; // bot 모드: view 기록 스킵
-const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11'; // Multicall3 (universal)
 
 // Config will be loaded from API
 let CHUNK_SIZE = 15000; // 15KB fallback
-let RPC_URL = "https://mainnet.megaeth.com/rpc"; // fallback (Mainnet)
 let DIG_API_URL = null;
 
-// ABIs
-// Legacy Master contract ABI
-const masterAbi = [
-    {
-        name: 'getCurrentSiteInfo',
-        type: 'function',
-        stateMutability: 'view',
-        inputs: [],
-        outputs: [{
-            type: 'tuple',
-            components: [
-                { name: 'rootChunk', type: 'address' },
-                { name: 'depth', type: 'uint8' },
-                { name: 'totalSize', type: 'uint256' },
-                { name: 'siteType', type: 'uint8' }
-            ]
-        }]
-    }
-];
-
-// MasterNFT registry ABI
-const masterNFTAbi = [
-    {
-        name: 'getSiteData',
-        type: 'function',
-        stateMutability: 'view',
-        inputs: [{ name: 'tokenId', type: 'uint256' }],
-        outputs: [{
-            type: 'tuple',
-            components: [
-                { name: 'rootChunk', type: 'address' },
-                { name: 'depth', type: 'uint8' },
-                { name: 'totalSize', type: 'uint256' },
-                { name: 'siteType', type: 'uint8' },
-                { name: 'creator', type: 'address' },
-                { name: 'version', type: 'uint256' },
-                { name: 'createdAt', type: 'uint256' },
-                { name: 'updatedAt', type: 'uint256' }
-            ]
-        }]
-    }
-];
-const pageAbi = [
-    {
-        name: 'read',
-        type: 'function',
-        stateMutability: 'view',
-        inputs: [],
-        outputs: [{ type: 'bytes' }]
-    }
-];
-const multicall3Abi = [
-    {
-        name: 'aggregate3',
-        type: 'function',
-        stateMutability: 'view',
-        inputs: [
-            {
-                name: 'calls',
-                type: 'tuple[]',
-                components: [
-                    { name: 'target', type: 'address' },
-                    { name: 'allowFailure', type: 'bool' },
-                    { name: 'callData', type: 'bytes' }
-                ]
-            }
-        ],
-        outputs: [
-            {
-                name: 'returnData',
-                type: 'tuple[]',
-                components: [
-                    { name: 'success', type: 'bool' },
-                    { name: 'returnData', type: 'bytes' }
-                ]
-            }
-        ]
-    }
-];
-
-// Viem client will be created after loading config
-let client = null;
-
 // DOM Elements
 const loaderContainer = document.getElementById('loader-container');
 const logContainer = document.getElementById('log-container');
@@ -123,7 +40,6 @@ let loadedChunks = 0;
 let bytesLoaded = 0;
 let chunkCells = [];
 let expectedTotal = 0;
-let isRetrying = false;
 
 const DONUT_CIRCUMFERENCE = 251.2;
 
@@ -161,9 +77,7 @@ function updateDonutChart() {
 
     const percent = Math.round(loadedRatio * 100);
     if (percentageDisplay) percentageDisplay.textContent = `${percent}%`;
-    if (percentageLabel) {
-        percentageLabel.textContent = isRetrying ? 'RETRY' : 'LOADING';
-    }
+    if (percentageLabel) percentageLabel.textContent = 'LOADING';
 
     if (loadedCountDisplay) loadedCountDisplay.textContent = String(loadedChunks);
     if (scannedCountDisplay) scannedCountDisplay.textContent = String(scannedChunks);
@@ -195,12 +109,6 @@ function updateChunkScanned(index) {
     updateDonutChart();
 }
 
-function updateChunkLoading(index) {
-    if (index >= 0 && index < chunkCells.length) {
-        chunkCells[index].className = 'chunk chunk-loading';
-    }
-}
-
 function updateChunkLoaded(index) {
     if (index >= 0 && index < chunkCells.length) {
         chunkCells[index].className = 'chunk chunk-loaded';
@@ -209,306 +117,44 @@ function updateChunkLoaded(index) {
     updateDonutChart();
 }
 
-function updateChunkFailed(index) {
-    if (index >= 0 && index < chunkCells.length) {
-        chunkCells[index].className = 'chunk chunk-failed';
-    }
-}
-
-function updateChunkRetrying(index) {
-    if (index >= 0 && index < chunkCells.length) {
-        chunkCells[index].className = 'chunk chunk-loading';
-    }
-}
-
-// === UTILITY: Error message sanitization ===
-// RPC URL을 에러 메시지에서 제거 (보안)
-function sanitizeErrorMessage(message) {
-    if (!message) return 'Unknown error';
-    return message.replace(/https?:\/\/[^\s]+/gi, '[RPC]')
-                  .replace(/wss?:\/\/[^\s]+/gi, '[RPC]');
-}
-
-// === NETWORK FUNCTIONS ===
-// Fast sequential chunk fetch (no delay between requests)
-async function fetchChunkData(address, retries = 3) {
-    for (let i = 0; i < retries; i++) {
-        try {
-            const data = await client.readContract({
-                address,
-                abi: pageAbi,
-                functionName: 'read'
-            });
-            return hexToBytes(data);
-        } catch (err) {
-            if (i === retries - 1) throw err;
-            const delay = 200 * Math.pow(2, i);
-            await new Promise(r => setTimeout(r, Math.min(delay, 2000)));
-        }
-    }
-}
-
-// 개별 청크 순차 로딩 (Multicall 실패 시 폴백)
-async function fetchChunksIndividually(addresses, retries = 3) {
-    const results = [];
-    for (const addr of addresses) {
-        try {
-            const data = await fetchChunkData(addr, retries);
-            results.push({ success: true, data });
-        } catch (err) {
-            results.push({ success: false, error: sanitizeErrorMessage(err.message) });
-        }
-    }
-    return results;
-}
-
-// Multicall을 사용하여 여러 청크를 한번에 가져오기
-async function fetchChunksBatch(addresses, retries = 3) {
-    if (!USE_MULTICALL || addresses.length === 0) {
-        // Multicall 비활성화 시 순차 처리
-        return fetchChunksIndividually(addresses, retries);
-    }
-
-    // Multicall3 사용
-    for (let i = 0; i < retries; i++) {
-        try {
-            // Page.read() 함수 호출을 위한 calldata 생성
-            const calls = addresses.map(addr => ({
-                target: addr,
-                allowFailure: true,
-                callData: '0x57de26a4' // read() function selector
-            }));
-
-            const results = await client.readContract({
-                address: MULTICALL3_ADDRESS,
-                abi: multicall3Abi,
-                functionName: 'aggregate3',
-                args: [calls]
-            });
-
-            // 결과 파싱
-            return results.map((result, idx) => {
-                if (result.success && result.returnData !== '0x') {
-                    try {
-                        // viem의 decodeAbiParameters를 사용하여 정확한 ABI 디코딩
-                        const decoded = decodeAbiParameters(
-                            [{ type: 'bytes' }],
-                            result.returnData
-                        );
-                        const data = hexToBytes(decoded[0]);
-
-                        if (DEBUG) {
-                            console.log(`📦 Multicall chunk #${idx}: ${data.length} bytes`);
-                        }
-
-                        return { success: true, data };
-                    } catch (e) {
-                        if (DEBUG) {
-                            console.error(`❌ Failed to decode chunk #${idx}:`, e.message);
-                        }
-                        return { success: false, error: `Decode error: ${e.message}` };
-                    }
-                }
-                return { success: false, error: `Failed to fetch chunk ${idx}` };
-            });
-        } catch (err) {
-            if (i === retries - 1) {
-                // Multicall 최종 실패 시 개별 로딩으로 폴백
-                if (DEBUG) console.log('⚠️ Multicall failed, falling back to individual loading');
-                return fetchChunksIndividually(addresses, retries);
-            }
-            const delay = 300 * Math.pow(2, i);
-            await new Promise(r => setTimeout(r, Math.min(delay, 3000)));
-        }
-    }
-}
-
-// === PHASE 1: COLLECT ALL LEAF ADDRESSES ===
-async function collectLeafAddresses(rootChunk, depth) {
-    const leaves = [];
-    let currentIndex = 0;
-
-    async function traverseNode(address, nodeDepth) {
-        if (nodeDepth === 0) {
-            leaves.push({ index: currentIndex++, address });
-            updateChunkScanned(leaves.length - 1);
-            return;
-        }
-
-        try {
-            const data = await fetchChunkData(address, 3);
-            const childAddrs = [];
-            for (let i = 0; i < data.length; i += 20) {
-                childAddrs.push(toHex(data.slice(i, i + 20)));
-            }
-
-            setPhase(`SCAN DEPTH ${nodeDepth}: ${childAddrs.length} nodes`);
-
-            for (const childAddr of childAddrs) {
-                await traverseNode(childAddr, nodeDepth - 1);
-            }
-        } catch (err) {
-            log(`Failed to traverse node: ${address.substring(0, 10)}...`);
-            throw err;
-        }
-    }
-
-    await traverseNode(rootChunk, depth);
-    return leaves;
-}
-
-// === PHASE 2: BATCH LOADING (Multicall 지원) ===
-async function loadChunksInBatches(leaves) {
-    const chunks = [];
-    const failed = [];
-
-    // 배치로 나누기
-    for (let i = 0; i < leaves.length; i += BATCH_SIZE) {
-        const batch = leaves.slice(i, Math.min(i + BATCH_SIZE, leaves.length));
-        const batchAddresses = batch.map(l => l.address);
-
-        setPhase(`LOADING ${i + 1}-${Math.min(i + BATCH_SIZE, leaves.length)} / ${leaves.length}${USE_MULTICALL ? ' (MULTICALL)' : ''}`);
-
-        // 배치 내 모든 청크를 로딩 상태로 표시
-        batch.forEach(leaf => updateChunkLoading(leaf.index));
-
-        try {
-            const results = await fetchChunksBatch(batchAddresses, 2);
-
-            // 결과 검증 및 처리
-            if (results.length !== batch.length) {
-                console.error(`Result count mismatch: expected ${batch.length}, got ${results.length}`);
-            }
-
-            results.forEach((result, idx) => {
-                const leaf = batch[idx];
-                if (result.success && result.data) {
-                    chunks.push({ index: leaf.index, data: result.data });
-                    bytesLoaded += result.data.length;
-                    updateChunkLoaded(leaf.index);
-
-                    if (DEBUG) {
-                        console.log(`✅ Chunk #${leaf.index}: ${result.data.length} bytes`);
-                    }
-                } else {
-                    failed.push(leaf);
-                    updateChunkFailed(leaf.index);
-                    log(`❌ Chunk #${leaf.index + 1}: ${result.error || 'Unknown error'}`);
-                }
-            });
-        } catch (err) {
-            // 배치 전체 실패
-            batch.forEach(leaf => {
-                failed.push(leaf);
-                updateChunkFailed(leaf.index);
-            });
-            log(`Batch ${i / BATCH_SIZE + 1} failed: ${err.message}`);
-        }
-
-        // 다음 배치 전 짧은 대기 (RPC 부하 감소)
-        if (i + BATCH_SIZE < leaves.length) {
-            await new Promise(r => setTimeout(r, 100));
-        }
-    }
-
-    // 최종 검증
-    if (DEBUG) {
-        console.log(`Total chunks collected: ${chunks.length}, Expected: ${leaves.length}, Failed: ${failed.length}`);
-        const sortedChunks = [...chunks].sort((a, b) => a.index - b.index);
-        for (let i = 0; i < sortedChunks.length; i++) {
-            if (sortedChunks[i].index !== i) {
-                console.error(`⚠️ Missing chunk at index ${i}`);
-            }
-        }
-    }
-
-    return { chunks, failed };
-}
-
-// === PHASE 3: RETRY FAILED CHUNKS ===
-async function retryFailedChunks(failed, chunks) {
-    if (failed.length === 0) return;
-
-    isRetrying = true;
-    let retryRound = 0;
-    let toRetry = [...failed];
-
-    while (toRetry.length > 0 && retryRound < 5) {
-        retryRound++;
-        const stillFailed = [];
-
-        setPhase(`RETRY ${retryRound}: ${toRetry.length} chunks`);
-        log(`Retry round ${retryRound}: ${toRetry.length} chunks`);
-
-        await new Promise(r => setTimeout(r, 500 * retryRound));
-
-        for (const leaf of toRetry) {
-            updateChunkRetrying(leaf.index);
-
-            try {
-                const data = await fetchChunkData(leaf.address, 3);
-                chunks.push({ index: leaf.index, data });
-                bytesLoaded += data.length;
-                updateChunkLoaded(leaf.index);
-            } catch (err) {
-                stillFailed.push(leaf);
-                updateChunkFailed(leaf.index);
-            }
-
-            await new Promise(r => setTimeout(r, 100));
-        }
-
-        toRetry = stillFailed;
-    }
-
-    isRetrying = false;
-
-    if (toRetry.length > 0) {
-        log(`${toRetry.length} chunks permanently failed`);
-    }
-}
-
-// === MAIN LOADER (BATCH/MULTICALL) ===
-async function fetchTreeSequential(rootChunk, depth, totalSize) {
+// === MAIN LOADER ===
+// The SDK scans the tree a level at a time, then reads the leaves in
+// Multicall batches with retries and RPC failover
+async function fetchTree(siteData, blockTag) {
     initChunkGrid(expectedTotal);
 
-    log(`Loader Config: BatchSize=${BATCH_SIZE}, Multicall=${USE_MULTICALL ? 'ON' : 'OFF'}, Debug=${DEBUG ? 'ON' : 'OFF'}`);
+    log(`Loader Config: BatchSize=${CONFIG.BATCH_SIZE}, Multicall=${CONFIG.BATCH_SIZE > 1 ? 'ON' : 'OFF'}, Debug=${DEBUG ? 'ON' : 'OFF'}`);
 
     // Phase 1: Collect all leaf addresses
     setPhase('PHASE 1: SCANNING');
     log("Phase 1: Collecting chunk addresses...");
-    const leaves = await collectLeafAddresses(rootChunk, depth);
-    log(`Found ${leaves.length} leaf chunks`);
-
-    // Phase 2: Batch loading with optional multicall
-    setPhase('PHASE 2: LOADING');
-    log(`Phase 2: Loading in batches (${BATCH_SIZE} per batch)...`);
-    const { chunks, failed } = await loadChunksInBatches(leaves);
-    log(`Loaded: ${chunks.length}, Failed: ${failed.length}`);
-
-    // Phase 3: Retry failed chunks
-    if (failed.length > 0) {
-        setPhase('PHASE 3: RETRY');
-        log("Phase 3: Retrying failed chunks...");
-        await retryFailedChunks(failed, chunks);
-    }
-
-    // Sort by index and assemble
-    chunks.sort((a, b) => a.index - b.index);
-
-    setPhase('ASSEMBLING');
-    const totalBytes = chunks.reduce((sum, c) => sum + c.data.length, 0);
-    const finalData = new Uint8Array(totalBytes);
 
-    let offset = 0;
-    for (const chunk of chunks) {
-        finalData.set(chunk.data, offset);
-        offset += chunk.data.length;
-    }
-
-    if (bytesTotalDisplay) bytesTotalDisplay.textContent = formatBytes(totalBytes);
-
-    log(`Complete! ${chunks.length} chunks, ${formatBytes(totalBytes)}`);
+    const { data: finalData, served } = await readTree(siteData, blockTag, {
+        onScan: ({ depth, nodes }) => setPhase(`SCAN DEPTH ${depth}: ${nodes} nodes`),
+        onStart: (total) => {
+            log(`Found ${total} leaf chunks`);
+            if (total !== expectedTotal) {
+                expectedTotal = total;
+                initChunkGrid(total);
+            }
+            for (let i = 0; i < total; i++) updateChunkScanned(i);
+
+            // Phase 2: Batch loading
+            setPhase('PHASE 2: LOADING');
+            log(`Phase 2: Loading in batches (${CONFIG.BATCH_SIZE} per batch)...`);
+        },
+        onChunk: (index, chunk) => {
+            bytesLoaded += chunk.length;
+            updateChunkLoaded(index);
+            setPhase(`LOADING ${index + 1} / ${expectedTotal}`);
+            if (DEBUG) console.log(`✅ Chunk #${index}: ${chunk.length} bytes`);
+        },
+    });
+
+    if (bytesTotalDisplay) bytesTotalDisplay.textContent = formatBytes(finalData.length);
+
+    log(`Complete! ${loadedChunks} chunks, ${formatBytes(finalData.length)}`);
+    log(`Served by ${formatServed(served)}`);
     return finalData;
 }
 
@@ -552,39 +198,14 @@ async function init() {
     }
 
     // Load config from API first (for subdomain mode support)
-    setPhase('LOADING CONFIG');
-    let masterNftAddress = null;
-    let configSiteId = null;
-    try {
-        const configRes = await fetch('/api/config');
-        if (configRes.ok) {
-            const config = await configRes.json();
-            RPC_URL = config.rpcUrl;
-            CHUNK_SIZE = config.chunkSize || 15000;
-            masterNftAddress = config.masterNftAddress;
-            configSiteId = config.siteId; // Subdomain mode: siteId from server
-            DIG_API_URL = config.digApiUrl || null;
-            // URL 파라미터가 없으면 서버 설정 사용
-            if (!params.get('batchSize') && config.batchSize) {
-                BATCH_SIZE = config.batchSize;
-            }
-            if (DEBUG) console.log(`Config loaded: RPC=${RPC_URL}, BatchSize=${BATCH_SIZE}, siteId=${configSiteId}`);
-        }
-    } catch (e) {
-        console.warn('Failed to load config, using fallback values');
-    }
-
     // iframe 내에서 실행 중이면 RPC 프록시 사용 (CORS 회피)
-    try {
-        if (window.self !== window.top) {
-            RPC_URL = '/api/rpc-proxy';
-            if (DEBUG) console.log('Running in iframe, using RPC proxy');
-        }
-    } catch (e) {
-        // cross-origin iframe에서 window.top 접근 시 에러 → iframe 확정
-        RPC_URL = '/api/rpc-proxy';
-        if (DEBUG) console.log('Cross-origin iframe detected, using RPC proxy');
-    }
+    setPhase('LOADING CONFIG');
+    const config = await loadConfig(params);
+    const { masterNftAddress } = config;
+    const configSiteId = config.siteId; // Subdomain mode: siteId from server
+    CHUNK_SIZE = config.chunkSize;
+    DIG_API_URL = config.digApiUrl;
+    if (DEBUG) console.log(`Config loaded: BatchSize=${CONFIG.BATCH_SIZE}, siteId=${configSiteId}`);
 
     // Subdomain mode: use siteId from config if not provided in URL
     if (!siteId && configSiteId) {
@@ -613,43 +234,26 @@ async function init() {
             }
         }
 
-        // Create viem client with loaded config
-        client = createPublicClient({
-            transport: http(RPC_URL)
-        });
-
-        setPhase('CONNECTING');
-
-        let rootChunk, depth, totalSize, siteType;
-        let displayAddress = masterAddress;
-
         if (registryAddress && tokenId) {
             // MasterNFT Registry 모드
             setPhase('READING NFT REGISTRY');
             log(`Registry: ${registryAddress.substring(0, 10)}..., Token ID: ${tokenId}`);
+        } else {
+            // Legacy Master 모드
+            setPhase('READING CONTRACT');
+        }
 
-            const siteData = await client.readContract({
-                address: registryAddress,
-                abi: masterNFTAbi,
-                functionName: 'getSiteData',
-                args: [BigInt(tokenId)]
-            });
+        // The first read also pins the block the whole tree is read at
+        const { siteData, blockTag, blockNumber } = await readSiteRecord({ registryAddress, tokenId, masterAddress });
+        const { rootChunk, depth, totalSize, siteType } = siteData;
 
-            ({ rootChunk, depth, totalSize, siteType } = siteData);
+        let displayAddress = masterAddress;
+        if (registryAddress && tokenId) {
             displayAddress = `${registryAddress}&id=${tokenId}`;
             log(`Version: ${siteData.version}, Creator: ${siteData.creator.substring(0, 10)}...`);
-        } else {
-            // Legacy Master 모드
-            setPhase('READING CONTRACT');
-            const info = await client.readContract({
-                address: masterAddress,
-                abi: masterAbi,
-                functionName: 'getCurrentSiteInfo'
-            });
-            ({ rootChunk, depth, totalSize, siteType } = info);
         }
 
-        log(`Root: ${rootChunk.substring(0, 10)}..., Depth: ${depth}, SiteType: ${siteType}`);
+        log(`Root: ${rootChunk.substring(0, 10)}..., Depth: ${depth}, SiteType: ${siteType}, Block: ${blockNumber}`);
 
         // Check if we need to redirect to a specialized loader
         const numSiteType = Number(siteType);
@@ -660,11 +264,23 @@ async function init() {
         expectedTotal = Math.ceil(Number(totalSize) / CHUNK_SIZE);
         if (bytesTotalDisplay) bytesTotalDisplay.textContent = formatBytes(Number(totalSize));
 
-        // Use sequential loader (no multicall)
-        const htmlData = await fetchTreeSequential(rootChunk, Number(depth), Number(totalSize));
+        const htmlData = await fetchTree(siteData, blockTag);
 
         setPhase('RENDERING');
 
+        // Record view first (fire-and-forget) before top-level render replaces this document
+        if (siteId && DIG_API_URL && !IS_BOT) {
+            fetch(`${DIG_API_URL}/api/dig/site/${siteId}/view`, { method: 'POST', keepalive: true }).catch(() => {});
+        }
+
+        // Archive site: a ZIP of a whole website, unpacked and served from here
+        if (numSiteType === 1 && isZip(htmlData)) {
+            setPhase('UNPACKING ARCHIVE');
+            await renderArchiveSite(htmlData, params.get('path') || '/');
+            window.__WARREN_LOADED = true;
+            return;
+        }
+
         // Encoding detection and decoding
         const asciiPreview = new TextDecoder('ascii', { fatal: false }).decode(htmlData.slice(0, 2000));
         const charsetMatch = asciiPreview.match(/charset=["']?(euc-kr|cp949|ks_c_5601-1987)/i);
@@ -677,11 +293,6 @@ async function init() {
             htmlString = new TextDecoder('utf-8').decode(htmlData);
         }
 
-        // Record view first (fire-and-forget) before top-level render replaces this document
-        if (siteId && DIG_API_URL && !IS_BOT) {
-            fetch(`${DIG_API_URL}/api/dig/site/${siteId}/view`, { method: 'POST', keepalive: true }).catch(() => {});
-        }
-
         loaderContainer.style.display = 'none';
 
         // Render final content at top-level (avoids iframe/srcdoc provider-context issues)
@@ -693,7 +304,7 @@ async function init() {
         window.__WARREN_LOADED = true;
 
     } catch (err) {
-        log(`Error: ${err.message}`);
+        log(`Error: ${describeError(err)}`);
         setPhase('ERROR');
         console.error(err);
     }
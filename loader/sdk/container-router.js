@@ -0,0 +1,182 @@
+/**
+ * WARREN Container Router
+ *
+ * Static-host routing for WarrenContainer sites, so static-site-generator
+ * output can be deployed as is. A request path resolves, in order, to:
+ *
+ * 1. A forced rule from /_redirects ("!" after the status)
+ * 2. The exact file
+ * 3. A directory index: /docs/ -> /docs/index.html (/docs redirects to /docs/)
+ * 4. A clean URL: /about -> /about.html
+ * 5. Any other /_redirects rule
+ * 6. /index.html, in SPA fallback mode
+ * 7. /404.html with status 404
+ *
+ * /_redirects follows the Netlify format: "from to [status][!]" per line,
+ * with :placeholders and a * splat in `from` substituted into `to`. Status
+ * defaults to 301; 200 rewrites without redirecting and 404 serves `to` as
+ * the not-found page. A redirect may leave the site for an http(s) URL
+ * only; a target with any other scheme is treated as not found.
+ */
+
+const MAX_REDIRECTS = 5;
+
+// _redirects is untrusted site content: a javascript:, data: or
+// chrome-extension: target would run with the privileges of the page
+// following it
+const EXTERNAL_URL = /^https?:\/\//i;
+const HAS_SCHEME = /^[a-z][a-z0-9+.-]*:/i;
+
+/**
+ * Build a router over an open container (see openContainer).
+ * options.spa serves /index.html for every path that matches nothing else.
+ */
+export async function createContainerRouter(container, options = {}) {
+  const { spa = false } = options;
+
+  let rules = [];
+  if (container.has("/_redirects")) {
+    try {
+      const file = await container.read("/_redirects");
+      rules = parseRedirects(new TextDecoder("utf-8").decode(file.data));
+    } catch (err) {
+      console.warn("[router] Failed to read /_redirects:", err.message);
+    }
+  }
+
+  /**
+   * Route one path. Returns { status, file } where `file` is the container
+   * path to serve (null when nothing matches), or { status, location } for
+   * a redirect.
+   */
+  function route(path) {
+    const forced = matchRule(rules, path, true);
+    if (forced) return applyRule(forced);
+
+    const found = lookup(path);
+    if (found) return found;
+
+    const rule = matchRule(rules, path, false);
+    if (rule) return applyRule(rule);
+
+    if (spa && container.has("/index.html")) return { status: 200, file: "/index.html" };
+    return { status: 404, file: container.has("/404.html") ? "/404.html" : null };
+  }
+
+  function lookup(path) {
+    if (!path.endsWith("/") && container.has(path)) return { status: 200, file: path };
+    if (path.endsWith("/") && container.has(path + "index.html")) return { status: 200, file: path + "index.html" };
+    if (!path.endsWith("/") && container.has(path + "/index.html")) return { status: 301, location: path + "/" };
+
+    const bare = path.endsWith("/") ? path.slice(0, -1) : path;
+    if (bare && container.has(bare + ".html")) return { status: 200, file: bare + ".html" };
+    return null;
+  }
+
+  function applyRule({ status, target }) {
+    const notFound = { status: 404, file: container.has("/404.html") ? "/404.html" : null };
+    if (HAS_SCHEME.test(target) && !EXTERNAL_URL.test(target)) return notFound;
+
+    if (status === 200 || status === 404) {
+      // Rewrites serve the target file without changing the URL
+      const found = lookup(target.split(/[?#]/)[0]);
+      if (found && found.file) return { status, file: found.file };
+      return notFound;
+    }
+    return { status, location: target };
+  }
+
+  /**
+   * Route `path`, following redirects inside the container. Returns
+   * { status, file, url } where `url` is the path the page is shown at
+   * (relative references resolve against it), or { external } with an
+   * http(s) URL when a redirect leaves the container.
+   */
+  function resolve(path) {
+    let url = path;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const result = route(url);
+      if (!result.location) return { ...result, url };
+      if (EXTERNAL_URL.test(result.location)) return { external: result.location };
+      url = decodePath(resolveLocation(result.location, url).pathname);
+    }
+    console.warn(`[router] Too many redirects from ${path}`);
+    return { status: 508, file: null, url };
+  }
+
+  return { route, resolve, rules };
+}
+
+/**
+ * Resolve a redirect `location` ("/docs/", "docs/", "../a?b#c") against the
+ * site path `from`. Returns a URL on a placeholder origin: only its
+ * pathname (percent-encoded), search and hash are meaningful.
+ */
+export function resolveLocation(location, from) {
+  return new URL(location, "http://site" + from.split("/").map(encodeURIComponent).join("/"));
+}
+
+function decodePath(pathname) {
+  try {
+    return decodeURIComponent(pathname);
+  } catch {
+    return pathname;
+  }
+}
+
+/**
+ * Parse a _redirects file into [{ from, to, status, force, pattern }]
+ */
+export function parseRedirects(text) {
+  const rules = [];
+  for (const raw of text.split("\n")) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) continue;
+
+    const [from, to, statusField = "301"] = line.split(/\s+/);
+    if (!from || !to || !from.startsWith("/")) continue;
+
+    let pattern;
+    try {
+      pattern = compilePattern(from);
+    } catch {
+      console.warn(`[router] Skipping invalid redirect rule: ${line}`);
+      continue;
+    }
+
+    rules.push({
+      from,
+      to,
+      status: parseInt(statusField, 10) || 301,
+      force: statusField.endsWith("!"),
+      pattern,
+    });
+  }
+  return rules;
+}
+
+// "/blog/:year/*" -> /^\/blog\/(?<year>[^/]+)\/(?<splat>.*)\/?$/
+function compilePattern(from) {
+  const source = from
+    .replace(/\/$/, "")
+    .split(/(:[A-Za-z_]\w*|\*)/)
+    .map((part) => {
+      if (part === "*") return "(?<splat>.*)";
+      if (part.startsWith(":")) return `(?<${part.slice(1)}>[^/]+)`;
+      return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}/?$`);
+}
+
+function matchRule(rules, path, forced) {
+  for (const rule of rules) {
+    if (rule.force !== forced) continue;
+    const match = rule.pattern.exec(path);
+    if (!match) continue;
+    const groups = match.groups || {};
+    const target = rule.to.replace(/:([A-Za-z_]\w*)/g, (m, name) => (name in groups ? groups[name] : m));
+    return { status: rule.status, target };
+  }
+  return null;
+}
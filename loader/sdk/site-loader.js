@@ -0,0 +1,1186 @@
+/**
+ * WARREN Site Loader
+ *
+ * Loads site content from on-chain fractal tree.
+ * Shared by the SDK's reader, the extension and the loader pages.
+ * Uses raw JSON-RPC + Multicall3 for minimal dependencies.
+ */
+
+import { CONFIG } from "./config.js";
+import { keccak256 } from "./keccak256.js";
+import { getCachedChunks, putCachedChunks } from "./chunk-cache.js";
+import { getRpcPool } from "./rpc-pool.js";
+import { readZip, extractZipEntry } from "./zip.js";
+
+const MULTICALL3_ADDRESS = CONFIG.MULTICALL3_ADDRESS;
+const READ_SELECTOR = "0x57de26a4"; // keccak256("read()")[:4]
+const GET_BLOCK_NUMBER_SELECTOR = "0x42cbb15c"; // Multicall3 getBlockNumber()
+
+// MasterNFT getSiteData(uint256) selector
+const GET_SITE_DATA_SELECTOR = "0x7328a941"; // keccak256("getSiteData(uint256)")[:4]
+
+// Legacy Master contract (one site per contract)
+const GET_CURRENT_SITE_INFO_SELECTOR = "0x7f2b8c03"; // keccak256("getCurrentSiteInfo()")[:4]
+
+// WarrenContainer selectors
+const CONTAINER_GET_SITE_DATA = "0x7328a941"; // getSiteData(uint256)
+const CONTAINER_GET_FILE_PATHS = "0x45f6528d"; // getFilePaths(uint256)
+const CONTAINER_GET_PATH_STRING = "0xd80f14a8"; // getPathString(bytes32)
+const CONTAINER_GET_FILE = "0x702f2ee1"; // getFile(uint256,bytes32)
+
+// Container site type constants
+const CONTAINER_SITE_TYPE = {
+  SITE_CONTAINER: 1,
+  NFT_CONTAINER: 2,
+};
+
+const DEFAULT_FILES = {
+  1: "/index.html",
+  2: "/collection.json",
+};
+
+/**
+ * Load site content by tokenId from MasterNFT
+ *
+ * options.concurrency caps how many Multicall batches are in flight at once
+ * (defaults to CONFIG.MAX_CONCURRENCY); options.bypassCache skips the
+ * persistent chunk cache and reloads every chunk from chain.
+ * options.blockTag pins every read to one block (see pinBlock); the block
+ * actually read is returned as blockNumber.
+ */
+export async function loadMasterNFTSite(registryAddress, tokenId, rpcUrl, onProgress, options = {}) {
+  // 1. Get site data from MasterNFT (and the block it was read at)
+  const { siteData, blockTag, blockNumber } = await getSiteSnapshot(registryAddress, tokenId, rpcUrl, options.blockTag);
+
+  if (!siteData.rootChunk || siteData.rootChunk === "0x0000000000000000000000000000000000000000") {
+    throw new Error("Site not found");
+  }
+
+  // 2. Load content from fractal tree
+  const { data, siteType, endpoints } = await loadContent(siteData.rootChunk, siteData.depth, siteData.totalSize, siteData.siteType, rpcUrl, onProgress, { ...options, blockTag });
+  return { data, siteType, blockNumber, endpoints, siteData };
+}
+
+/**
+ * Resolve a block tag to one concrete block so a load session reads a
+ * consistent snapshot. A number or hex tag is used as given, letting callers
+ * render a site as it was at a past block; "latest" costs one
+ * eth_blockNumber, which snapshotCalls avoids by asking Multicall3 instead.
+ */
+export async function pinBlock(rpcUrl, blockTag = "latest") {
+  if (typeof blockTag === "number" || typeof blockTag === "bigint") {
+    return { blockTag: "0x" + blockTag.toString(16), blockNumber: Number(blockTag) };
+  }
+  if (/^0x[0-9a-f]+$/i.test(blockTag)) {
+    return { blockTag, blockNumber: parseInt(blockTag, 16) };
+  }
+  if (/^\d+$/.test(blockTag)) {
+    return pinBlock(rpcUrl, Number(blockTag));
+  }
+
+  if (blockTag === "latest") {
+    const latest = await rpcCall(rpcUrl, "eth_blockNumber", []);
+    return { blockTag: latest, blockNumber: parseInt(latest, 16) };
+  }
+
+  // Named tags ("safe", "finalized", ...)
+  const block = await rpcCall(rpcUrl, "eth_getBlockByNumber", [blockTag, false]);
+  if (!block) throw new Error(`Unknown block: ${blockTag}`);
+  return { blockTag: block.number, blockNumber: parseInt(block.number, 16) };
+}
+
+/**
+ * Run eth_calls as one snapshot and report the block it was taken at.
+ * With "latest" the calls go out in a single Multicall3 aggregate3 that also
+ * asks for getBlockNumber(), so pinning a load session costs no round trip
+ * of its own; other tags go through pinBlock first (free for block numbers).
+ * Returns { results, blockTag, blockNumber }; `results` holds each call's
+ * raw return data, or null if it reverted.
+ */
+export async function snapshotCalls(calls, rpcUrl, blockTag = "latest") {
+  if (blockTag !== "latest") {
+    const pinned = await pinBlock(rpcUrl, blockTag);
+    const { results } = await multicall(calls, rpcUrl, pinned.blockTag);
+    return { results, ...pinned };
+  }
+
+  const { results } = await multicall([
+    { target: MULTICALL3_ADDRESS, callData: GET_BLOCK_NUMBER_SELECTOR },
+    ...calls,
+  ], rpcUrl, "latest");
+  if (!results[0]) throw new Error("Multicall3 getBlockNumber() failed");
+
+  const blockNumber = parseInt(results[0].slice(2), 16);
+  return { results: results.slice(1), blockTag: "0x" + blockNumber.toString(16), blockNumber };
+}
+
+/**
+ * Get site data from MasterNFT registry
+ */
+export async function getSiteData(registryAddress, tokenId, rpcUrl, blockTag = "latest") {
+  const result = await rpcCall(rpcUrl, "eth_call", [
+    { to: registryAddress, data: siteDataCalldata(tokenId) },
+    blockTag,
+  ]);
+  return decodeSiteData(result);
+}
+
+/**
+ * getSiteData as the first read of a load session: returns { siteData,
+ * blockTag, blockNumber } with the block it was read at (see snapshotCalls)
+ */
+export async function getSiteSnapshot(registryAddress, tokenId, rpcUrl, blockTag = "latest") {
+  const { results: [result], ...pinned } = await snapshotCalls([
+    { target: registryAddress, callData: siteDataCalldata(tokenId) },
+  ], rpcUrl, blockTag);
+  return { siteData: decodeSiteData(result), ...pinned };
+}
+
+/**
+ * getSiteSnapshot for a legacy Master contract, which holds a single site:
+ * getCurrentSiteInfo() gives { rootChunk, depth, totalSize, siteType }
+ */
+export async function getMasterSiteSnapshot(masterAddress, rpcUrl, blockTag = "latest") {
+  const { results: [result], ...pinned } = await snapshotCalls([
+    { target: masterAddress, callData: GET_CURRENT_SITE_INFO_SELECTOR },
+  ], rpcUrl, blockTag);
+
+  if (!result || result === "0x") {
+    throw new Error("getCurrentSiteInfo returned empty");
+  }
+
+  const data = result.slice(2);
+  const siteData = {
+    rootChunk: "0x" + data.slice(24, 64),
+    depth: parseInt(data.slice(64, 128), 16),
+    totalSize: parseInt(data.slice(128, 192), 16),
+    siteType: parseInt(data.slice(192, 256), 16),
+  };
+  return { siteData, ...pinned };
+}
+
+function siteDataCalldata(tokenId) {
+  return GET_SITE_DATA_SELECTOR + tokenId.toString(16).padStart(64, "0");
+}
+
+function decodeSiteData(result) {
+  if (!result || result === "0x") {
+    throw new Error("getSiteData returned empty");
+  }
+
+  // SiteData struct (8 fields, each 32 bytes = 64 hex chars):
+  // [0] rootChunk (address), [1] depth (uint8), [2] totalSize (uint256),
+  // [3] siteType (uint8), [4] creator, [5] version, [6] createdAt, [7] updatedAt
+  const data = result.slice(2);
+  return {
+    rootChunk: "0x" + data.slice(24, 64),
+    depth: parseInt(data.slice(64, 128), 16),
+    totalSize: parseInt(data.slice(128, 192), 16),
+    siteType: parseInt(data.slice(192, 256), 16),
+    creator: "0x" + data.slice(280, 320),
+    version: parseInt(data.slice(320, 384), 16),
+    createdAt: parseInt(data.slice(384, 448), 16),
+    updatedAt: parseInt(data.slice(448, 512), 16),
+  };
+}
+
+/**
+ * Load content from fractal tree
+ */
+async function loadContent(rootChunk, depth, totalSize, siteType, rpcUrl, onProgress, options = {}) {
+  // Phase 1: Collect leaf addresses
+  if (onProgress) onProgress({ phase: "scan", message: "Scanning tree..." });
+  const leaves = await collectLeaves(rootChunk, depth, rpcUrl, onProgress, options);
+
+  // Phase 2: Load leaves in Multicall batches with per-batch progress
+  const totalChunks = leaves.length;
+  let loaded = 0;
+
+  if (onProgress) {
+    onProgress({ phase: "load", loaded: 0, total: totalChunks });
+  }
+
+  // Chunks served per endpoint ("cache" for cache hits)
+  const endpoints = {};
+
+  const allData = await readChunks(leaves, rpcUrl, {
+    ...options,
+    onBatch: (count, endpoint) => {
+      loaded += count;
+      endpoints[endpoint] = (endpoints[endpoint] || 0) + count;
+      if (onProgress) onProgress({ phase: "load", loaded, total: totalChunks, endpoint });
+    },
+  });
+
+  if (onProgress) {
+    onProgress({ phase: "load", loaded: totalChunks, total: totalChunks });
+  }
+
+  // Phase 3: Assemble
+  const totalBytes = allData.reduce((sum, chunk) => sum + chunk.length, 0);
+  const assembled = new Uint8Array(totalBytes);
+  let offset = 0;
+  for (const chunk of allData) {
+    assembled.set(chunk, offset);
+    offset += chunk.length;
+  }
+
+  return { data: assembled, siteType, endpoints };
+}
+
+/**
+ * Stream site content by tokenId from MasterNFT.
+ * Resolves once getSiteData returns; the tree is read as the stream is pulled.
+ */
+export async function streamMasterNFTSite(registryAddress, tokenId, rpcUrl, onProgress, options = {}) {
+  const { siteData, blockTag, blockNumber } = await getSiteSnapshot(registryAddress, tokenId, rpcUrl, options.blockTag);
+
+  if (!siteData.rootChunk || siteData.rootChunk === "0x0000000000000000000000000000000000000000") {
+    throw new Error("Site not found");
+  }
+
+  const stream = streamContent(siteData.rootChunk, siteData.depth, rpcUrl, onProgress, { ...options, blockTag });
+  return { stream, siteType: siteData.siteType, totalSize: siteData.totalSize, blockNumber, siteData };
+}
+
+/**
+ * Stream content from fractal tree as a ReadableStream<Uint8Array>.
+ *
+ * Leaves are enqueued in order, one pull reading up to `concurrency`
+ * Multicall batches. Pulls only happen while the consumer keeps up
+ * (high water mark = one pull's worth of leaves), so a slow reader stops
+ * the RPC traffic. Aborting options.signal errors the stream.
+ */
+export function streamContent(rootChunk, depth, rpcUrl, onProgress, options = {}) {
+  const {
+    signal,
+    concurrency = CONFIG.MAX_CONCURRENCY,
+    batchSize = CONFIG.BATCH_SIZE,
+  } = options;
+  const windowSize = batchSize * concurrency;
+
+  let leaves = null;
+  let next = 0;
+  let done = false;
+
+  return new ReadableStream({
+    start(controller) {
+      if (!signal) return;
+      if (signal.aborted) throw signal.reason;
+      signal.addEventListener("abort", () => {
+        if (done) return;
+        done = true;
+        controller.error(signal.reason);
+      }, { once: true });
+    },
+
+    async pull(controller) {
+      if (!leaves) {
+        if (onProgress) onProgress({ phase: "scan", message: "Scanning tree..." });
+        leaves = await collectLeaves(rootChunk, depth, rpcUrl, onProgress, options);
+        if (onProgress) onProgress({ phase: "load", loaded: 0, total: leaves.length });
+      }
+
+      if (next >= leaves.length) {
+        done = true;
+        controller.close();
+        return;
+      }
+
+      const slice = leaves.slice(next, next + windowSize);
+      next += slice.length;
+      let loaded = next - slice.length;
+      const data = await readChunks(slice, rpcUrl, {
+        ...options,
+        onBatch: (count, endpoint) => {
+          loaded += count;
+          if (onProgress && !done) onProgress({ phase: "load", loaded, total: leaves.length, endpoint });
+        },
+      });
+      if (done) return; // aborted or cancelled while reading
+
+      for (const chunk of data) controller.enqueue(chunk);
+    },
+
+    cancel() {
+      done = true;
+    },
+  }, new CountQueuingStrategy({ highWaterMark: windowSize }));
+}
+
+/**
+ * Collect leaf addresses from fractal tree, one level at a time.
+ * Every node of a level is read in the same set of Multicall batches, so a
+ * tree of depth N costs N rounds instead of one round trip per node.
+ */
+async function collectLeaves(rootChunk, depth, rpcUrl, onProgress, options = {}) {
+  let level = [rootChunk];
+
+  for (let d = depth; d > 0; d--) {
+    // Read node data (contains child addresses, 20 bytes each)
+    const nodes = await readChunks(level, rpcUrl, options);
+    const children = [];
+
+    for (const nodeData of nodes) {
+      children.push(...parseChildren(nodeData));
+    }
+
+    if (onProgress) {
+      onProgress({ phase: "scan", depth: d, nodes: children.length });
+    }
+
+    level = children;
+  }
+
+  return level;
+}
+
+/**
+ * Report a fractal tree's shape: node addresses per level (root first) and
+ * every leaf's address and size. Reads the whole tree.
+ * Returns { levels: [{ depth, nodes }], leaves: [{ address, size }] }.
+ */
+export async function inspectTree(rootChunk, depth, rpcUrl, options = {}) {
+  const levels = [];
+  let level = [rootChunk];
+
+  for (let d = depth; d > 0; d--) {
+    levels.push({ depth: d, nodes: level });
+    const nodes = await readChunks(level, rpcUrl, options);
+    level = nodes.flatMap(parseChildren);
+  }
+
+  const leaves = await readChunks(level, rpcUrl, options);
+  return { levels, leaves: level.map((address, i) => ({ address, size: leaves[i].length })) };
+}
+
+/**
+ * Read `length` bytes at `offset` from a fractal tree, fetching only the
+ * nodes and leaves that cover the range.
+ *
+ * Nodes don't record sizes, so a leaf's offset can only be computed by
+ * assuming the layout deployTree produces: every leaf but the last holds the
+ * same number of bytes and every node but the last on its level is full.
+ * That fast path is only taken for a tree whose size is known
+ * (options.totalSize, as recorded with its root) and whose leftmost,
+ * covering and rightmost paths all match the layout for that size; the leaf
+ * size and fan-out are read from the leftmost path, not assumed from
+ * CHUNK_SIZE/GROUP_SIZE. Anything else is read with a sequential scan.
+ */
+export async function readRange(rootChunk, depth, offset, length, rpcUrl, options = {}) {
+  const { totalSize } = options;
+  if (totalSize === undefined) return readRangeSequential(rootChunk, depth, offset, length, rpcUrl, options);
+  length = Math.min(length, totalSize - offset);
+  if (length <= 0) return new Uint8Array(0);
+
+  const sequential = () => {
+    console.warn("[loader] Tree doesn't match the layout for its size, falling back to sequential range read");
+    return readRangeSequential(rootChunk, depth, offset, length, rpcUrl, options);
+  };
+
+  // 1. Leftmost path: node fan-out and the first leaf's size
+  const nodes = new Map();
+  const leftmost = [];
+  let address = rootChunk;
+  for (let d = depth; d > 0; d--) {
+    const [nodeData] = await readChunks([address], rpcUrl, options);
+    const children = parseChildren(nodeData);
+    nodes.set(address, children);
+    leftmost[d] = children.length;
+    address = children[0];
+  }
+  const [firstLeaf] = await readChunks([address], rpcUrl, options);
+  const leafSize = firstLeaf.length;
+  const fanout = depth > 0 ? leftmost[1] : 1;
+  if (leafSize === 0 || fanout === 0) return sequential();
+
+  // 2. The deployTree layout for totalSize: count[d] nodes at depth d
+  // (leaves at 0), span[d] leaves under a full node at depth d
+  const count = [Math.ceil(totalSize / leafSize)];
+  const span = [1];
+  for (let d = 1; d <= depth; d++) {
+    count[d] = Math.ceil(count[d - 1] / fanout);
+    span[d] = span[d - 1] * fanout;
+  }
+  if (count[depth] !== 1) return sequential();
+
+  // Children of the node `index` at depth d, or bytes of leaf `index`
+  const expectedSize = (d, index) => {
+    if (index < count[d] - 1) return d === 0 ? leafSize : fanout;
+    return d === 0 ? totalSize - (count[0] - 1) * leafSize : count[d - 1] - (count[d] - 1) * fanout;
+  };
+  for (let d = depth; d > 0; d--) {
+    if (leftmost[d] !== expectedSize(d, 0)) return sequential();
+  }
+  if (leafSize !== expectedSize(0, 0)) return sequential();
+
+  const first = Math.floor(offset / leafSize);
+  const last = Math.floor((offset + length - 1) / leafSize);
+
+  // 3. Descend level by level, keeping subtrees overlapping leaves
+  // [first, last] plus the rightmost path, whose short last node and leaf
+  // tie the tree to totalSize
+  let level = [{ address: rootChunk, index: 0, covers: true }];
+  for (let d = depth; d > 0; d--) {
+    const unread = level.filter(n => !nodes.has(n.address)).map(n => n.address);
+    const data = await readChunks(unread, rpcUrl, options);
+    unread.forEach((addr, i) => nodes.set(addr, parseChildren(data[i])));
+
+    const next = [];
+    for (const node of level) {
+      const children = nodes.get(node.address);
+      if (children.length !== expectedSize(d, node.index)) return sequential();
+
+      children.forEach((child, i) => {
+        const index = node.index * fanout + i;
+        const base = index * span[d - 1];
+        const covers = base + span[d - 1] - 1 >= first && base <= last;
+        if (covers || index === count[d - 1] - 1) next.push({ address: child, index, covers });
+      });
+    }
+    level = next;
+  }
+
+  // 4. Read those leaves, check their sizes and slice out the range
+  const leaves = await readChunks(level.map(n => n.address), rpcUrl, options);
+  if (leaves.some((leaf, i) => leaf.length !== expectedSize(0, level[i].index))) return sequential();
+
+  const covering = level.filter(n => n.covers);
+  return sliceLeaves(leaves.filter((_, i) => level[i].covers), offset - covering[0].index * leafSize, length);
+}
+
+/**
+ * Range read for trees with arbitrary leaf sizes: collect every leaf address,
+ * then read leaves in order until the range is covered.
+ */
+async function readRangeSequential(rootChunk, depth, offset, length, rpcUrl, options = {}) {
+  const addresses = await collectLeaves(rootChunk, depth, rpcUrl, null, options);
+  const batchSize = options.batchSize || CONFIG.BATCH_SIZE;
+  const covering = [];
+  let start = 0; // byte offset of addresses[i]
+  let coveringStart = null;
+
+  for (let i = 0; i < addresses.length && start < offset + length; i += batchSize) {
+    const batch = await readChunks(addresses.slice(i, i + batchSize), rpcUrl, options);
+    for (const leaf of batch) {
+      const end = start + leaf.length;
+      if (end > offset && start < offset + length) {
+        if (coveringStart === null) coveringStart = start;
+        covering.push(leaf);
+      }
+      start = end;
+    }
+  }
+
+  if (coveringStart === null) return new Uint8Array(0);
+  return sliceLeaves(covering, offset - coveringStart, length);
+}
+
+/**
+ * Concatenate leaves and cut `length` bytes at `offset` (relative to the
+ * first leaf); a range running past the end of the tree is truncated.
+ */
+function sliceLeaves(leaves, offset, length) {
+  const out = new Uint8Array(Math.max(0, Math.min(length, leaves.reduce((n, l) => n + l.length, 0) - offset)));
+  let pos = -offset;
+  for (const leaf of leaves) {
+    const from = Math.max(0, -pos);
+    const to = Math.min(leaf.length, out.length - pos);
+    if (to > from) out.set(leaf.subarray(from, to), pos + from);
+    pos += leaf.length;
+  }
+  return out;
+}
+
+/**
+ * Read many Page chunks, preserving input order.
+ * Chunks are served from the persistent chunk cache when possible
+ * (unless options.bypassCache is set); the rest are split into Multicall3
+ * batches of CONFIG.BATCH_SIZE with at most `concurrency` batches in flight,
+ * and written back to the cache.
+ * onBatch(count, endpoint) reports where each group of chunks came from: the
+ * RPC endpoint that served it, or "cache".
+ */
+async function readChunks(addresses, rpcUrl, options = {}) {
+  const {
+    concurrency = CONFIG.MAX_CONCURRENCY,
+    batchSize = CONFIG.BATCH_SIZE,
+    bypassCache = false,
+    blockTag = "latest",
+    onBatch,
+  } = options;
+
+  const results = bypassCache
+    ? addresses.map(() => null)
+    : await getCachedChunks(addresses);
+
+  const missing = [];
+  for (let i = 0; i < addresses.length; i++) {
+    if (!results[i]) missing.push(i);
+  }
+
+  const hits = addresses.length - missing.length;
+  if (hits > 0 && onBatch) onBatch(hits, "cache");
+
+  const batches = [];
+  for (let i = 0; i < missing.length; i += batchSize) {
+    batches.push(missing.slice(i, i + batchSize));
+  }
+
+  await mapWithConcurrency(batches, concurrency, async (indices) => {
+    const batch = indices.map(i => addresses[i]);
+    const read = batch.length === 1
+      ? await readChunk(batch[0], rpcUrl, blockTag)
+      : await multicallRead(batch, rpcUrl, blockTag);
+    const data = batch.length === 1 ? [read.data] : read.data;
+    const served = batch.map(() => read.endpoint);
+
+    // aggregate3 tolerates per-call failure; retry the gaps one by one
+    for (let i = 0; i < batch.length; i++) {
+      if (!data[i]) {
+        const retry = await readChunk(batch[i], rpcUrl, blockTag);
+        data[i] = retry.data;
+        served[i] = retry.endpoint;
+      }
+      results[indices[i]] = data[i];
+    }
+
+    await putCachedChunks(batch.map((address, i) => ({ address, data: data[i] })));
+    if (onBatch) {
+      const counts = {};
+      for (const endpoint of served) counts[endpoint] = (counts[endpoint] || 0) + 1;
+      for (const [endpoint, count] of Object.entries(counts)) onBatch(count, endpoint);
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Read a single chunk via Page.read(). Returns { data, endpoint }.
+ */
+async function readChunk(address, rpcUrl, blockTag = "latest", retries = 3) {
+  for (let i = 0; i < retries; i++) {
+    try {
+      const { result, endpoint } = await rpcRequest(rpcUrl, "eth_call", [
+        { to: address, data: READ_SELECTOR },
+        blockTag,
+      ]);
+
+      if (!result || result === "0x") {
+        throw new Error("Empty read result");
+      }
+
+      return { data: decodeBytes(result), endpoint };
+    } catch (err) {
+      if (i === retries - 1) throw err;
+      await sleep(300 * Math.pow(2, i));
+    }
+  }
+}
+
+/**
+ * Multicall3 batch read for multiple Page contracts.
+ * Returns { data, endpoint }; failed calls are null in `data`.
+ */
+async function multicallRead(addresses, rpcUrl, blockTag = "latest") {
+  // Use individual calls as fallback if Multicall fails
+  try {
+    const calls = addresses.map(target => ({ target, callData: READ_SELECTOR }));
+    const { results, endpoint } = await multicall(calls, rpcUrl, blockTag);
+    return { data: results.map(r => r && decodeBytes(r)), endpoint };
+  } catch (err) {
+    console.warn("[loader] Multicall failed, falling back to individual:", err.message);
+    return individualRead(addresses, rpcUrl, blockTag);
+  }
+}
+
+/**
+ * One Multicall3 aggregate3 call over arbitrary { target, callData } calls,
+ * each allowed to fail on its own.
+ * Returns { results, endpoint }; `results` holds each call's raw return
+ * data ("0x...") or null if it failed or returned nothing.
+ */
+async function multicall(calls, rpcUrl, blockTag = "latest") {
+  // aggregate3(Call3[] calls) where Call3 = (address target, bool allowFailure, bytes callData)
+  const AGGREGATE3_SELECTOR = "0x82ad56cb";
+
+  const encoded = encodeAggregate3(calls.map(call => ({
+    target: call.target.toLowerCase().replace(/^0x/, ""),
+    allowFailure: true,
+    callData: call.callData,
+  })));
+
+  // Already a batch of reads; keep it out of JSON-RPC batches
+  const { result, endpoint } = await rpcRequest(rpcUrl, "eth_call", [
+    { to: MULTICALL3_ADDRESS, data: AGGREGATE3_SELECTOR + encoded },
+    blockTag,
+  ], { batch: false });
+
+  return { results: decodeAggregate3Results(result, calls.length), endpoint };
+}
+
+/**
+ * Run any number of calls through Multicall3, CONFIG.BATCH_SIZE per
+ * aggregate3 and CONFIG.MAX_CONCURRENCY in flight. Calls of a batch whose
+ * aggregate3 request fails are retried as plain eth_calls, at the same
+ * concurrency. Returns each call's raw return data, or null if it reverted
+ * (success=false) or its retry failed too.
+ */
+async function multicallAll(calls, rpcUrl, blockTag = "latest") {
+  const results = new Array(calls.length).fill(null);
+
+  const batches = [];
+  for (let i = 0; i < calls.length; i += CONFIG.BATCH_SIZE) {
+    batches.push({ start: i, calls: calls.slice(i, i + CONFIG.BATCH_SIZE) });
+  }
+
+  const retry = [];
+  await mapWithConcurrency(batches, CONFIG.MAX_CONCURRENCY, async (batch) => {
+    try {
+      const { results: batchResults } = await multicall(batch.calls, rpcUrl, blockTag);
+      batchResults.forEach((r, i) => { results[batch.start + i] = r; });
+    } catch (err) {
+      console.warn("[loader] Multicall failed, falling back to individual:", err.message);
+      batch.calls.forEach((_, i) => retry.push(batch.start + i));
+    }
+  });
+
+  await mapWithConcurrency(retry, CONFIG.MAX_CONCURRENCY, async (i) => {
+    try {
+      const result = await rpcCall(rpcUrl, "eth_call", [
+        { to: calls[i].target, data: calls[i].callData },
+        blockTag,
+      ]);
+      results[i] = result && result !== "0x" ? result : null;
+    } catch {
+      results[i] = null;
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Fallback: read chunks individually.
+ * Reported endpoint is the one that served the last chunk.
+ */
+async function individualRead(addresses, rpcUrl, blockTag = "latest") {
+  const results = [];
+  let endpoint = null;
+  for (let i = 0; i < addresses.length; i++) {
+    const read = await readChunk(addresses[i], rpcUrl, blockTag);
+    results.push(read.data);
+    endpoint = read.endpoint;
+    // Rate limit: small delay between requests
+    if (i < addresses.length - 1) {
+      await sleep(50);
+    }
+  }
+  return { data: results, endpoint };
+}
+
+/**
+ * Encode aggregate3 calls (simplified ABI encoding)
+ */
+function encodeAggregate3(calls) {
+  // Dynamic array: offset + length + elements
+  const n = calls.length;
+
+  // Offset to array data (32 bytes)
+  let hex = "0000000000000000000000000000000000000000000000000000000000000020";
+  // Array length
+  hex += n.toString(16).padStart(64, "0");
+
+  // Each element offset (relative to array data start)
+  const elementsStart = n * 32; // offsets area size
+  const offsets = [];
+  let dataOffset = elementsStart;
+
+  for (let i = 0; i < n; i++) {
+    offsets.push(dataOffset);
+    // Each Call3: address(32) + allowFailure(32) + callData offset(32) + callData length(32) + callData padded
+    const callDataLen = (calls[i].callData.length - 2) / 2; // bytes length
+    const callDataPadded = Math.ceil(callDataLen / 32) * 32;
+    dataOffset += 32 + 32 + 32 + 32 + callDataPadded;
+  }
+
+  // Write offsets
+  for (const off of offsets) {
+    hex += off.toString(16).padStart(64, "0");
+  }
+
+  // Write each Call3 element
+  for (const call of calls) {
+    // target (address, left-padded)
+    hex += call.target.padStart(64, "0");
+    // allowFailure (bool)
+    hex += call.allowFailure ? "0000000000000000000000000000000000000000000000000000000000000001" : "0000000000000000000000000000000000000000000000000000000000000000";
+    // callData offset (relative to this element start) = 96 (3 * 32)
+    hex += "0000000000000000000000000000000000000000000000000000000000000060";
+    // callData length
+    const callDataHex = call.callData.startsWith("0x") ? call.callData.slice(2) : call.callData;
+    const callDataBytes = callDataHex.length / 2;
+    hex += callDataBytes.toString(16).padStart(64, "0");
+    // callData (padded to 32 bytes)
+    hex += callDataHex.padEnd(Math.ceil(callDataHex.length / 64) * 64, "0");
+  }
+
+  return hex;
+}
+
+/**
+ * Decode aggregate3 results into each call's raw return data ("0x...");
+ * failed or empty calls are null
+ */
+function decodeAggregate3Results(result, expectedCount) {
+  if (!result || result === "0x") return Array(expectedCount).fill(null);
+
+  try {
+    const data = result.slice(2);
+    const word = (pos) => parseInt(data.slice(pos, pos + 64), 16);
+
+    // Result[]: offset to array, then length, then per-element offsets
+    // (in bytes, relative to the first offset word)
+    const arrayStart = word(0) * 2;
+    const len = word(arrayStart);
+    const base = arrayStart + 64;
+
+    // Decode each Result (success: bool, returnData: bytes)
+    const results = [];
+    for (let i = 0; i < len; i++) {
+      const elemStart = base + word(base + i * 64) * 2;
+      const success = word(elemStart) === 1;
+      const rdStart = elemStart + word(elemStart + 64) * 2;
+      const rdLen = word(rdStart);
+
+      if (!success || rdLen === 0) {
+        results.push(null);
+        continue;
+      }
+
+      results.push("0x" + data.slice(rdStart + 64, rdStart + 64 + rdLen * 2));
+    }
+
+    return results;
+  } catch (err) {
+    console.error("[loader] Failed to decode multicall results:", err);
+    return Array(expectedCount).fill(null);
+  }
+}
+
+/**
+ * Decode ABI-encoded bytes from eth_call result
+ */
+function decodeBytes(result) {
+  const data = result.slice(2); // remove 0x
+  // bytes: offset(32) + length(32) + data
+  const offset = parseInt(data.slice(0, 64), 16) * 2;
+  const length = parseInt(data.slice(offset, offset + 64), 16);
+  const hex = data.slice(offset + 64, offset + 64 + length * 2);
+  return hexToBytes(hex);
+}
+
+/**
+ * Split node data into child addresses (20 bytes each)
+ */
+function parseChildren(nodeData) {
+  const children = [];
+  for (let i = 0; i < nodeData.length; i += 20) {
+    children.push(bytesToAddress(nodeData.subarray(i, i + 20)));
+  }
+  return children;
+}
+
+function bytesToAddress(bytes) {
+  return "0x" + Array.from(bytes)
+    .map(b => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < hex.length; i += 2) {
+    bytes[i / 2] = parseInt(hex.slice(i, i + 2), 16);
+  }
+  return bytes;
+}
+
+async function rpcCall(rpcUrl, method, params) {
+  const { result } = await rpcRequest(rpcUrl, method, params);
+  return result;
+}
+
+/**
+ * JSON-RPC call through the endpoint pool; returns { result, endpoint }.
+ * Concurrent calls are coalesced into JSON-RPC batches unless
+ * options.batch is false.
+ */
+function rpcRequest(rpcUrl, method, params, options) {
+  return getRpcPool(rpcUrl).call(method, params, options);
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight; results keep input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Detect content type from magic bytes
+ */
+export function detectContentType(data) {
+  if (data[0] === 0x89 && data[1] === 0x50 && data[2] === 0x4e && data[3] === 0x47) return "image/png";
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return "image/jpeg";
+  if (data[0] === 0x47 && data[1] === 0x49 && data[2] === 0x46) return "image/gif";
+  if (data[0] === 0x52 && data[1] === 0x49 && data[2] === 0x46 && data[3] === 0x46 &&
+      data[8] === 0x57 && data[9] === 0x45 && data[10] === 0x42 && data[11] === 0x50) return "image/webp";
+  if ((data[0] === 0x49 && data[1] === 0x44 && data[2] === 0x33) ||
+      (data[0] === 0xff && (data[1] & 0xe0) === 0xe0)) return "audio/mpeg";
+  if (data[4] === 0x66 && data[5] === 0x74 && data[6] === 0x79 && data[7] === 0x70) {
+    const brand = String.fromCharCode(data[8], data[9], data[10], data[11]);
+    if (brand.startsWith("M4A") || brand === "mp42") return "audio/mp4";
+    return "video/mp4";
+  }
+  if (data[0] === 0x1a && data[1] === 0x45 && data[2] === 0xdf && data[3] === 0xa3) return "video/webm";
+  return "text/html";
+}
+
+/**
+ * Load a file from a WarrenContainer site
+ */
+export async function loadContainerSite(containerAddress, containerId, rpcUrl, path, onProgress, options = {}) {
+  // 1. Get container site data (and the block it was read at)
+  if (onProgress) onProgress({ phase: "scan", message: "Getting container info..." });
+  const { results: [siteResult], blockTag, blockNumber } = await snapshotCalls([
+    { target: containerAddress, callData: CONTAINER_GET_SITE_DATA + tokenIdWord(containerId) },
+  ], rpcUrl, options.blockTag);
+  const siteData = decodeContainerSiteData(siteResult);
+
+  if (siteData.fileCount === 0) {
+    throw new Error("Container is empty");
+  }
+
+  // 2. Determine file path
+  let filePath = path;
+  if (!filePath) {
+    filePath = DEFAULT_FILES[siteData.siteType] || "/index.html";
+  }
+  if (!filePath.startsWith("/")) {
+    filePath = "/" + filePath;
+  }
+
+  // 3. Hash path and get file entry
+  if (onProgress) onProgress({ phase: "scan", message: `Loading ${filePath}...` });
+  const pathHash = "0x" + keccak256(filePath);
+  const fileEntry = await getContainerFile(containerAddress, containerId, pathHash, rpcUrl, blockTag);
+
+  if (!fileEntry.chunk || fileEntry.chunk === "0x0000000000000000000000000000000000000000") {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  // 4. Load content from fractal tree
+  const { data } = await loadContent(fileEntry.chunk, fileEntry.depth, fileEntry.size, 0, rpcUrl, onProgress, { ...options, blockTag });
+
+  // 5. Determine MIME type from extension
+  const mimeType = getMimeType(filePath);
+
+  return { data, filePath, mimeType, siteData, blockNumber };
+}
+
+/**
+ * List a container's files (path, root chunk, size, depth) without loading
+ * their content.
+ * Returns { files: [{ path, chunk, size, depth, mimeType }], siteData, blockNumber }.
+ */
+export async function listContainerFiles(containerAddress, containerId, rpcUrl, onProgress, options = {}) {
+  // Site data and path hashes in one snapshot, which also pins the block
+  if (onProgress) onProgress({ phase: "scan", message: "Getting container info..." });
+  const { results: [siteResult, pathsResult], blockTag, blockNumber } = await snapshotCalls([
+    { target: containerAddress, callData: CONTAINER_GET_SITE_DATA + tokenIdWord(containerId) },
+    { target: containerAddress, callData: CONTAINER_GET_FILE_PATHS + tokenIdWord(containerId) },
+  ], rpcUrl, options.blockTag);
+  const siteData = decodeContainerSiteData(siteResult);
+
+  if (siteData.fileCount === 0) {
+    return { files: [], siteData, blockNumber };
+  }
+  if (!pathsResult) throw new Error("Could not read the container's file list");
+  const pathHashes = decodeBytes32Array(pathsResult);
+
+  // Resolve every path string and file entry through Multicall3:
+  // getPathString for each hash, then getFile for each hash
+  if (onProgress) onProgress({ phase: "scan", message: `Resolving ${pathHashes.length} files...` });
+  const calls = [
+    ...pathHashes.map(hash => ({ target: containerAddress, callData: pathStringCalldata(hash) })),
+    ...pathHashes.map(hash => ({ target: containerAddress, callData: fileCalldata(containerId, hash) })),
+  ];
+  const results = await multicallAll(calls, rpcUrl, blockTag);
+
+  const files = [];
+  for (let i = 0; i < pathHashes.length; i++) {
+    const pathResult = results[i];
+    const fileResult = results[pathHashes.length + i];
+    if (!pathResult || !fileResult) {
+      console.warn(`[loader] Could not resolve container file ${pathHashes[i]}`);
+      continue;
+    }
+
+    const path = decodeString(pathResult);
+    const { chunk, size, depth } = decodeFileEntry(fileResult);
+    if (!path || !chunk || chunk === "0x0000000000000000000000000000000000000000") continue;
+    files.push({ path, chunk, size, depth, mimeType: getMimeType(path) });
+  }
+
+  return { files, siteData, blockNumber };
+}
+
+/**
+ * Open a container for on-demand reads: the file list is read once, and a
+ * file's tree is only loaded when read() asks for it. Reads are memoized and
+ * pinned to the listing's block; prefetch() warms the rest in the background.
+ * Returns { siteData, blockNumber, files, has(path), read(path), prefetch() }.
+ */
+export async function openContainer(containerAddress, containerId, rpcUrl, onProgress, options = {}) {
+  const { files, siteData, blockNumber } = await listContainerFiles(containerAddress, containerId, rpcUrl, onProgress, options);
+  const blockTag = "0x" + blockNumber.toString(16);
+  const byPath = new Map(files.map(file => [file.path, file]));
+  const reads = new Map(); // path -> Promise<{ data, mimeType }>
+
+  function read(path, onFileProgress) {
+    const entry = byPath.get(path);
+    if (!entry) return Promise.resolve(null);
+
+    if (!reads.has(path)) {
+      const promise = loadContent(entry.chunk, entry.depth, entry.size, 0, rpcUrl, onFileProgress, { ...options, blockTag })
+        .then(({ data }) => ({ data, mimeType: entry.mimeType }));
+      promise.catch(() => reads.delete(path)); // let a failed read be retried
+      reads.set(path, promise);
+    }
+    return reads.get(path);
+  }
+
+  // Read every file (or `paths`) not read yet, a few at a time
+  async function prefetch(paths = [...byPath.keys()], concurrency = 2) {
+    await mapWithConcurrency(paths, concurrency, path => read(path).catch(() => null));
+  }
+
+  return { siteData, blockNumber, files, has: path => byPath.has(path), read, prefetch };
+}
+
+/**
+ * Open an archive site (site type 1: a ZIP of a whole website) the way
+ * openContainer opens a container, so the same routing and rendering
+ * serve it. Entries are listed from the ZIP's central directory and
+ * inflated on first read. When every file sits under one top-level folder
+ * (the folder itself was zipped), paths are taken relative to it.
+ * Returns { siteData, files, has(path), read(path), prefetch() }, with
+ * files as [{ path, size, compressedSize, method, mimeType }].
+ */
+export function openArchive(bytes, siteData) {
+  const entries = readZip(bytes);
+  const folder = commonFolder(entries.map(entry => entry.path));
+
+  const byPath = new Map();
+  for (const entry of entries) {
+    const path = entry.path.slice(folder.length);
+    byPath.set(path, { ...entry, path, mimeType: getMimeType(path) });
+  }
+  const files = [...byPath.values()].map(({ path, size, compressedSize, method, mimeType }) =>
+    ({ path, size, compressedSize, method, mimeType })
+  );
+  const reads = new Map(); // path -> Promise<{ data, mimeType }>
+
+  function read(path) {
+    const entry = byPath.get(path);
+    if (!entry) return Promise.resolve(null);
+
+    if (!reads.has(path)) {
+      const promise = new Promise(resolve => resolve({ data: extractZipEntry(bytes, entry), mimeType: entry.mimeType }));
+      promise.catch(() => reads.delete(path));
+      reads.set(path, promise);
+    }
+    return reads.get(path);
+  }
+
+  async function prefetch(paths = [...byPath.keys()]) {
+    for (const path of paths) await read(path).catch(() => null);
+  }
+
+  return { siteData, files, has: path => byPath.has(path), read, prefetch };
+}
+
+// "/site" when every path is under /site/ and there's no root index.html
+function commonFolder(paths) {
+  if (paths.length === 0 || paths.includes("/index.html")) return "";
+  const first = /^\/[^/]+(?=\/)/.exec(paths[0]);
+  if (!first) return "";
+  return paths.every(path => path.startsWith(first[0] + "/")) ? first[0] : "";
+}
+
+function tokenIdWord(containerId) {
+  return containerId.toString(16).padStart(64, "0");
+}
+
+/**
+ * Decode a container's getSiteData result
+ */
+function decodeContainerSiteData(result) {
+  if (!result || result === "0x") {
+    throw new Error("Container not found");
+  }
+
+  // SiteData struct: siteType(uint8), creator(address), version(uint32),
+  // totalSize(uint32), fileCount(uint16), createdAt(uint40), updatedAt(uint40)
+  const data = result.slice(2);
+  return {
+    siteType: parseInt(data.slice(0, 64), 16),
+    creator: "0x" + data.slice(88, 128),
+    version: parseInt(data.slice(128, 192), 16),
+    totalSize: parseInt(data.slice(192, 256), 16),
+    fileCount: parseInt(data.slice(256, 320), 16),
+    createdAt: parseInt(data.slice(320, 384), 16),
+    updatedAt: parseInt(data.slice(384, 448), 16),
+  };
+}
+
+/**
+ * Get file entry from container
+ */
+async function getContainerFile(containerAddress, containerId, pathHash, rpcUrl, blockTag = "latest") {
+  const result = await rpcCall(rpcUrl, "eth_call", [
+    { to: containerAddress, data: fileCalldata(containerId, pathHash) },
+    blockTag,
+  ]);
+
+  if (!result || result === "0x") {
+    throw new Error("File not found in container");
+  }
+
+  return decodeFileEntry(result);
+}
+
+function fileCalldata(containerId, pathHash) {
+  const tokenIdHex = containerId.toString(16).padStart(64, "0");
+  const pathHashHex = pathHash.startsWith("0x") ? pathHash.slice(2) : pathHash;
+  return CONTAINER_GET_FILE + tokenIdHex + pathHashHex.padStart(64, "0");
+}
+
+function decodeFileEntry(result) {
+  // FileEntry struct: chunk(address), size(uint32), depth(uint8)
+  const data = result.slice(2);
+  return {
+    chunk: "0x" + data.slice(24, 64),
+    size: parseInt(data.slice(64, 128), 16),
+    depth: parseInt(data.slice(128, 192), 16),
+  };
+}
+
+/**
+ * Get file paths from container
+ */
+export async function getContainerFilePaths(containerAddress, containerId, rpcUrl, blockTag = "latest") {
+  const result = await rpcCall(rpcUrl, "eth_call", [
+    { to: containerAddress, data: CONTAINER_GET_FILE_PATHS + tokenIdWord(containerId) },
+    blockTag,
+  ]);
+
+  if (!result || result === "0x") return [];
+  return decodeBytes32Array(result);
+}
+
+// Decode a bytes32[] return value
+function decodeBytes32Array(result) {
+  const data = result.slice(2);
+  const offset = parseInt(data.slice(0, 64), 16) * 2;
+  const length = parseInt(data.slice(offset, offset + 64), 16);
+  const hashes = [];
+  for (let i = 0; i < length; i++) {
+    const start = offset + 64 + i * 64;
+    hashes.push("0x" + data.slice(start, start + 64));
+  }
+  return hashes;
+}
+
+/**
+ * Resolve path hash to string
+ */
+export async function getContainerPathString(containerAddress, pathHash, rpcUrl, blockTag = "latest") {
+  const result = await rpcCall(rpcUrl, "eth_call", [
+    { to: containerAddress, data: pathStringCalldata(pathHash) },
+    blockTag,
+  ]);
+
+  if (!result || result === "0x") return null;
+  return decodeString(result);
+}
+
+function pathStringCalldata(pathHash) {
+  const hashHex = pathHash.startsWith("0x") ? pathHash.slice(2) : pathHash;
+  return CONTAINER_GET_PATH_STRING + hashHex.padStart(64, "0");
+}
+
+function decodeString(result) {
+  // Decode string: offset + length + data
+  const data = result.slice(2);
+  const offset = parseInt(data.slice(0, 64), 16) * 2;
+  const length = parseInt(data.slice(offset, offset + 64), 16);
+  const hex = data.slice(offset + 64, offset + 64 + length * 2);
+  return hexToString(hex);
+}
+
+function hexToString(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < hex.length; i += 2) {
+    bytes[i / 2] = parseInt(hex.slice(i, i + 2), 16);
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+function getMimeType(path) {
+  const ext = path.split(".").pop().toLowerCase();
+  const types = {
+    html: "text/html", htm: "text/html", xhtml: "application/xhtml+xml",
+    css: "text/css", js: "application/javascript", mjs: "application/javascript",
+    json: "application/json", xml: "application/xml",
+    svg: "image/svg+xml",
+    png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg",
+    gif: "image/gif", webp: "image/webp", ico: "image/x-icon",
+    mp4: "video/mp4", webm: "video/webm",
+    mp3: "audio/mpeg", wav: "audio/wav", ogg: "audio/ogg",
+    woff: "font/woff", woff2: "font/woff2", ttf: "font/ttf",
+    wasm: "application/wasm", map: "application/json",
+    txt: "text/plain", md: "text/markdown",
+  };
+  return types[ext] || "application/octet-stream";
+}
+
+// Site type constants (from MasterNFT)
+export const SITE_TYPES = {
+  FILE: 0,      // HTML
+  ARCHIVE: 1,   // Archive/Website
+  NAMECARD: 2,
+  IMAGE: 3,
+  VIDEO: 4,
+  AUDIO: 5,
+  CONSTRUCT: 6,
+  SCRIPT: 7,
+  ENCRYPTED: 8,
+};
@@ -0,0 +1,299 @@
+/**
+ * WARREN ZIP Reader
+ *
+ * Reads ZIP archives (site type 1) in the browser: the central directory
+ * lists the entries, and each entry is inflated on demand. Entries may be
+ * stored or DEFLATE-compressed; ZIP64, encrypted entries and other methods
+ * are rejected. Pure JS (no DecompressionStream), so it runs the same in
+ * the viewer, the service worker, the standalone loader and Node.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * True when `bytes` start with a ZIP local file header ("PK\x03\x04"),
+ * or are an empty archive ("PK\x05\x06")
+ */
+export function isZip(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b &&
+    ((bytes[2] === 0x03 && bytes[3] === 0x04) || (bytes[2] === 0x05 && bytes[3] === 0x06));
+}
+
+/**
+ * List the file entries of a ZIP archive (directories are skipped):
+ * [{ path, size, compressedSize, method, crc32, offset }], where `path` is
+ * the entry name with a leading "/" and `offset` points at its local header
+ */
+export function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = findEndOfCentralDirectory(view);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error("ZIP64 archives are not supported");
+
+  const decoder = new TextDecoder("utf-8");
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== CENTRAL_HEADER) {
+      throw new Error("Corrupt ZIP central directory");
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const crc32 = view.getUint32(offset + 16, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+    if (flags & 1) throw new Error(`Encrypted ZIP entries are not supported: ${name}`);
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATE) {
+      throw new Error(`Unsupported ZIP compression method ${method}: ${name}`);
+    }
+
+    entries.push({
+      path: "/" + name.replace(/\\/g, "/").replace(/^\/+/, ""),
+      size,
+      compressedSize,
+      method,
+      crc32,
+      offset: localOffset,
+    });
+  }
+  return entries;
+}
+
+/**
+ * Contents of one entry from readZip(), checked against its CRC-32
+ */
+export function extractZipEntry(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(entry.offset, true) !== LOCAL_HEADER) {
+    throw new Error(`Corrupt ZIP entry: ${entry.path}`);
+  }
+  // The local header's name and extra field lengths can differ from the
+  // central directory's
+  const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  const raw = bytes.subarray(start, start + entry.compressedSize);
+
+  const data = entry.method === METHOD_STORED ? raw.slice() : inflateRaw(raw, entry.size);
+  if (data.length !== entry.size || crc32(data) !== entry.crc32) {
+    throw new Error(`ZIP entry failed its checksum: ${entry.path}`);
+  }
+  return data;
+}
+
+/**
+ * Decompress raw DEFLATE data (RFC 1951). `size`, when known, sizes the
+ * output buffer up front.
+ */
+export function inflateRaw(input, size = 0) {
+  let out = new Uint8Array(size || Math.max(1024, input.length * 4));
+  let outPos = 0;
+  let inPos = 0;
+  let bitBuf = 0;
+  let bitCount = 0;
+
+  const bits = (n) => {
+    while (bitCount < n) {
+      if (inPos >= input.length) throw new Error("Unexpected end of DEFLATE data");
+      bitBuf |= input[inPos++] << bitCount;
+      bitCount += 8;
+    }
+    const value = bitBuf & ((1 << n) - 1);
+    bitBuf >>>= n;
+    bitCount -= n;
+    return value;
+  };
+
+  const decode = (table) => {
+    // Canonical Huffman decode, one bit at a time (codes are MSB-first)
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let len = 1; len < table.counts.length; len++) {
+      code |= bits(1);
+      const count = table.counts[len];
+      if (code - first < count) return table.symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error("Invalid DEFLATE Huffman code");
+  };
+
+  const ensure = (n) => {
+    if (outPos + n <= out.length) return;
+    let length = out.length * 2;
+    while (length < outPos + n) length *= 2;
+    const grown = new Uint8Array(length);
+    grown.set(out.subarray(0, outPos));
+    out = grown;
+  };
+
+  let last = 0;
+  while (!last) {
+    last = bits(1);
+    const type = bits(2);
+
+    if (type === 0) {
+      // Stored block: byte-aligned LEN, NLEN, then LEN literal bytes
+      bitBuf = 0;
+      bitCount = 0;
+      if (inPos + 4 > input.length) throw new Error("Unexpected end of DEFLATE data");
+      const len = input[inPos] | (input[inPos + 1] << 8);
+      const nlen = input[inPos + 2] | (input[inPos + 3] << 8);
+      if ((len ^ 0xffff) !== nlen) throw new Error("Corrupt DEFLATE stored block");
+      inPos += 4;
+      if (inPos + len > input.length) throw new Error("Unexpected end of DEFLATE data");
+      ensure(len);
+      out.set(input.subarray(inPos, inPos + len), outPos);
+      inPos += len;
+      outPos += len;
+      continue;
+    }
+
+    let lengths, distances;
+    if (type === 1) {
+      [lengths, distances] = fixedTables();
+    } else if (type === 2) {
+      [lengths, distances] = readDynamicTables(bits, decode);
+    } else {
+      throw new Error("Invalid DEFLATE block type");
+    }
+
+    for (;;) {
+      const symbol = decode(lengths);
+      if (symbol < 256) {
+        ensure(1);
+        out[outPos++] = symbol;
+      } else if (symbol === 256) {
+        break;
+      } else {
+        const lengthIndex = symbol - 257;
+        if (lengthIndex >= 29) throw new Error("Invalid DEFLATE length symbol");
+        const length = LENGTH_BASE[lengthIndex] + bits(LENGTH_EXTRA[lengthIndex]);
+        const distIndex = decode(distances);
+        if (distIndex >= 30) throw new Error("Invalid DEFLATE distance symbol");
+        const distance = DIST_BASE[distIndex] + bits(DIST_EXTRA[distIndex]);
+        if (distance > outPos) throw new Error("Invalid DEFLATE distance");
+
+        ensure(length);
+        // Byte by byte: the copy may overlap its own output
+        for (let i = 0; i < length; i++, outPos++) out[outPos] = out[outPos - distance];
+      }
+    }
+  }
+
+  return outPos === out.length ? out : out.slice(0, outPos);
+}
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+// Order of the code length code lengths in a dynamic block header
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+let fixed = null;
+
+function fixedTables() {
+  if (!fixed) {
+    const lengths = new Uint8Array(288);
+    lengths.fill(8, 0, 144);
+    lengths.fill(9, 144, 256);
+    lengths.fill(7, 256, 280);
+    lengths.fill(8, 280, 288);
+    fixed = [huffmanTable(lengths), huffmanTable(new Uint8Array(30).fill(5))];
+  }
+  return fixed;
+}
+
+function readDynamicTables(bits, decode) {
+  const literalCount = bits(5) + 257;
+  const distanceCount = bits(5) + 1;
+  const codeLengthCount = bits(4) + 4;
+
+  const codeLengths = new Uint8Array(19);
+  for (let i = 0; i < codeLengthCount; i++) codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+  const codeLengthTable = huffmanTable(codeLengths);
+
+  const lengths = new Uint8Array(literalCount + distanceCount);
+  for (let i = 0; i < lengths.length;) {
+    const symbol = decode(codeLengthTable);
+    if (symbol < 16) {
+      lengths[i++] = symbol;
+      continue;
+    }
+
+    let repeat, value = 0;
+    if (symbol === 16) {
+      if (i === 0) throw new Error("Invalid DEFLATE code lengths");
+      value = lengths[i - 1];
+      repeat = 3 + bits(2);
+    } else if (symbol === 17) {
+      repeat = 3 + bits(3);
+    } else {
+      repeat = 11 + bits(7);
+    }
+    if (i + repeat > lengths.length) throw new Error("Invalid DEFLATE code lengths");
+    lengths.fill(value, i, i + repeat);
+    i += repeat;
+  }
+
+  if (lengths[256] === 0) throw new Error("DEFLATE block has no end-of-block code");
+  return [huffmanTable(lengths.subarray(0, literalCount)), huffmanTable(lengths.subarray(literalCount))];
+}
+
+/**
+ * Canonical Huffman table from code lengths: { counts[len], symbols } with
+ * symbols sorted by code
+ */
+function huffmanTable(lengths) {
+  const counts = new Uint16Array(16);
+  for (const length of lengths) counts[length]++;
+  counts[0] = 0;
+
+  const offsets = new Uint16Array(16);
+  for (let len = 1; len < 15; len++) offsets[len + 1] = offsets[len] + counts[len];
+
+  const symbols = new Uint16Array(lengths.length);
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    if (lengths[symbol]) symbols[offsets[lengths[symbol]]++] = symbol;
+  }
+  return { counts, symbols };
+}
+
+function findEndOfCentralDirectory(view) {
+  // The record is 22 bytes plus a comment of up to 64KB, at the very end
+  const min = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let offset = view.byteLength - 22; offset >= min; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIR) return offset;
+  }
+  throw new Error("Not a ZIP archive (no end of central directory)");
+}
+
+let crcTable = null;
+
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Warren CLI - read on-chain content from the terminal
+ *
+ * Every command prints one JSON document to stdout; errors are printed as
+ * { "error": "..." } to stderr with a non-zero exit code.
+ *
+ * Usage:  warren fetch <tokenId> [--out file]
+ *         warren fetch --container <id> [path] [--out file]
+ *         warren ls <containerId>
+ *         warren inspect <tokenId>
+ *         warren inspect --container <id> <path>
+ */
+
+import { writeFile } from "node:fs/promises";
+import { basename } from "node:path";
+import {
+  readSite,
+  readContainerFile,
+  listContainer,
+  inspectSite,
+  inspectContainerFile,
+  detectContentType,
+} from "../index.js";
+
+const HELP = `
+Warren CLI - read Warren content from MegaETH
+
+Usage:
+  warren fetch <tokenId> [--out <file>]             Download a MasterNFT site
+  warren fetch --container <id> [path] [--out <file>]
+                                                    Download a container file
+                                                    (default: the container's
+                                                    index or collection.json)
+  warren ls <containerId>                           List container paths and sizes
+  warren inspect <tokenId>                          getSiteData fields, tree
+                                                    nodes and leaf sizes
+  warren inspect --container <id> <path>            Tree of one container file
+
+Options:
+  --out, -o <file>            Output file for fetch (default: derived from
+                              the token ID or path)
+  --rpc <url>                 RPC endpoint (default: MegaETH mainnet)
+  --block <number>            Read at this block instead of latest
+  --registry <address>        MasterNFT address
+  --container-address <addr>  WarrenContainer address
+`;
+
+// Extension for fetched sites, from the sniffed content type
+const EXTENSIONS = {
+  "text/html": "html",
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/svg+xml": "svg",
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+  "audio/mpeg": "mp3",
+  "application/json": "json",
+};
+
+function parseArgs(argv) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") flags.help = true;
+    else if (arg === "-o") flags.out = argv[++i];
+    else if (arg.startsWith("--")) flags[arg.slice(2)] = argv[++i];
+    else positional.push(arg);
+  }
+  return { command: positional.shift(), positional, flags };
+}
+
+function readOptions(flags) {
+  const options = {};
+  if (flags.rpc) options.rpcUrl = flags.rpc;
+  if (flags.block) options.blockTag = flags.block;
+  if (flags.registry) options.registry = flags.registry;
+  if (flags["container-address"]) options.container = flags["container-address"];
+  return options;
+}
+
+function requireId(value, what) {
+  if (!value || !/^\d+$/.test(value)) throw new Error(`Expected a numeric ${what}, got: ${value ?? "nothing"}`);
+  return value;
+}
+
+async function fetchCommand(positional, flags, options) {
+  if (flags.container) {
+    const containerId = requireId(flags.container, "container ID");
+    const { data, filePath, mimeType, blockNumber } = await readContainerFile(containerId, positional[0], options);
+    const output = flags.out || basename(filePath) || "index.html";
+    await writeFile(output, data);
+    return { containerId: Number(containerId), path: filePath, contentType: mimeType, size: data.length, blockNumber, output };
+  }
+
+  const tokenId = requireId(positional[0], "token ID");
+  const { data, siteType, blockNumber } = await readSite(tokenId, options);
+  const contentType = detectContentType(data);
+  const output = flags.out || `site-${tokenId}.${EXTENSIONS[contentType] || "bin"}`;
+  await writeFile(output, data);
+  return { tokenId: Number(tokenId), siteType, contentType, size: data.length, blockNumber, output };
+}
+
+async function lsCommand(positional, flags, options) {
+  const containerId = requireId(positional[0] || flags.container, "container ID");
+  const { files, siteData, blockNumber } = await listContainer(containerId, options);
+  return {
+    containerId: Number(containerId),
+    siteType: siteData.siteType,
+    blockNumber,
+    totalSize: files.reduce((sum, f) => sum + f.size, 0),
+    files: files.map(({ path, size, mimeType, chunk, depth }) => ({ path, size, mimeType, chunk, depth })),
+  };
+}
+
+async function inspectCommand(positional, flags, options) {
+  if (flags.container) {
+    const containerId = requireId(flags.container, "container ID");
+    if (!positional[0]) throw new Error("inspect --container needs a file path");
+    const { file, siteData, blockNumber, tree } = await inspectContainerFile(containerId, positional[0], options);
+    return { containerId: Number(containerId), siteType: siteData.siteType, blockNumber, file, ...summarize(tree) };
+  }
+
+  const tokenId = requireId(positional[0], "token ID");
+  const { siteData, blockNumber, tree } = await inspectSite(tokenId, options);
+  return { tokenId: Number(tokenId), blockNumber, siteData, ...summarize(tree) };
+}
+
+function summarize(tree) {
+  return {
+    chunks: tree.leaves.length,
+    nodes: tree.levels.reduce((sum, level) => sum + level.nodes.length, 0),
+    levels: tree.levels,
+    leaves: tree.leaves,
+  };
+}
+
+const COMMANDS = { fetch: fetchCommand, ls: lsCommand, inspect: inspectCommand };
+
+async function main() {
+  const { command, positional, flags } = parseArgs(process.argv.slice(2));
+
+  if (flags.help || !command) {
+    console.log(HELP);
+    process.exit(command || flags.help ? 0 : 1);
+  }
+
+  const run = COMMANDS[command];
+  if (!run) throw new Error(`Unknown command: ${command} (expected fetch, ls or inspect)`);
+
+  const result = await run(positional, flags, readOptions(flags));
+  console.log(JSON.stringify(result, null, 2));
+}
+
+main().catch((err) => {
+  console.error(JSON.stringify({ error: err.message }));
+  process.exit(1);
+});
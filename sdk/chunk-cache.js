@@ -0,0 +1,170 @@
+/**
+ * WARREN Chunk Cache
+ *
+ * Persistent, content-addressed cache of Page chunks (tree nodes and leaves).
+ * Page contracts are immutable, so the bytes behind an address never change
+ * and can be kept indefinitely. Entries are evicted least-recently-used once
+ * the cache grows past CONFIG.CHUNK_CACHE_MAX_BYTES.
+ *
+ * Backed by IndexedDB. Where IndexedDB is unavailable every lookup misses
+ * and writes are dropped, so callers never need to special-case it.
+ */
+
+import { CONFIG } from "./config.js";
+
+const DB_NAME = "warren-chunk-cache";
+const DB_VERSION = 1;
+const STORE = "chunks";
+
+let dbPromise = null;
+let totalBytes = null; // lazily summed on first write
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        // Record: { address, data: Uint8Array, size, lastAccess }
+        const store = req.result.createObjectStore(STORE, { keyPath: "address" });
+        store.createIndex("lastAccess", "lastAccess");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn("[cache] IndexedDB unavailable:", req.error?.message);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Look up chunks by Page address.
+ * Returns an array aligned with `addresses`: Uint8Array on hit, null on miss.
+ */
+export async function getCachedChunks(addresses) {
+  const misses = addresses.map(() => null);
+
+  try {
+    const db = await openDb();
+    if (!db || addresses.length === 0) return misses;
+
+    const tx = db.transaction(STORE, "readwrite");
+    const store = tx.objectStore(STORE);
+    const now = Date.now();
+
+    const results = await Promise.all(addresses.map(async (address) => {
+      const record = await requestToPromise(store.get(address.toLowerCase()));
+      if (!record) return null;
+      record.lastAccess = now;
+      store.put(record);
+      return record.data;
+    }));
+
+    await transactionDone(tx);
+    return results;
+  } catch (err) {
+    console.warn("[cache] Lookup failed:", err?.message);
+    return misses;
+  }
+}
+
+/**
+ * Store chunks: entries = [{ address, data }]
+ */
+export async function putCachedChunks(entries) {
+  try {
+    const db = await openDb();
+    if (!db || entries.length === 0) return;
+
+    if (totalBytes === null) totalBytes = await sumCacheSize(db);
+
+    const tx = db.transaction(STORE, "readwrite");
+    const store = tx.objectStore(STORE);
+    const now = Date.now();
+
+    for (const { address, data } of entries) {
+      store.put({ address: address.toLowerCase(), data, size: data.length, lastAccess: now });
+      totalBytes += data.length;
+    }
+    await transactionDone(tx);
+
+    if (totalBytes > CONFIG.CHUNK_CACHE_MAX_BYTES) {
+      await evict(db);
+    }
+  } catch (err) {
+    console.warn("[cache] Write failed:", err?.message);
+  }
+}
+
+/**
+ * Drop every cached chunk
+ */
+export async function clearChunkCache() {
+  const db = await openDb();
+  if (!db) return;
+
+  const tx = db.transaction(STORE, "readwrite");
+  tx.objectStore(STORE).clear();
+  await transactionDone(tx);
+  totalBytes = 0;
+}
+
+async function sumCacheSize(db) {
+  const tx = db.transaction(STORE, "readonly");
+  const cursorReq = tx.objectStore(STORE).openCursor();
+  let sum = 0;
+
+  await new Promise((resolve, reject) => {
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (!cursor) return resolve();
+      sum += cursor.value.size;
+      cursor.continue();
+    };
+    cursorReq.onerror = () => reject(cursorReq.error);
+  });
+
+  return sum;
+}
+
+/**
+ * Delete least-recently-used chunks until the cache is back under 90% of
+ * its cap, so a full cache doesn't evict on every write.
+ */
+async function evict(db) {
+  // Other tabs write to the same store; start from the real size
+  totalBytes = await sumCacheSize(db);
+  const target = CONFIG.CHUNK_CACHE_MAX_BYTES * 0.9;
+  if (totalBytes <= target) return;
+
+  const tx = db.transaction(STORE, "readwrite");
+  const cursorReq = tx.objectStore(STORE).index("lastAccess").openCursor();
+
+  cursorReq.onsuccess = () => {
+    const cursor = cursorReq.result;
+    if (!cursor || totalBytes <= target) return;
+    totalBytes -= cursor.value.size;
+    cursor.delete();
+    cursor.continue();
+  };
+
+  await transactionDone(tx);
+}
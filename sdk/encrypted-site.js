@@ -0,0 +1,127 @@
+/**
+ * WARREN Encrypted Sites (site type 8)
+ *
+ * Passphrase-protected content, decrypted in the browser with WebCrypto.
+ * The stored bytes are a 38-byte header followed by the AES-256-GCM
+ * ciphertext (tag included):
+ *
+ *   "WENC"       4 bytes   magic
+ *   version      1 byte    1
+ *   siteType     1 byte    type of the decrypted content (SITE_TYPES)
+ *   iterations   4 bytes   PBKDF2-SHA256 iterations, big-endian
+ *   salt        16 bytes   PBKDF2 salt
+ *   iv          12 bytes   AES-GCM nonce
+ *
+ * The header is authenticated as AES-GCM additional data, so the inner
+ * site type can't be swapped without failing decryption.
+ */
+
+export const ENCRYPTED_MAGIC = "WENC";
+export const ENCRYPTED_VERSION = 1;
+const HEADER_SIZE = 38;
+const DEFAULT_ITERATIONS = 600000;
+// The iteration count comes from the (untrusted) header: too few makes the
+// passphrase cheap to guess, too many would hang the tab deriving the key
+const MIN_ITERATIONS = 10000;
+const MAX_ITERATIONS = 10000000;
+
+/**
+ * True when `bytes` start with the WENC magic
+ */
+export function isEncryptedSite(bytes) {
+  return bytes.length >= HEADER_SIZE &&
+    String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === ENCRYPTED_MAGIC;
+}
+
+/**
+ * Split an encrypted site into { version, siteType, iterations, salt, iv,
+ * header, ciphertext }
+ */
+export function parseEncryptedSite(bytes) {
+  if (!isEncryptedSite(bytes)) throw new Error("Not an encrypted Warren site");
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = bytes[4];
+  if (version !== ENCRYPTED_VERSION) throw new Error(`Unsupported encrypted site version: ${version}`);
+  const iterations = view.getUint32(6);
+  checkIterations(iterations);
+
+  return {
+    version,
+    siteType: bytes[5],
+    iterations,
+    salt: bytes.subarray(10, 26),
+    iv: bytes.subarray(26, 38),
+    header: bytes.subarray(0, HEADER_SIZE),
+    ciphertext: bytes.subarray(HEADER_SIZE),
+  };
+}
+
+/**
+ * Decrypt an encrypted site. Returns { data, siteType } with the inner
+ * content and its site type; throws on a wrong passphrase.
+ */
+export async function decryptSite(bytes, passphrase) {
+  const { siteType, iterations, salt, iv, header, ciphertext } = parseEncryptedSite(bytes);
+  const key = await deriveKey(passphrase, salt, iterations, "decrypt");
+
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({ name: "AES-GCM", iv, additionalData: header }, key, ciphertext);
+  } catch {
+    throw new Error("Wrong passphrase, or the content is corrupted");
+  }
+  return { data: new Uint8Array(plaintext), siteType };
+}
+
+/**
+ * Encrypt `data` (content of type `siteType`) for deployment as site type 8.
+ * options.iterations sets the PBKDF2 work factor.
+ */
+export async function encryptSite(data, passphrase, siteType, options = {}) {
+  const { iterations = DEFAULT_ITERATIONS } = options;
+  checkIterations(iterations);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  const header = new Uint8Array(HEADER_SIZE);
+  header.set(new TextEncoder().encode(ENCRYPTED_MAGIC), 0);
+  header[4] = ENCRYPTED_VERSION;
+  header[5] = siteType;
+  new DataView(header.buffer).setUint32(6, iterations);
+  header.set(salt, 10);
+  header.set(iv, 26);
+
+  const key = await deriveKey(passphrase, salt, iterations, "encrypt");
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt({ name: "AES-GCM", iv, additionalData: header }, key, data)
+  );
+
+  const result = new Uint8Array(HEADER_SIZE + ciphertext.length);
+  result.set(header, 0);
+  result.set(ciphertext, HEADER_SIZE);
+  return result;
+}
+
+function checkIterations(iterations) {
+  if (!Number.isInteger(iterations) || iterations < MIN_ITERATIONS || iterations > MAX_ITERATIONS) {
+    throw new Error(`PBKDF2 iterations must be between ${MIN_ITERATIONS} and ${MAX_ITERATIONS}, got ${iterations}`);
+  }
+}
+
+async function deriveKey(passphrase, salt, iterations, usage) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    [usage]
+  );
+}
@@ -0,0 +1,48 @@
+/**
+ * Warren SDK
+ *
+ * Read and deploy Warren on-chain content from Node (18+) or the browser.
+ * Plain ES modules with no dependencies and no build step.
+ */
+
+export {
+  readSite,
+  readContainerFile,
+  listContainer,
+  inspectSite,
+  inspectContainerFile,
+} from "./reader.js";
+
+export {
+  deployContent,
+  deployContainer,
+  deployTree,
+  ensureAccessKey,
+  chunkContent,
+  estimateChunkGasLimit,
+  CHUNK_SIZE,
+  GROUP_SIZE,
+  GENESIS_KEY_ADDRESS,
+  RABBIT_AGENT_ADDRESS,
+} from "./writer.js";
+
+// Lower-level reads: streaming, byte ranges, consistent snapshots
+export {
+  streamContent,
+  streamMasterNFTSite,
+  openContainer,
+  readRange,
+  inspectTree,
+  getSiteData,
+  getSiteSnapshot,
+  getMasterSiteSnapshot,
+  snapshotCalls,
+  pinBlock,
+  detectContentType,
+  SITE_TYPES,
+} from "./site-loader.js";
+
+// Passphrase-protected sites (site type 8)
+export { encryptSite, decryptSite, isEncryptedSite } from "./encrypted-site.js";
+
+export { CONFIG } from "./config.js";
@@ -0,0 +1,242 @@
+/**
+ * WARREN Module Rewriter
+ *
+ * Finds the module syntax a host has to rewrite to run an ES module from a
+ * blob URL instead of its own (the extension sandbox and the loader's
+ * archive pages do this for modules read from a container or ZIP):
+ *
+ * - "specifier": the string literal of import ... from "x",
+ *   export ... from "x", import "x" and import("x"), quotes included
+ * - "import-call": `import(`, up to and including the parenthesis
+ * - "import-meta-url": `import.meta.url`
+ *
+ * The source is tokenized, so strings, comments, template literals and
+ * regular expressions that only contain these words are left alone. A "/"
+ * is read as a regular expression or a division from the token before it,
+ * like most syntax highlighters do: after ")", "]", a value or a name other
+ * than a keyword like `return` it divides, anywhere else it starts a regex.
+ * A regex that would run past the end of its line is read as a division.
+ */
+
+// Keywords after which "/" starts a regular expression
+const REGEX_AFTER = new Set([
+  "await", "case", "delete", "do", "else", "in", "instanceof", "new",
+  "of", "return", "throw", "typeof", "void", "yield",
+]);
+
+/**
+ * Module syntax in `code`, in source order:
+ * [{ type: "specifier", start, end, value, dynamic }
+ *  | { type: "import-call" | "import-meta-url", start, end }]
+ * `start`/`end` are string offsets; a specifier's `value` is the literal's
+ * text between the quotes.
+ */
+export function scanModuleSyntax(code) {
+  const tokens = [];
+  const templates = []; // per open template ${ }: "{" still open inside it
+  let last = null;      // previous token: { type: "word" | "punct" | "value", text }
+  let inClause = false; // between import/export and the "from" of its clause
+  let i = code.startsWith("#!") ? lineEnd(code, 0) : 0;
+
+  while (i < code.length) {
+    const c = code[i];
+
+    if (isSpace(c) || (c === "/" && (code[i + 1] === "/" || code[i + 1] === "*"))) {
+      i = skipTrivia(code, i);
+    } else if (c === "'" || c === '"') {
+      i = stringEnd(code, i);
+      last = { type: "value" };
+    } else if (c === "`" || (c === "}" && templates.at(-1) === 0)) {
+      if (c === "}") templates.pop();
+      const part = templatePart(code, i + 1);
+      if (part.expression) templates.push(0);
+      i = part.end;
+      last = part.expression ? { type: "punct", text: "{" } : { type: "value" };
+    } else if (isWordStart(c)) {
+      const start = i;
+      i = wordEnd(code, i);
+      const word = code.slice(start, i);
+      const afterDot = last?.type === "punct" && last.text === ".";
+      last = { type: "word", text: word };
+      if (afterDot) continue;
+
+      if (word === "import") {
+        const next = skipTrivia(code, i);
+        if (code[next] === "(") {
+          tokens.push({ type: "import-call", start, end: next + 1 });
+          const arg = skipTrivia(code, next + 1);
+          if (code[arg] === "'" || code[arg] === '"') {
+            const end = stringEnd(code, arg);
+            const close = code[skipTrivia(code, end)];
+            if (close === ")" || close === ",") tokens.push(specifier(code, arg, end, true));
+          }
+          i = next + 1;
+          last = { type: "punct", text: "(" };
+        } else if (code[next] === ".") {
+          const end = metaUrlEnd(code, next);
+          if (end !== -1) {
+            tokens.push({ type: "import-meta-url", start, end });
+            i = end;
+            last = { type: "value" };
+          }
+        } else if (code[next] === "'" || code[next] === '"') {
+          i = stringEnd(code, next);
+          tokens.push(specifier(code, next, i, false));
+          last = { type: "value" };
+        } else if (code[next] !== ":" && code[next] !== "=") {
+          inClause = true;
+        }
+      } else if (word === "export") {
+        const next = skipTrivia(code, i);
+        if (code[next] === "*" || code[next] === "{") inClause = true;
+      } else if (word === "from" && inClause) {
+        const next = skipTrivia(code, i);
+        if (code[next] === "'" || code[next] === '"') {
+          i = stringEnd(code, next);
+          tokens.push(specifier(code, next, i, false));
+          last = { type: "value" };
+          inClause = false;
+        }
+      }
+    } else if (isDigit(c) || (c === "." && isDigit(code[i + 1]))) {
+      while (i < code.length && (isWordPart(code[i]) || code[i] === ".")) i++;
+      last = { type: "value" };
+    } else if (c === "/" && regexAllowed(last)) {
+      const end = regexEnd(code, i);
+      if (end === -1) {
+        i++;
+        last = { type: "punct", text: "/" };
+      } else {
+        i = end;
+        last = { type: "value" };
+      }
+    } else {
+      if (c === "{" && templates.length) templates[templates.length - 1]++;
+      if (c === "}" && templates.length) templates[templates.length - 1]--;
+      if (c === ";" || c === "(" || c === "=") inClause = false;
+      i++;
+      last = { type: "punct", text: c };
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * `code` with each token that `replace(token)` returns a string for
+ * replaced by that string (other tokens are kept as they are)
+ */
+export function rewriteModuleSyntax(code, replace) {
+  let result = "";
+  let copied = 0;
+  for (const token of scanModuleSyntax(code)) {
+    const replacement = replace(token);
+    if (typeof replacement !== "string") continue;
+    result += code.slice(copied, token.start) + replacement;
+    copied = token.end;
+  }
+  return result + code.slice(copied);
+}
+
+function specifier(code, start, end, dynamic) {
+  return { type: "specifier", start, end, value: code.slice(start + 1, end - 1), dynamic };
+}
+
+function regexAllowed(last) {
+  if (!last) return true;
+  if (last.type === "value") return false;
+  if (last.type === "word") return REGEX_AFTER.has(last.text);
+  return last.text !== ")" && last.text !== "]";
+}
+
+// Whitespace and comments from `i`; returns the next index
+function skipTrivia(code, i) {
+  while (i < code.length) {
+    if (isSpace(code[i])) {
+      i++;
+    } else if (code[i] === "/" && code[i + 1] === "/") {
+      i = lineEnd(code, i);
+    } else if (code[i] === "/" && code[i + 1] === "*") {
+      const end = code.indexOf("*/", i + 2);
+      i = end === -1 ? code.length : end + 2;
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+function lineEnd(code, i) {
+  const end = code.indexOf("\n", i);
+  return end === -1 ? code.length : end;
+}
+
+// Index after the string literal whose quote is at `i` (an unterminated
+// one ends at the line break)
+function stringEnd(code, i) {
+  const quote = code[i];
+  for (let j = i + 1; j < code.length; j++) {
+    if (code[j] === "\\") j++;
+    else if (code[j] === quote) return j + 1;
+    else if (code[j] === "\n") return j;
+  }
+  return code.length;
+}
+
+// Template text from `i` up to its closing backtick or next "${"
+function templatePart(code, i) {
+  for (let j = i; j < code.length; j++) {
+    if (code[j] === "\\") j++;
+    else if (code[j] === "`") return { end: j + 1, expression: false };
+    else if (code[j] === "$" && code[j + 1] === "{") return { end: j + 2, expression: true };
+  }
+  return { end: code.length, expression: false };
+}
+
+// Index after the regex literal at `i`, or -1 when it doesn't close on its line
+function regexEnd(code, i) {
+  let inClass = false;
+  for (let j = i + 1; j < code.length; j++) {
+    const c = code[j];
+    if (c === "\n" || c === "\r") return -1;
+    if (c === "\\") j++;
+    else if (c === "[") inClass = true;
+    else if (c === "]") inClass = false;
+    else if (c === "/" && !inClass) return wordEnd(code, j + 1); // flags
+  }
+  return -1;
+}
+
+// Index after `.meta.url` when `import` is followed by it at `i`, else -1
+function metaUrlEnd(code, i) {
+  let j = skipTrivia(code, i + 1);
+  if (code.slice(j, wordEnd(code, j)) !== "meta") return -1;
+  j = skipTrivia(code, j + 4);
+  if (code[j] !== ".") return -1;
+  j = skipTrivia(code, j + 1);
+  const end = wordEnd(code, j);
+  return code.slice(j, end) === "url" ? end : -1;
+}
+
+function wordEnd(code, i) {
+  while (i < code.length && isWordPart(code[i])) i++;
+  return i;
+}
+
+function isSpace(c) {
+  return c === " " || c === "\t" || c === "\n" || c === "\r" || c === "\f" || c === "\v" ||
+    c === "\u00a0" || c === "\ufeff" || c === "\u2028" || c === "\u2029";
+}
+
+function isDigit(c) {
+  return c >= "0" && c <= "9";
+}
+
+function isWordStart(c) {
+  return (c >= "a" && c <= "z") || (c >= "A" && c <= "Z") || c === "_" || c === "$" || c === "\\" ||
+    (c > "\u007f" && !isSpace(c));
+}
+
+function isWordPart(c) {
+  return isWordStart(c) || isDigit(c);
+}
@@ -0,0 +1,86 @@
+/**
+ * Warren SDK - Reader
+ *
+ * Reads MasterNFT sites and WarrenContainer files. These wrap the site
+ * loader (site-loader.js), which the extension and the loader pages import
+ * too, so all of them share one implementation of tree traversal, Multicall
+ * batching and ABI decoding (plus the RPC pool and, in browsers, the
+ * IndexedDB chunk cache).
+ *
+ * Every function takes an options object:
+ *   rpcUrl      RPC endpoint (default: MegaETH mainnet)
+ *   blockTag    read at this block (default: latest)
+ *   onProgress  progress callback ({ phase: "scan" | "load", ... })
+ * plus the loader options (concurrency, batchSize, bypassCache).
+ */
+
+import { CONFIG } from "./config.js";
+import {
+  loadMasterNFTSite,
+  loadContainerSite,
+  listContainerFiles,
+  getSiteSnapshot,
+  inspectTree,
+} from "./site-loader.js";
+
+/**
+ * Read a MasterNFT site by token ID.
+ * options.registry overrides the MasterNFT address.
+ * Returns { data, siteType, blockNumber, endpoints }.
+ */
+export function readSite(tokenId, options = {}) {
+  const { rpcUrl = CONFIG.RPC_URL, registry = CONFIG.MASTER_NFT_ADDRESS, onProgress, ...loadOptions } = options;
+  return loadMasterNFTSite(registry, BigInt(tokenId), rpcUrl, onProgress, loadOptions);
+}
+
+/**
+ * Read one file from a WarrenContainer site. Without a path, reads the
+ * container's default file (/index.html, or /collection.json for NFT
+ * containers). options.container overrides the WarrenContainer address.
+ * Returns { data, filePath, mimeType, siteData, blockNumber }.
+ */
+export function readContainerFile(containerId, path, options = {}) {
+  const { rpcUrl = CONFIG.RPC_URL, container = CONFIG.WARREN_CONTAINER_ADDRESS, onProgress, ...loadOptions } = options;
+  return loadContainerSite(container, BigInt(containerId), rpcUrl, path, onProgress, loadOptions);
+}
+
+/**
+ * List a WarrenContainer site's files without reading their content.
+ * Returns { files: [{ path, chunk, size, depth, mimeType }], siteData, blockNumber }.
+ */
+export function listContainer(containerId, options = {}) {
+  const { rpcUrl = CONFIG.RPC_URL, container = CONFIG.WARREN_CONTAINER_ADDRESS, onProgress, ...loadOptions } = options;
+  return listContainerFiles(container, BigInt(containerId), rpcUrl, onProgress, loadOptions);
+}
+
+/**
+ * Describe a MasterNFT site without assembling it: every getSiteData field
+ * plus the tree's node addresses per level and each leaf's address and size.
+ * Returns { siteData, blockNumber, tree: { levels, leaves } }.
+ */
+export async function inspectSite(tokenId, options = {}) {
+  const { rpcUrl = CONFIG.RPC_URL, registry = CONFIG.MASTER_NFT_ADDRESS, onProgress, ...loadOptions } = options;
+  const { siteData, blockTag, blockNumber } = await getSiteSnapshot(registry, BigInt(tokenId), rpcUrl, loadOptions.blockTag);
+  if (!siteData.rootChunk || siteData.rootChunk === "0x0000000000000000000000000000000000000000") {
+    throw new Error("Site not found");
+  }
+
+  const tree = await inspectTree(siteData.rootChunk, siteData.depth, rpcUrl, { ...loadOptions, blockTag });
+  return { siteData, blockNumber, tree };
+}
+
+/**
+ * Describe one container file's tree, like inspectSite.
+ * Returns { file, siteData, blockNumber, tree: { levels, leaves } }.
+ */
+export async function inspectContainerFile(containerId, path, options = {}) {
+  const { files, siteData, blockNumber } = await listContainer(containerId, options);
+  const filePath = path.startsWith("/") ? path : "/" + path;
+  const file = files.find(f => f.path === filePath);
+  if (!file) throw new Error(`File not found: ${filePath}`);
+
+  const { rpcUrl = CONFIG.RPC_URL, onProgress, container, ...loadOptions } = options;
+  const blockTag = "0x" + blockNumber.toString(16);
+  const tree = await inspectTree(file.chunk, file.depth, rpcUrl, { ...loadOptions, blockTag });
+  return { file, siteData, blockNumber, tree };
+}
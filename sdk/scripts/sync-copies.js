@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Copy the SDK into the folders that ship it
+ *
+ * The extension, the loader pages and the deploy skills each need real
+ * files inside their own folder: an extension can only load files from its
+ * package, the loader is copied onto static hosts as is, and a skill folder
+ * has to run on its own. This script copies the modules each one imports
+ * (and what those import) from sdk/ into <folder>/sdk/.
+ *
+ * Usage:  node scripts/sync-copies.js           Update the copies
+ *         node scripts/sync-copies.js --check   Exit 1 if a copy is stale
+ */
+
+import { readFileSync, writeFileSync, readdirSync, mkdirSync, rmSync, existsSync } from "node:fs";
+import { dirname, join, relative } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const SDK_DIR = join(dirname(fileURLToPath(import.meta.url)), "..");
+const REPO_DIR = join(SDK_DIR, "..");
+
+// Each copy, with the SDK modules its code imports directly
+export const COPIES = {
+  "extension/sdk": ["site-loader.js", "container-router.js", "encrypted-site.js", "module-rewriter.js"],
+  "loader/sdk": ["site-loader.js", "container-router.js", "module-rewriter.js"],
+  "skills/warren-deploy/sdk": ["writer.js"],
+  "skills/warren-nft-deploy/sdk": ["writer.js"],
+};
+
+const NOTICE = "# Copied from sdk/\n\nThese files are copies of the warren-tools repository's `sdk/` modules, made\nby `npm run sync` in `sdk/`. Edit them there, not here.\n";
+
+// The skills are CommonJS packages; the SDK files are ES modules
+const MODULE_PACKAGE = "{\n  \"type\": \"module\"\n}\n";
+
+/**
+ * The modules an entry list needs: the entries and every "./x.js" they
+ * import, followed recursively.
+ */
+export function moduleClosure(entries) {
+  const files = new Set();
+  const visit = (file) => {
+    if (files.has(file)) return;
+    files.add(file);
+    const source = readFileSync(join(SDK_DIR, file), "utf8");
+    for (const match of source.matchAll(/^(?:import|export)\b[^;]*?\bfrom\s+"\.\/([\w-]+\.js)"/gm)) {
+      visit(match[1]);
+    }
+  };
+  entries.forEach(visit);
+  return [...files].sort();
+}
+
+/**
+ * The files a copy folder should hold: { name: contents }
+ */
+export function expectedFiles(folder) {
+  const files = { "README.md": NOTICE };
+  for (const file of moduleClosure(COPIES[folder])) {
+    files[file] = readFileSync(join(SDK_DIR, file), "utf8");
+  }
+  if (folder.startsWith("skills/")) files["package.json"] = MODULE_PACKAGE;
+  return files;
+}
+
+/**
+ * Compare every copy with sdk/. Returns the stale paths (relative to the
+ * repository), or writes the copies when `write` is set.
+ */
+export function syncCopies({ write = false } = {}) {
+  const stale = [];
+  for (const folder of Object.keys(COPIES)) {
+    const dir = join(REPO_DIR, folder);
+    const expected = expectedFiles(folder);
+    const present = existsSync(dir) ? readdirSync(dir) : [];
+
+    for (const [name, contents] of Object.entries(expected)) {
+      const path = join(dir, name);
+      if (existsSync(path) && readFileSync(path, "utf8") === contents) continue;
+      stale.push(relative(REPO_DIR, path));
+      if (write) {
+        mkdirSync(dir, { recursive: true });
+        writeFileSync(path, contents);
+      }
+    }
+    for (const name of present) {
+      if (name in expected) continue;
+      stale.push(relative(REPO_DIR, join(dir, name)));
+      if (write) rmSync(join(dir, name), { recursive: true });
+    }
+  }
+  return stale;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const check = process.argv.includes("--check");
+  const stale = syncCopies({ write: !check });
+  if (check && stale.length) {
+    console.error(`[sync] Out of date with sdk/ (run npm run sync):\n  ${stale.join("\n  ")}`);
+    process.exit(1);
+  }
+  console.log(stale.length ? `[sync] Updated:\n  ${stale.join("\n  ")}` : "[sync] Copies are up to date");
+}
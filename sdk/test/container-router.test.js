@@ -0,0 +1,126 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createContainerRouter, parseRedirects, resolveLocation } from "../container-router.js";
+
+// The part of openContainer's interface the router uses
+function fakeContainer(files) {
+  return {
+    has: path => path in files,
+    read: async path => ({ data: new TextEncoder().encode(files[path]) }),
+  };
+}
+
+const SITE = {
+  "/index.html": "home",
+  "/about.html": "about",
+  "/docs/index.html": "docs",
+  "/docs/intro.html": "intro",
+  "/404.html": "not found",
+};
+
+test("routes exact files, directory indexes and clean URLs", async () => {
+  const router = await createContainerRouter(fakeContainer(SITE));
+  assert.deepEqual(router.route("/about.html"), { status: 200, file: "/about.html" });
+  assert.deepEqual(router.route("/"), { status: 200, file: "/index.html" });
+  assert.deepEqual(router.route("/docs/"), { status: 200, file: "/docs/index.html" });
+  assert.deepEqual(router.route("/docs"), { status: 301, location: "/docs/" });
+  assert.deepEqual(router.route("/about"), { status: 200, file: "/about.html" });
+  assert.deepEqual(router.route("/about/"), { status: 200, file: "/about.html" });
+  assert.deepEqual(router.route("/docs/intro"), { status: 200, file: "/docs/intro.html" });
+});
+
+test("serves /404.html for unknown paths, or the index in SPA mode", async () => {
+  assert.deepEqual((await createContainerRouter(fakeContainer(SITE))).route("/nope"), { status: 404, file: "/404.html" });
+
+  const { "/404.html": _, ...bare } = SITE;
+  assert.deepEqual((await createContainerRouter(fakeContainer(bare))).route("/nope"), { status: 404, file: null });
+  assert.deepEqual((await createContainerRouter(fakeContainer(bare), { spa: true })).route("/app/settings"), { status: 200, file: "/index.html" });
+});
+
+test("applies _redirects rules around the file lookup", async () => {
+  const router = await createContainerRouter(fakeContainer({
+    ...SITE,
+    "/_redirects": [
+      "# comment",
+      "/old            /about         301",
+      "/about.html     /index.html    302!",
+      "/blog/:year/*   /posts/:year/:splat",
+      "/app/*          /index.html    200",
+      "/gone           /404.html      404",
+      "not-a-rule",
+    ].join("\n"),
+  }));
+
+  assert.equal(router.rules.length, 5);
+  assert.deepEqual(router.route("/old"), { status: 301, location: "/about" });
+  assert.deepEqual(router.route("/about.html"), { status: 302, location: "/index.html" }); // forced: wins over the file
+  assert.deepEqual(router.route("/blog/2024/hello/world"), { status: 301, location: "/posts/2024/hello/world" });
+  assert.deepEqual(router.route("/app/a/b"), { status: 200, file: "/index.html" });
+  assert.deepEqual(router.route("/gone"), { status: 404, file: "/404.html" });
+  assert.deepEqual(router.route("/index.html"), { status: 200, file: "/index.html" });
+});
+
+test("resolve follows redirects inside the container", async () => {
+  const router = await createContainerRouter(fakeContainer({
+    ...SITE,
+    "/_redirects": "/old /docs 301\n/loop-a /loop-b\n/loop-b /loop-a\n/away https://example.com/page 302",
+  }));
+
+  assert.deepEqual(router.resolve("/old"), { status: 200, file: "/docs/index.html", url: "/docs/" });
+  assert.deepEqual(router.resolve("/away"), { external: "https://example.com/page" });
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(router.resolve("/loop-a").status, 508);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test("parseRedirects reads status, force and placeholders", () => {
+  const [rule] = parseRedirects("/a/:id  /b/:id  200!");
+  assert.equal(rule.status, 200);
+  assert.equal(rule.force, true);
+  assert.ok(rule.pattern.test("/a/42"));
+  assert.ok(rule.pattern.test("/a/42/"));
+  assert.ok(!rule.pattern.test("/a/42/x"));
+  assert.deepEqual(parseRedirects("relative /x\n/only-from"), []);
+});
+
+test("only http(s) redirect targets leave the site; other schemes are not found", async () => {
+  const router = await createContainerRouter(fakeContainer({
+    ...SITE,
+    "/_redirects": [
+      "/js      javascript:alert(1)          302",
+      "/data    data:text/html,<b>x</b>      301",
+      "/ext     chrome-extension://abc/x     302",
+      "/forced  JavaScript:alert(1)          302!",
+      "/ok      HTTPS://example.com/         302",
+    ].join("\n"),
+  }));
+
+  for (const path of ["/js", "/data", "/ext", "/forced"]) {
+    assert.deepEqual(router.route(path), { status: 404, file: "/404.html" }, path);
+    assert.deepEqual(router.resolve(path), { status: 404, file: "/404.html", url: path }, path);
+  }
+  assert.deepEqual(router.resolve("/ok"), { external: "HTTPS://example.com/" });
+});
+
+test("relative redirect targets resolve against the path they came from", async () => {
+  const router = await createContainerRouter(fakeContainer({
+    ...SITE,
+    "/guide/start.html": "start",
+    "/_redirects": "/guide/old  start.html?from=old#top  301\n/guide/up  ../about  301",
+  }));
+
+  assert.deepEqual(router.resolve("/guide/old"), { status: 200, file: "/guide/start.html", url: "/guide/start.html" });
+  assert.deepEqual(router.resolve("/guide/up"), { status: 200, file: "/about.html", url: "/about" });
+
+  const url = resolveLocation("start.html?from=old#top", "/guide/old");
+  assert.equal(url.pathname, "/guide/start.html");
+  assert.equal(url.search, "?from=old");
+  assert.equal(url.hash, "#top");
+  assert.equal(resolveLocation("/a b.html", "/dir/x #1.html").pathname, "/a%20b.html");
+  assert.equal(resolveLocation("c.html", "/dir/x #1.html").pathname, "/dir/c.html");
+});
@@ -0,0 +1,12 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { syncCopies, moduleClosure } from "../scripts/sync-copies.js";
+
+test("the SDK copies in extension/, loader/ and the skills match sdk/", () => {
+  assert.deepEqual(syncCopies(), [], "run `npm run sync` in sdk/");
+});
+
+test("a copy includes what its modules import", () => {
+  assert.deepEqual(moduleClosure(["writer.js"]), ["config.js", "keccak256.js", "page-bytecode.js", "writer.js"]);
+  assert.ok(moduleClosure(["site-loader.js"]).includes("rpc-pool.js"));
+});
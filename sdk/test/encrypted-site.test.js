@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { encryptSite, decryptSite, isEncryptedSite, parseEncryptedSite } from "../encrypted-site.js";
+
+const content = new TextEncoder().encode("<h1>secret</h1>");
+
+test("encryptSite output decrypts with the passphrase and keeps the inner site type", async () => {
+  const bytes = await encryptSite(content, "hunter2", 3, { iterations: 10000 });
+  assert.ok(isEncryptedSite(bytes));
+  assert.equal(bytes.length, 38 + content.length + 16);
+
+  const { siteType, iterations } = parseEncryptedSite(bytes);
+  assert.equal(siteType, 3);
+  assert.equal(iterations, 10000);
+
+  const result = await decryptSite(bytes, "hunter2");
+  assert.deepEqual(result, { data: content, siteType: 3 });
+  await assert.rejects(decryptSite(bytes, "wrong"), /Wrong passphrase/);
+});
+
+test("the header is authenticated", async () => {
+  const bytes = await encryptSite(content, "pw", 0, { iterations: 10000 });
+  bytes[5] = 1; // swap the inner site type
+  await assert.rejects(decryptSite(bytes, "pw"), /Wrong passphrase/);
+});
+
+test("iteration counts outside 10,000 to 10,000,000 are rejected", async () => {
+  await assert.rejects(encryptSite(content, "pw", 0, { iterations: 1000 }), /iterations/);
+
+  const bytes = await encryptSite(content, "pw", 0, { iterations: 10000 });
+  new DataView(bytes.buffer).setUint32(6, 0xffffffff);
+  assert.throws(() => parseEncryptedSite(bytes), /iterations/);
+  assert.throws(() => parseEncryptedSite(new TextEncoder().encode("not encrypted".repeat(4))), /Not an encrypted/);
+});
@@ -0,0 +1,116 @@
+/**
+ * Mock MegaETH node for the SDK tests
+ *
+ * Answers JSON-RPC (single and batch) over a fake `fetch`: eth_call against
+ * Page contracts (read()), Multicall3 (aggregate3, getBlockNumber) and any
+ * contract registered in `contracts`.
+ */
+
+const MULTICALL3 = "0xca11bde05977b3631167028862be2a173976ca11";
+
+export const word = (n) => BigInt(n).toString(16).padStart(64, "0");
+export const toHex = (bytes) => Buffer.from(bytes).toString("hex");
+const pad = (hex) => hex + "0".repeat((64 - (hex.length % 64)) % 64);
+
+// ABI encoding of a lone `bytes` return value
+export const encodeBytes = (bytes) => word(32) + word(bytes.length) + pad(toHex(bytes));
+
+export function createMockChain({ blockNumber = 1000 } = {}) {
+  const pages = new Map();     // address -> bytes
+  const contracts = new Map(); // address -> (calldata) => hex result, throws to revert
+  const stats = { requests: 0, calls: [], blockTags: [] };
+  let nextAddress = 1;
+
+  function addPage(bytes) {
+    const address = "0x" + (nextAddress++).toString(16).padStart(40, "0");
+    pages.set(address, bytes);
+    return address;
+  }
+
+  /**
+   * Store `data` the way deployTree does: `leafSize`-byte leaves, nodes of
+   * up to `groupSize` child addresses. Returns { rootChunk, depth, totalSize }.
+   */
+  function buildTree(data, leafSize, groupSize) {
+    let level = [];
+    for (let i = 0; i < data.length; i += leafSize) level.push(addPage(data.subarray(i, i + leafSize)));
+    return { ...buildNodes(level, groupSize), totalSize: data.length };
+  }
+
+  // Tree nodes over already-stored leaves
+  function buildNodes(leaves, groupSize) {
+    let level = leaves;
+    let depth = 0;
+    while (level.length > 1) {
+      depth++;
+      const next = [];
+      for (let i = 0; i < level.length; i += groupSize) {
+        const children = level.slice(i, i + groupSize).map(a => a.slice(2)).join("");
+        next.push(addPage(Uint8Array.from(Buffer.from(children, "hex"))));
+      }
+      level = next;
+    }
+    return { rootChunk: level[0], depth };
+  }
+
+  function call(to, data) {
+    to = to.toLowerCase();
+    stats.calls.push({ to, selector: data.slice(0, 10) });
+    if (to === MULTICALL3 && data.startsWith("0x42cbb15c")) return "0x" + word(blockNumber);
+    if (to === MULTICALL3 && data.startsWith("0x82ad56cb")) return aggregate3(data.slice(10));
+    if (pages.has(to) && data.startsWith("0x57de26a4")) return "0x" + encodeBytes(pages.get(to));
+    if (contracts.has(to)) return contracts.get(to)(data);
+    throw new Error("execution reverted");
+  }
+
+  // aggregate3((address target, bool allowFailure, bytes callData)[])
+  function aggregate3(args) {
+    const at = (pos) => parseInt(args.slice(pos, pos + 64), 16);
+    const array = at(0) * 2;
+    const length = at(array);
+    const base = array + 64;
+    const results = [];
+    for (let i = 0; i < length; i++) {
+      const tuple = base + at(base + i * 64) * 2;
+      const target = "0x" + args.slice(tuple + 24, tuple + 64);
+      const dataAt = tuple + at(tuple + 128) * 2;
+      const calldata = "0x" + args.slice(dataAt + 64, dataAt + 64 + at(dataAt) * 2);
+      try {
+        results.push([true, call(target, calldata).slice(2)]);
+      } catch {
+        results.push([false, ""]);
+      }
+    }
+
+    const tails = results.map(([ok, hex]) => word(ok ? 1 : 0) + word(64) + word(hex.length / 2) + pad(hex));
+    let offset = results.length * 32;
+    const heads = tails.map((tail) => {
+      const head = word(offset);
+      offset += tail.length / 2;
+      return head;
+    });
+    return "0x" + word(32) + word(results.length) + heads.join("") + tails.join("");
+  }
+
+  function answer(req) {
+    try {
+      if (req.method === "eth_blockNumber") return { jsonrpc: "2.0", id: req.id, result: "0x" + blockNumber.toString(16) };
+      if (req.method === "eth_call") {
+        stats.blockTags.push(req.params[1]);
+        return { jsonrpc: "2.0", id: req.id, result: call(req.params[0].to, req.params[0].data) };
+      }
+      return { jsonrpc: "2.0", id: req.id, error: { code: -32601, message: `Unknown method ${req.method}` } };
+    } catch (err) {
+      return { jsonrpc: "2.0", id: req.id, error: { code: 3, message: err.message } };
+    }
+  }
+
+  async function fetch(url, init) {
+    stats.requests++;
+    const body = JSON.parse(init.body);
+    const json = Array.isArray(body) ? body.map(answer) : answer(body);
+    return new Response(JSON.stringify(json), { status: 200, headers: { "Content-Type": "application/json" } });
+  }
+
+  return { pages, contracts, stats, addPage, buildTree, buildNodes, fetch };
+}
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scanModuleSyntax, rewriteModuleSyntax } from "../module-rewriter.js";
+
+// Specifiers found in `code`, with "()" marking dynamic ones
+const specifiers = (code) => scanModuleSyntax(code)
+  .filter(token => token.type === "specifier")
+  .map(token => token.dynamic ? `(${token.value})` : token.value);
+
+test("finds the specifiers of import and export statements", () => {
+  const code = [
+    'import "./side-effect.js";',
+    "import def from './a.js';",
+    'import * as ns from "./b.js"',
+    'import def2, { x as y, z } from "./c.js";',
+    "import {\n  multi,\n  line,\n} from \"./d.js\";",
+    'export * from "./e.js";',
+    'export * as f from "./f.js";',
+    'export { g, h as default } from "./g.js";',
+    'import json from "./data.json" with { type: "json" };',
+    'import/* c */"./comment.js";',
+    'export { local };',
+    'const from = 1; export default from;',
+  ].join("\n");
+
+  assert.deepEqual(specifiers(code), [
+    "./side-effect.js", "./a.js", "./b.js", "./c.js", "./d.js",
+    "./e.js", "./f.js", "./g.js", "./data.json", "./comment.js",
+  ]);
+});
+
+test("finds import() calls and their string specifiers", () => {
+  const code = 'load(import("./lazy.js")); import(name); import ( "./spaced.js" , { with: {} }); import(`./tpl.js`); import("./a" + b);';
+  const tokens = scanModuleSyntax(code);
+  assert.equal(tokens.filter(token => token.type === "import-call").length, 5);
+  assert.deepEqual(specifiers(code), ["(./lazy.js)", "(./spaced.js)"]);
+  for (const token of tokens.filter(token => token.type === "import-call")) {
+    assert.match(code.slice(token.start, token.end), /^import\s*\($/);
+  }
+});
+
+test("leaves strings, comments, templates and regular expressions alone", () => {
+  const code = [
+    'const help = "use import(\\"./not.js\\") or import x from \'./not.js\'";',
+    "// import x from './not.js'",
+    "/* export * from './not.js'; import('./not.js') */",
+    "const tpl = `import('./not.js') ${ value } from './not.js' ${ { a: `import('./not.js')` }.a }`;",
+    "const re = /import\\(['\"]x['\"]\\)/g, ratio = a / b / c;",
+    "if (ok) x = html.match(/from \"[^\"]+\"/);",
+    "const meta = 'import.meta.url';",
+    "obj.import('./not.js'); obj.from;",
+    "const o = { import: 1, from: './not.js' };",
+    'import real from "./real.js";',
+  ].join("\n");
+
+  assert.deepEqual(specifiers(code), ["./real.js"]);
+  assert.equal(scanModuleSyntax(code).length, 1);
+});
+
+test("tells division from regular expressions by the token before", () => {
+  const code = [
+    "const half = (a + b) / 2, q = arr[0] / 4 / x;",
+    "const n = 10 / 2; // import('./not.js')",
+    "return /import('.\\/x')/.test(s);",
+    "const r = [/\\/[/]/g, x];",
+    'import("./after.js");',
+  ].join("\n");
+
+  assert.deepEqual(specifiers(code), ["(./after.js)"]);
+});
+
+test("finds import.meta.url, but not other import.meta properties", () => {
+  const code = 'new URL("./x.wasm", import.meta.url); import . meta . url; import.meta.env; import.meta.resolve("./y");';
+  const metas = scanModuleSyntax(code).filter(token => token.type === "import-meta-url");
+  assert.deepEqual(metas.map(token => code.slice(token.start, token.end)), ["import.meta.url", "import . meta . url"]);
+});
+
+test("rewriteModuleSyntax replaces only the tokens the callback answers", () => {
+  const code = "import a from './a.js';\nimport b from 'pkg';\nconst c = await import('./c.js');\nconst u = import.meta.url; // import './not.js'";
+  const result = rewriteModuleSyntax(code, (token) => {
+    if (token.type === "specifier" && token.value.startsWith("./")) return JSON.stringify("blob:" + token.value.slice(2));
+    if (token.type === "import-meta-url") return '"https://site/x.js"';
+  });
+  assert.equal(result, "import a from \"blob:a.js\";\nimport b from 'pkg';\nconst c = await import(\"blob:c.js\");\nconst u = \"https://site/x.js\"; // import './not.js'");
+
+  const calls = rewriteModuleSyntax("import('./x.js'); foo.import('./y.js')", token =>
+    token.type === "import-call" ? '__load("/index.js", ' : undefined);
+  assert.equal(calls, "__load(\"/index.js\", './x.js'); foo.import('./y.js')");
+});
+
+test("handles a hashbang, unicode names and minified code", () => {
+  assert.deepEqual(specifiers('#!/usr/bin/env node\nimport "./a.js"'), ["./a.js"]);
+  assert.deepEqual(specifiers('const ñ=1/2;import{a as é}from"./b.js";export*from"./c.js";'), ["./b.js", "./c.js"]);
+  assert.deepEqual(specifiers('let s="\\\\";import"./d.js"'), ["./d.js"]);
+});
@@ -0,0 +1,161 @@
+import { test, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { CONFIG } from "../config.js";
+import { createRpcPool, getRpcPool } from "../rpc-pool.js";
+
+// Endpoint behaviour by URL: (body) => Response, or a promise of one
+let endpoints = {};
+let requests = [];
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+const answer = (req, result = `${req.method}:${req.params[0]}`) => ({ jsonrpc: "2.0", id: req.id, result });
+const ok = (body) => json(Array.isArray(body) ? body.map(req => answer(req)) : answer(body));
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+before(() => {
+  console.warn = () => {};
+  globalThis.fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    requests.push({ url, batch: Array.isArray(body), size: Array.isArray(body) ? body.length : 1 });
+    const handler = endpoints[url];
+    return new Promise((resolve, reject) => {
+      init.signal.addEventListener("abort", () => reject(Object.assign(new Error("aborted"), { name: "AbortError" })));
+      Promise.resolve(handler(body)).then(resolve, reject);
+    });
+  };
+});
+
+beforeEach(() => {
+  endpoints = {};
+  requests = [];
+  CONFIG.RPC_BATCH_WINDOW_MS = 10;
+  CONFIG.RPC_MAX_BATCH_SIZE = 50;
+  CONFIG.RPC_HEDGE_DELAY_MS = 1500;
+  CONFIG.RPC_TIMEOUT_MS = 10000;
+  CONFIG.RPC_FALLBACK_URLS = [];
+});
+
+test("calls made together go out as one JSON-RPC batch, matched up by id", async () => {
+  endpoints = { "http://a": ok };
+  const pool = createRpcPool(["http://a"]);
+
+  const results = await Promise.all([1, 2, 3].map(n => pool.call("eth_call", [n])));
+  assert.deepEqual(results.map(r => r.result), ["eth_call:1", "eth_call:2", "eth_call:3"]);
+  assert.ok(results.every(r => r.endpoint === "http://a"));
+  assert.deepEqual(requests, [{ url: "http://a", batch: true, size: 3 }]);
+});
+
+test("batches are split at RPC_MAX_BATCH_SIZE", async () => {
+  CONFIG.RPC_MAX_BATCH_SIZE = 4;
+  endpoints = { "http://a": ok };
+  const pool = createRpcPool(["http://a"]);
+
+  await Promise.all([1, 2, 3, 4, 5, 6].map(n => pool.call("eth_call", [n])));
+  assert.deepEqual(requests.map(r => r.size), [4, 2]);
+});
+
+test("a JSON-RPC error fails only its own call", async () => {
+  endpoints = {
+    "http://a": body => json(body.map(req => req.params[0] === 2
+      ? { jsonrpc: "2.0", id: req.id, error: { code: 3, message: "execution reverted" } }
+      : answer(req))),
+  };
+  const pool = createRpcPool(["http://a"]);
+
+  const results = await Promise.allSettled([1, 2, 3].map(n => pool.call("eth_call", [n])));
+  assert.deepEqual(results.map(r => r.status), ["fulfilled", "rejected", "fulfilled"]);
+  assert.match(results[1].reason.message, /execution reverted/);
+});
+
+test("endpoints that reject batches get single requests", async () => {
+  endpoints = {
+    "http://a": body => Array.isArray(body) ? json({ error: { message: "batch not supported" } }, 400) : ok(body),
+  };
+  const pool = createRpcPool(["http://a"]);
+
+  const results = await Promise.all([1, 2].map(n => pool.call("eth_call", [n])));
+  assert.deepEqual(results.map(r => r.result), ["eth_call:1", "eth_call:2"]);
+  requests = [];
+  await Promise.all([3, 4].map(n => pool.call("eth_call", [n])));
+  assert.ok(requests.every(r => !r.batch));
+});
+
+test("fails over to the next endpoint on HTTP errors", async () => {
+  endpoints = { "http://a": () => json({}, 502), "http://b": ok };
+  const pool = createRpcPool(["http://a", "http://b"]);
+
+  const { result, endpoint } = await pool.call("eth_call", [1], { batch: false });
+  assert.equal(result, "eth_call:1");
+  assert.equal(endpoint, "http://b");
+});
+
+test("a 429 opens the endpoint's circuit until the cooldown ends", async () => {
+  endpoints = { "http://a": () => json({}, 429), "http://b": ok };
+  const pool = createRpcPool(["http://a", "http://b"]);
+
+  assert.equal((await pool.call("eth_call", [1], { batch: false })).endpoint, "http://b");
+  assert.equal(pool.stats()[0].circuitOpen, true);
+
+  requests = [];
+  assert.equal((await pool.call("eth_call", [2], { batch: false })).endpoint, "http://b");
+  assert.deepEqual(requests.map(r => r.url), ["http://b"]);
+});
+
+test("rate-limit JSON-RPC errors count as a 429", async () => {
+  endpoints = {
+    "http://a": body => json({ jsonrpc: "2.0", id: body.id, error: { code: -32005, message: "rate limit exceeded" } }),
+    "http://b": ok,
+  };
+  const pool = createRpcPool(["http://a", "http://b"]);
+
+  assert.equal((await pool.call("eth_call", [1], { batch: false })).endpoint, "http://b");
+  assert.equal(pool.stats()[0].circuitOpen, true);
+});
+
+test("a slow request is hedged to the next endpoint and the first answer wins", async () => {
+  CONFIG.RPC_HEDGE_DELAY_MS = 20;
+  endpoints = { "http://a": async body => { await sleep(500); return ok(body); }, "http://b": ok };
+  const pool = createRpcPool(["http://a", "http://b"]);
+
+  const started = Date.now();
+  const { endpoint } = await pool.call("eth_call", [1], { batch: false });
+  assert.equal(endpoint, "http://b");
+  assert.ok(Date.now() - started < 400);
+});
+
+test("a timeout fails over and opens the circuit", async () => {
+  CONFIG.RPC_TIMEOUT_MS = 30;
+  CONFIG.RPC_HEDGE_DELAY_MS = 10000;
+  endpoints = { "http://a": () => new Promise(() => {}), "http://b": ok };
+  const pool = createRpcPool(["http://a", "http://b"]);
+
+  assert.equal((await pool.call("eth_call", [1], { batch: false })).endpoint, "http://b");
+  assert.equal(pool.stats()[0].circuitOpen, true);
+});
+
+test("the last error is thrown when every endpoint fails", async () => {
+  endpoints = { "http://a": () => json({}, 500), "http://b": () => json({}, 503) };
+  const pool = createRpcPool(["http://a", "http://b"]);
+
+  await assert.rejects(pool.call("eth_call", [1], { batch: false }), /RPC HTTP/);
+});
+
+test("a 429 on a batch retries its calls on the next endpoint", async () => {
+  endpoints = { "http://a": () => json({}, 429), "http://b": () => json({}, 429), "http://c": ok };
+  const pool = createRpcPool(["http://a", "http://b", "http://c"]);
+
+  const results = await Promise.all([1, 2, 3].map(n => pool.call("eth_call", [n])));
+  assert.deepEqual(results.map(r => r.result), ["eth_call:1", "eth_call:2", "eth_call:3"]);
+  assert.ok(results.every(r => r.endpoint === "http://c"));
+  assert.deepEqual(requests.map(r => [r.url, r.size]), [["http://a", 3], ["http://b", 3], ["http://c", 3]]);
+  assert.deepEqual(pool.stats().map(s => s.circuitOpen), [true, true, false]);
+});
+
+test("getRpcPool picks up a changed fallback list", async () => {
+  endpoints = { "http://a": () => json({}, 502), "http://b": ok };
+  await assert.rejects(getRpcPool("http://a").call("eth_call", [1], { batch: false }), /RPC HTTP 502/);
+
+  CONFIG.RPC_FALLBACK_URLS = ["http://b"];
+  assert.equal((await getRpcPool("http://a").call("eth_call", [2], { batch: false })).endpoint, "http://b");
+  assert.deepEqual(getRpcPool("http://a").stats().map(s => s.url), ["http://a", "http://b"]);
+});
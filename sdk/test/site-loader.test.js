@@ -0,0 +1,154 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { createMockChain, word } from "./mock-chain.js";
+import { CONFIG } from "../config.js";
+import { keccak256 } from "../keccak256.js";
+import {
+  streamContent,
+  readRange,
+  inspectTree,
+  getSiteSnapshot,
+  getMasterSiteSnapshot,
+  loadMasterNFTSite,
+  openContainer,
+} from "../site-loader.js";
+
+const RPC = "http://rpc.test";
+const chain = createMockChain({ blockNumber: 4000 });
+const data = Uint8Array.from({ length: 10007 }, (_, i) => (i * 31 + 7) & 255);
+
+before(() => {
+  globalThis.fetch = chain.fetch;
+  CONFIG.RPC_FALLBACK_URLS = [];
+});
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+test("streamContent reads a tree's leaves in order, over several Multicall batches", async () => {
+  const tree = chain.buildTree(data, 100, 7);
+  assert.equal(tree.depth, 3);
+
+  const events = [];
+  const stream = streamContent(tree.rootChunk, tree.depth, RPC, e => events.push(e), { batchSize: 9, bypassCache: true });
+  assert.deepEqual(await readAll(stream), Buffer.from(data));
+
+  const scans = events.filter(e => e.phase === "scan" && e.depth);
+  assert.deepEqual(scans.map(e => e.nodes), [3, 15, 101]);
+  const loads = events.filter(e => e.phase === "load");
+  assert.deepEqual(loads[0], { phase: "load", loaded: 0, total: 101 });
+  assert.equal(loads.at(-1).loaded, 101);
+  assert.equal(loads.at(-1).endpoint, RPC);
+});
+
+test("inspectTree reports levels and leaf sizes", async () => {
+  const tree = chain.buildTree(data.subarray(0, 950), 100, 4);
+  const { levels, leaves } = await inspectTree(tree.rootChunk, tree.depth, RPC, { bypassCache: true });
+  assert.deepEqual(levels.map(l => l.nodes.length), [1, 3]);
+  assert.equal(leaves.length, 10);
+  assert.equal(leaves.at(-1).size, 50);
+});
+
+test("readRange returns the requested bytes from a deployTree-shaped tree", async () => {
+  const tree = chain.buildTree(data, 100, 7);
+  const ranges = [[0, 10], [95, 10], [5000, 333], [9990, 50], [10006, 1], [0, 10007], [700, 1400]];
+  for (const [offset, length] of ranges) {
+    const bytes = await readRange(tree.rootChunk, tree.depth, offset, length, RPC, { totalSize: tree.totalSize });
+    assert.deepEqual(Buffer.from(bytes), Buffer.from(data.subarray(offset, offset + length)), `range ${offset}+${length}`);
+  }
+
+  const unsized = await readRange(tree.rootChunk, tree.depth, 5000, 200, RPC);
+  assert.deepEqual(Buffer.from(unsized), Buffer.from(data.subarray(5000, 5200)));
+});
+
+test("readRange falls back to a sequential read for other layouts", async () => {
+  // Leaf 3 is short, so offsets past it can't be computed from the leaf size
+  const sizes = [100, 100, 100, 40];
+  const leaves = [];
+  for (let offset = 0; offset < data.length;) {
+    const size = sizes[leaves.length] ?? 100;
+    leaves.push(chain.addPage(data.subarray(offset, offset + size)));
+    offset += size;
+  }
+  const tree = chain.buildNodes(leaves, 7);
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const bytes = await readRange(tree.rootChunk, tree.depth, 5000, 200, RPC, { totalSize: data.length });
+    assert.deepEqual(Buffer.from(bytes), Buffer.from(data.subarray(5000, 5200)));
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test("getSiteSnapshot pins the block with the site record read, and reads stay on it", async () => {
+  const tree = chain.buildTree(data.subarray(0, 5000), 300, 4);
+  const registry = "0x00000000000000000000000000000000000000aa";
+  chain.contracts.set(registry, (calldata) => {
+    assert.ok(calldata.startsWith("0x7328a941"));
+    return "0x" + tree.rootChunk.slice(2).padStart(64, "0") + word(tree.depth) + word(tree.totalSize) + word(0) + word(0) + word(1) + word(2) + word(3);
+  });
+
+  chain.stats.requests = 0;
+  const snapshot = await getSiteSnapshot(registry, 1n, RPC);
+  assert.equal(chain.stats.requests, 1);
+  assert.equal(snapshot.blockNumber, 4000);
+  assert.equal(snapshot.blockTag, "0xfa0");
+  assert.equal(snapshot.siteData.rootChunk, tree.rootChunk);
+  assert.equal(snapshot.siteData.totalSize, 5000);
+
+  chain.stats.blockTags = [];
+  const site = await loadMasterNFTSite(registry, 1n, RPC, null, { bypassCache: true, blockTag: 900 });
+  assert.equal(site.blockNumber, 900);
+  assert.deepEqual(Buffer.from(site.data), Buffer.from(data.subarray(0, 5000)));
+  assert.ok(chain.stats.blockTags.every(tag => tag === "0x384"));
+});
+
+test("getMasterSiteSnapshot reads a legacy Master contract's site", async () => {
+  const master = "0x00000000000000000000000000000000000000bb";
+  const root = "0x00000000000000000000000000000000000000c1";
+  chain.contracts.set(master, () => "0x" + root.slice(2).padStart(64, "0") + word(2) + word(123) + word(3));
+
+  const { siteData, blockNumber } = await getMasterSiteSnapshot(master, RPC);
+  assert.deepEqual(siteData, { rootChunk: root, depth: 2, totalSize: 123, siteType: 3 });
+  assert.equal(blockNumber, 4000);
+});
+
+test("openContainer lists files and reads them on demand", async () => {
+  const files = { "/index.html": "<h1>hi</h1>", "/a/b.css": "body { color: red }" };
+  const entries = new Map();
+  for (const [path, text] of Object.entries(files)) {
+    entries.set(keccak256(path), { path, tree: chain.buildTree(new TextEncoder().encode(text), 4, 3) });
+  }
+  const string = (s) => {
+    const hex = Buffer.from(s).toString("hex");
+    return word(32) + word(hex.length / 2) + hex.padEnd(Math.ceil(hex.length / 64) * 64 || 64, "0");
+  };
+
+  const container = "0x00000000000000000000000000000000000000cc";
+  chain.contracts.set(container, (calldata) => {
+    const selector = calldata.slice(0, 10);
+    if (selector === "0x7328a941") return "0x" + word(1) + word(0) + word(1) + word(100) + word(entries.size) + word(5) + word(6);
+    if (selector === "0x45f6528d") return "0x" + word(32) + word(entries.size) + [...entries.keys()].join("");
+    if (selector === "0xd80f14a8") return "0x" + string(entries.get(calldata.slice(10, 74)).path);
+    if (selector === "0x702f2ee1") {
+      const { tree } = entries.get(calldata.slice(74, 138));
+      return "0x" + tree.rootChunk.slice(2).padStart(64, "0") + word(tree.totalSize) + word(tree.depth);
+    }
+    throw new Error("execution reverted");
+  });
+
+  const site = await openContainer(container, 7, RPC, null, { bypassCache: true });
+  assert.deepEqual(site.files.map(f => f.path).sort(), ["/a/b.css", "/index.html"]);
+  assert.equal(site.blockNumber, 4000);
+  assert.ok(site.has("/index.html"));
+  assert.equal(await site.read("/missing"), null);
+
+  const file = await site.read("/a/b.css");
+  assert.equal(new TextDecoder().decode(file.data), files["/a/b.css"]);
+  assert.equal(file.mimeType, "text/css");
+});
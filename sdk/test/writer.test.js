@@ -0,0 +1,164 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { keccak256 } from "../keccak256.js";
+import { PAGE_BYTECODE } from "../page-bytecode.js";
+import {
+  chunkContent,
+  estimateChunkGasLimit,
+  deployTree,
+  deployContent,
+  deployContainer,
+  ensureAccessKey,
+} from "../writer.js";
+
+const OWNER = "0x00000000000000000000000000000000000000f1";
+const TRANSFER_TOPIC = "0x" + keccak256("Transfer(address,address,uint256)");
+const selector = (signature) => keccak256(signature).slice(0, 8);
+const word = (n) => BigInt(n).toString(16).padStart(64, "0");
+const address = (a) => a.slice(2).padStart(64, "0");
+
+/**
+ * A signer that records transactions: Page deployments get sequential
+ * addresses, mints log a Transfer of token 77, and balanceOf() answers from
+ * `balances` (token address -> balance).
+ */
+function fakeSigner(balances = {}) {
+  const txs = [];
+  const pages = new Map(); // address -> deployed bytes
+  let nextAddress = 0x100;
+
+  const provider = {
+    getTransactionCount: async () => txs.length,
+    getCode: async (a) => (pages.has(a) ? "0x6001" : "0x"),
+    call: async ({ to }) => "0x" + word(balances[to] || 0),
+  };
+
+  async function sendTransaction(tx) {
+    txs.push(tx);
+    if (tx.to) {
+      return { wait: async () => ({ status: 1, gasUsed: 21000n, logs: [{ address: tx.to, topics: [TRANSFER_TOPIC, "0x" + word(0), "0x" + address(OWNER), "0x" + word(77)] }] }) };
+    }
+    const contract = "0x" + (nextAddress++).toString(16).padStart(40, "0");
+    pages.set(contract, decodePage(tx.data));
+    return { wait: async () => ({ status: 1, contractAddress: contract }) };
+  }
+
+  return { txs, pages, provider, getAddress: async () => OWNER, sendTransaction };
+}
+
+// Constructor argument of a Page deployment: abi.encode(bytes)
+function decodePage(data) {
+  assert.ok(data.startsWith(PAGE_BYTECODE));
+  const args = data.slice(PAGE_BYTECODE.length);
+  assert.equal(args.slice(0, 64), word(32));
+  const length = parseInt(args.slice(64, 128), 16);
+  return Buffer.from(args.slice(128, 128 + length * 2), "hex");
+}
+
+// Reassemble a deployed tree from the signer's Pages
+function readTree(pages, root, depth) {
+  let level = [root];
+  for (let d = depth; d > 0; d--) {
+    level = level.flatMap(a => pages.get(a).toString("hex").match(/.{40}/g).map(h => "0x" + h));
+  }
+  return Buffer.concat(level.map(a => pages.get(a)));
+}
+
+test("chunkContent splits content into views of the chunk size", () => {
+  const chunks = chunkContent("abcdefghij", 4);
+  assert.deepEqual(chunks.map(c => new TextDecoder().decode(c)), ["abcd", "efgh", "ij"]);
+  assert.deepEqual(chunkContent(new Uint8Array(0)), []);
+  assert.throws(() => chunkContent(42), /Content must be/);
+});
+
+test("estimateChunkGasLimit follows the MegaETH gas model, floored and capped", () => {
+  assert.equal(estimateChunkGasLimit(0), 10_000_000n);
+  assert.equal(estimateChunkGasLimit(5000), 80_238_000n);
+  assert.equal(estimateChunkGasLimit(15000), 200_000_000n);
+});
+
+test("deployTree deploys leaves and nodes that read back as the content", async () => {
+  const signer = fakeSigner();
+  const content = Uint8Array.from({ length: 37 }, (_, i) => i * 7);
+  const tree = await deployTree(signer, content, { chunkSize: 4, groupSize: 3 });
+
+  assert.equal(tree.depth, 3); // 10 leaves -> 4 nodes -> 2 nodes -> root
+  assert.equal(tree.totalSize, 37);
+  assert.equal(signer.pages.size, 10 + 4 + 2 + 1);
+  assert.deepEqual(readTree(signer.pages, tree.rootChunk, tree.depth), Buffer.from(content));
+  await assert.rejects(deployTree(signer, ""), /empty content/);
+});
+
+test("deployContent mints the tree's root with MasterNFT", async () => {
+  const signer = fakeSigner();
+  const result = await deployContent(signer, "hello world", { registry: "0x00000000000000000000000000000000000000aa", siteType: 3, chunkSize: 4 });
+  assert.equal(result.tokenId, 77);
+
+  const mint = signer.txs.at(-1);
+  assert.equal(mint.to, "0x00000000000000000000000000000000000000aa");
+  assert.equal(mint.data, "0x" + selector("mint(address,address,uint8,uint256,uint8)")
+    + address(OWNER) + address(result.rootChunk) + word(1) + word(11) + word(3));
+});
+
+test("deployContainer ABI-encodes the file entries for mintSite", async () => {
+  const signer = fakeSigner();
+  const container = "0x00000000000000000000000000000000000000cc";
+  const { containerId, files } = await deployContainer(signer, [{ path: "/a", data: "12345" }], { container });
+  assert.equal(containerId, 77);
+  assert.deepEqual(files, [{ path: "/a", chunk: "0x0000000000000000000000000000000000000100", size: 5, depth: 0 }]);
+
+  // mintSite(address, uint8, (string, address, uint32, uint8)[])
+  assert.equal(signer.txs.at(-1).data, "0x" + selector("mintSite(address,uint8,(string,address,uint32,uint8)[])")
+    + address(OWNER) + word(1) + word(0x60)
+    + word(1) + word(0x20)
+    + word(0x80) + address(files[0].chunk) + word(5) + word(0)
+    + word(2) + "2f61".padEnd(64, "0"));
+});
+
+test("deployContainer encodes several entries with their own offsets", async () => {
+  const signer = fakeSigner();
+  const input = [
+    { path: "/index.html", data: "<h1>home</h1>" },
+    { path: "/a/very/long/path/to/a/stylesheet/that/needs/two/words.css", data: "body{}" },
+    { path: "/ü.txt", data: "x".repeat(30) },
+  ];
+  const { files } = await deployContainer(signer, input, { chunkSize: 8, groupSize: 2 });
+
+  // Decode independently of the encoder
+  const hex = signer.txs.at(-1).data.slice(10);
+  const at = (pos) => Number(BigInt("0x" + hex.slice(pos, pos + 64)));
+  const array = at(128) * 2;
+  const start = array + 64;
+  const decoded = [];
+  for (let i = 0; i < at(array); i++) {
+    const tuple = start + at(start + i * 64) * 2;
+    const path = tuple + at(tuple) * 2;
+    decoded.push({
+      path: Buffer.from(hex.slice(path + 64, path + 64 + at(path) * 2), "hex").toString("utf8"),
+      chunk: "0x" + hex.slice(tuple + 88, tuple + 128),
+      size: at(tuple + 128),
+      depth: at(tuple + 192),
+    });
+  }
+  assert.deepEqual(decoded, files);
+  assert.deepEqual(decoded.map(f => f.path), input.map(f => f.path));
+
+  for (const [i, file] of files.entries()) {
+    assert.equal(readTree(signer.pages, file.chunk, file.depth).toString(), input[i].data);
+  }
+
+  await assert.rejects(deployContainer(signer, [{ path: "no-slash", data: "x" }]), /must start with "\/"/);
+  await assert.rejects(deployContainer(signer, []), /at least one file/);
+});
+
+test("ensureAccessKey uses a held key or mints the agent key", async () => {
+  const genesisKey = "0x00000000000000000000000000000000000000e1";
+  const agentKey = "0x00000000000000000000000000000000000000e2";
+
+  assert.equal(await ensureAccessKey(fakeSigner({ [genesisKey]: 1 }), { genesisKey, agentKey }), "genesis");
+  assert.equal(await ensureAccessKey(fakeSigner({ [agentKey]: 1 }), { genesisKey, agentKey }), "agent");
+
+  const signer = fakeSigner();
+  assert.equal(await ensureAccessKey(signer, { genesisKey, agentKey }), "minted");
+  assert.deepEqual(signer.txs.map(tx => [tx.to, tx.data]), [[agentKey, "0x" + selector("mint()")]]);
+});
@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+import { isZip, readZip, extractZipEntry, inflateRaw } from "../zip.js";
+
+// Deterministic pseudo-random bytes (xorshift32)
+function random(seed) {
+  let x = seed || 1;
+  return () => {
+    x ^= x << 13;
+    x ^= x >>> 17;
+    x ^= x << 5;
+    return (x >>> 0) / 0x100000000;
+  };
+}
+
+function crc32(bytes) {
+  let crc = ~0;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return ~crc >>> 0;
+}
+
+// A ZIP of { name: Buffer } entries, DEFLATE unless `stored`
+function makeZip(files, { stored = false } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, data] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const body = stored ? data : zlib.deflateRawSync(data);
+    const method = stored ? 0 : 8;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, body);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + body.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...locals, directory, end]));
+}
+
+test("readZip lists file entries and extractZipEntry returns their contents", () => {
+  const files = {
+    "index.html": Buffer.from("<h1>Hello</h1>".repeat(40)),
+    "assets/": Buffer.alloc(0),
+    "assets/app.js": Buffer.from("console.log('hi');\n".repeat(20)),
+  };
+  for (const stored of [false, true]) {
+    const zip = makeZip(files, { stored });
+    assert.ok(isZip(zip));
+
+    const entries = readZip(zip);
+    assert.deepEqual(entries.map(e => e.path), ["/index.html", "/assets/app.js"]);
+    assert.equal(entries[0].method, stored ? 0 : 8);
+    for (const entry of entries) {
+      assert.deepEqual(Buffer.from(extractZipEntry(zip, entry)), files[entry.path.slice(1)]);
+    }
+  }
+});
+
+test("isZip recognises archives only", () => {
+  assert.ok(isZip(Uint8Array.of(0x50, 0x4b, 0x05, 0x06)));
+  assert.ok(!isZip(new TextEncoder().encode("<html>")));
+  assert.ok(!isZip(Uint8Array.of(0x50, 0x4b)));
+});
+
+test("extractZipEntry rejects corrupt entries", () => {
+  const zip = makeZip({ "a.txt": Buffer.from("hello hello hello") }, { stored: true });
+  const [entry] = readZip(zip);
+  zip[30 + 5] ^= 0xff; // first byte of the stored data
+  assert.throws(() => extractZipEntry(zip, entry), /checksum/);
+});
+
+test("inflateRaw matches zlib on random inputs", () => {
+  const next = random(0x5eed);
+  const strategies = [zlib.constants.Z_DEFAULT_STRATEGY, zlib.constants.Z_FIXED, zlib.constants.Z_HUFFMAN_ONLY, zlib.constants.Z_RLE];
+
+  for (let i = 0; i < 300; i++) {
+    const length = Math.floor(next() ** 3 * 200000);
+    const alphabet = 1 + Math.floor(next() * 255); // small alphabets compress well
+    const input = Buffer.alloc(length);
+    for (let j = 0; j < length; j++) {
+      input[j] = next() < 0.3 && j > 8 ? input[j - 1 - Math.floor(next() * 8)] : Math.floor(next() * alphabet);
+    }
+
+    const level = Math.floor(next() * 10);
+    const strategy = strategies[i % strategies.length];
+    const compressed = zlib.deflateRawSync(input, { level, strategy });
+    const output = inflateRaw(compressed, next() < 0.5 ? length : 0);
+    assert.ok(Buffer.from(output).equals(input), `input ${i} (${length} bytes, level ${level}, strategy ${strategy})`);
+  }
+});
@@ -1,19 +1,22 @@
 #!/usr/bin/env node
 
 /**
- * Warren Direct Deploy - Self-contained on-chain deployment script
+ * Warren Direct Deploy - On-chain deployment script
  *
  * Deploys HTML/files permanently to MegaETH blockchain via SSTORE2.
- * No external dependencies besides ethers.js.
+ * Chunking, tree building, gas estimation and minting come from the Warren
+ * SDK (./sdk); ethers.js provides the wallet.
  *
  * Setup:  npm init -y && npm install ethers
  * Usage:  PRIVATE_KEY=0x... node deploy.js --html "<h1>Hello</h1>" --name "My Site"
  *         PRIVATE_KEY=0x... node deploy.js --file ./site.html --name "My Site"
+ *         PRIVATE_KEY=0x... node deploy.js --dir ./my-site --name "My Site"
  */
 
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
 
 // ============================================================================
 // Configuration
@@ -26,221 +29,142 @@ const RABBIT_AGENT_ADDRESS = process.env.RABBIT_AGENT_ADDRESS || '0x3f0CAbd6AB0a
 const MASTER_NFT_ADDRESS = process.env.MASTER_NFT_ADDRESS || '0xf299F428Efe1907618360F3c6D16dF0F2Bf8ceFC';
 const CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE || '15000'); // 15KB
 const GROUP_SIZE = parseInt(process.env.GROUP_SIZE || '500');
-const BATCH_SIZE = 5;
-const RETRY_MAX = 3;
-const RETRY_DELAY = 2000;
 
 // ============================================================================
-// MegaETH Multidimensional Gas Model (ported from Warren's megaeth-gas.ts)
+// Site Types
 // ============================================================================
 
-const MEGAETH_GAS = {
-  INTRINSIC_COMPUTE: 21_000n,
-  INTRINSIC_STORAGE: 39_000n,
-  CONTRACT_CREATION_COMPUTE: 32_000n,
-  CONTRACT_CREATION_STORAGE_BASE: 32_000n,
-  CODE_DEPOSIT_PER_BYTE: 10_000n,
-  CALLDATA_ZERO_PER_BYTE: 40n,
-  CALLDATA_NONZERO_PER_BYTE: 160n,
-  EIP7623_FLOOR_ZERO_PER_BYTE: 100n,
-  EIP7623_FLOOR_NONZERO_PER_BYTE: 400n,
-  SSTORE2_COMPUTE_ESTIMATE: 700_000n,
-  PAGE_BYTECODE_OVERHEAD: 100n,
-};
-
-const MAX_GAS_PER_TX = 200_000_000n;
-
-function estimateChunkGasLimit(chunkSizeBytes) {
-  const dataSize = BigInt(chunkSizeBytes) + MEGAETH_GAS.PAGE_BYTECODE_OVERHEAD;
-
-  // Compute gas
-  const computeGas = MEGAETH_GAS.INTRINSIC_COMPUTE
-    + MEGAETH_GAS.CONTRACT_CREATION_COMPUTE
-    + MEGAETH_GAS.SSTORE2_COMPUTE_ESTIMATE;
-
-  // Storage gas
-  const codeDeposit = dataSize * MEGAETH_GAS.CODE_DEPOSIT_PER_BYTE;
-  const nonZeroBytes = BigInt(Math.floor(chunkSizeBytes * 0.8));
-  const zeroBytes = BigInt(chunkSizeBytes) - nonZeroBytes;
-
-  const calldataRegular = zeroBytes * MEGAETH_GAS.CALLDATA_ZERO_PER_BYTE
-    + nonZeroBytes * MEGAETH_GAS.CALLDATA_NONZERO_PER_BYTE;
-  const calldataFloor = zeroBytes * MEGAETH_GAS.EIP7623_FLOOR_ZERO_PER_BYTE
-    + nonZeroBytes * MEGAETH_GAS.EIP7623_FLOOR_NONZERO_PER_BYTE;
-  const calldata = calldataRegular > calldataFloor ? calldataRegular : calldataFloor;
-
-  const storageGas = MEGAETH_GAS.INTRINSIC_STORAGE + codeDeposit + calldata;
-
-  // Total with 50% buffer, capped at 200M
-  const total = computeGas + storageGas;
-  const withBuffer = (total * 150n) / 100n;
-  // Minimum 10M gas floor — SSTORE2 actual compute cost is much higher than model estimate
-  const MIN_GAS = 10_000_000n;
-  const gasLimit = withBuffer < MIN_GAS ? MIN_GAS : withBuffer;
-  return gasLimit < MAX_GAS_PER_TX ? gasLimit : MAX_GAS_PER_TX;
-}
-
-// ============================================================================
-// ABIs & Bytecode
-// ============================================================================
-
-// Page.sol compiled bytecode — see page_bytecode.js for source & verification info
-const PAGE_BYTECODE = require('./page_bytecode.js');
-
-const PAGE_ABI = [{"type":"constructor","inputs":[{"name":"_content","type":"bytes","internalType":"bytes"}],"stateMutability":"nonpayable"}];
-
-const MASTER_NFT_ABI = [
-  {"type":"function","name":"mint","inputs":[{"name":"to","type":"address"},{"name":"rootChunk","type":"address"},{"name":"depth","type":"uint8"},{"name":"totalSize","type":"uint256"},{"name":"siteType","type":"uint8"}],"outputs":[{"name":"tokenId","type":"uint256"}],"stateMutability":"nonpayable"},
-  {"type":"function","name":"sites","inputs":[{"name":"","type":"uint256"}],"outputs":[{"name":"rootChunk","type":"address"},{"name":"depth","type":"uint8"},{"name":"totalSize","type":"uint256"},{"name":"siteType","type":"uint8"},{"name":"creator","type":"address"},{"name":"version","type":"uint256"},{"name":"createdAt","type":"uint256"},{"name":"updatedAt","type":"uint256"}],"stateMutability":"view"}
-];
-
-const GENESIS_KEY_ABI = [
-  'function mint() external payable',
-  'function balanceOf(address) view returns (uint256)',
-];
-const RABBIT_AGENT_ABI = [
-  'function mint() external',
-  'function balanceOf(address) view returns (uint256)',
-];
-
-const SITE_TYPES = { file: 0, image: 3, video: 4, audio: 5, script: 7 };
+const SITE_TYPES = { file: 0, archive: 1, image: 3, video: 4, audio: 5, script: 7 };
 
 // ============================================================================
-// Helpers
+// Archive (--dir)
 // ============================================================================
 
-const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-
-function isRetryable(e) {
-  const msg = (e.message || '').toLowerCase();
-  return msg.includes('rate') || msg.includes('429') || msg.includes('timeout') || msg.includes('nonce') || e.code === -32022;
+// Every entry gets the same timestamp (1980-01-01, the earliest ZIP date),
+// so zipping an unchanged folder again gives the same bytes
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
 }
 
-async function withRetry(fn, label) {
-  for (let i = 1; i <= RETRY_MAX; i++) {
-    try { return await fn(); } catch (e) {
-      if (isRetryable(e) && i < RETRY_MAX) {
-        console.log(`  ⚠ ${label} attempt ${i} failed, retrying...`);
-        await sleep(RETRY_DELAY * i);
-      } else throw e;
-    }
+// Regular files under `dir`, as sorted forward-slash paths; dotfiles and
+// dot-directories (.git, .env, .DS_Store) are left out
+function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const full = path.join(dir, entry.name);
+    const rel = prefix + entry.name;
+    if (entry.isDirectory()) files.push(...listFiles(full, rel + '/'));
+    else if (entry.isFile()) files.push(rel);
   }
+  return files.sort();
 }
 
-// ============================================================================
-// Genesis Key NFT
-// ============================================================================
-
-async function ensureGenesisKey(wallet) {
-  const humanNft = new ethers.Contract(GENESIS_KEY_ADDRESS, GENESIS_KEY_ABI, wallet);
-  if (Number(await humanNft.balanceOf(wallet.address)) > 0) {
-    console.log('🔑 Genesis Key (Human): ✅');
-    return;
-  }
-
-  if (!RABBIT_AGENT_ADDRESS || RABBIT_AGENT_ADDRESS === ethers.ZeroAddress) {
-    throw new Error('No Genesis Key found and RABBIT_AGENT_ADDRESS is not configured.');
+/**
+ * ZIP the files of `dir` (paths relative to it) for an archive site.
+ * Each entry is DEFLATE-compressed unless storing it is smaller.
+ */
+function zipDirectory(dir) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const rel of listFiles(dir)) {
+    const data = fs.readFileSync(path.join(dir, rel));
+    const deflated = zlib.deflateRawSync(data, { level: 9 });
+    const method = deflated.length < data.length ? 8 : 0;
+    const body = method === 8 ? deflated : data;
+    const name = Buffer.from(rel, 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);          // version needed
+    local.writeUInt16LE(0x0800, 6);      // UTF-8 names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(DOS_TIME, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);        // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(DOS_TIME, 12);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, body);
+    centrals.push(central, name);
+    offset += local.length + name.length + body.length;
   }
 
-  const botNft = new ethers.Contract(RABBIT_AGENT_ADDRESS, RABBIT_AGENT_ABI, wallet);
-  if (Number(await botNft.balanceOf(wallet.address)) > 0) {
-    console.log('🤖 0xRabbit.agent Key: ✅');
-    return;
-  }
+  const count = centrals.length / 2;
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
 
-  console.log('🤖 Minting 0xRabbit.agent Key (free)...');
-  const tx = await botNft.mint({ gasLimit: 500000n });
-  await tx.wait();
-  console.log('  ✅ 0xRabbit.agent Key minted!');
+  return { zip: Buffer.concat([...locals, directory, end]), count };
 }
 
 // ============================================================================
-// Page Deployment
+// Warren SDK
 // ============================================================================
 
-async function deployPage(wallet, provider, content, nonce, label) {
-  return withRetry(async () => {
-    const factory = new ethers.ContractFactory(PAGE_ABI, PAGE_BYTECODE, wallet);
-    const deployTx = await factory.getDeployTransaction(content);
-    const contentSize = Buffer.isBuffer(content) ? content.length : Buffer.from(content).length;
-    deployTx.gasLimit = estimateChunkGasLimit(contentSize);
-    if (nonce !== undefined) deployTx.nonce = nonce;
-    const tx = await wallet.sendTransaction(deployTx);
-    const receipt = await tx.wait();
-    const code = await provider.getCode(receipt.contractAddress);
-    if (!code || code.length <= 2) throw new Error(`${label}: verification failed`);
-    return receipt;
-  }, label);
-}
+// The SDK's writer is an ES module (copied into ./sdk from the warren-tools
+// repository); load it from this CommonJS script on demand.
+const loadSdk = () => import('./sdk/writer.js');
 
-// ============================================================================
-// Fractal Tree
-// ============================================================================
-
-function chunkBuffer(buf, size) {
-  const chunks = [];
-  for (let i = 0; i < buf.length; i += size) chunks.push(buf.subarray(i, Math.min(i + size, buf.length)));
-  return chunks;
-}
-
-async function deployChunks(wallet, provider, chunks) {
-  const addrs = [];
-  console.log(`\n📦 Phase 1: Deploying ${chunks.length} chunk(s)...`);
-  for (let bs = 0; bs < chunks.length; bs += BATCH_SIZE) {
-    const be = Math.min(bs + BATCH_SIZE, chunks.length);
-    const batch = chunks.slice(bs, be);
-    const baseNonce = await provider.getTransactionCount(wallet.address, 'latest');
-    const results = await Promise.all(batch.map(async (chunk, idx) => {
-      await sleep(idx * 50);
-      const receipt = await deployPage(wallet, provider, chunk, baseNonce + idx, `Chunk ${bs + idx + 1}/${chunks.length}`);
-      return { receipt, idx: bs + idx };
-    }));
-    for (const { receipt, idx } of results.sort((a, b) => a.idx - b.idx)) {
-      addrs.push(receipt.contractAddress);
-      console.log(`  ✅ Chunk ${idx + 1}/${chunks.length}: ${receipt.contractAddress}`);
-    }
-    if (be < chunks.length) await sleep(300);
-  }
-  return addrs;
-}
+const ACCESS_KEY_MESSAGES = {
+  genesis: '🔑 Genesis Key (Human): ✅',
+  agent: '🤖 0xRabbit.agent Key: ✅',
+  minted: '🤖 0xRabbit.agent Key minted (free): ✅',
+};
 
-async function buildTree(wallet, provider, addresses) {
-  let level = [...addresses];
-  let depth = 0;
-  while (level.length > 1) {
-    depth++;
-    const parent = [];
-    const groups = Math.ceil(level.length / GROUP_SIZE);
-    console.log(`\n🌲 Phase 2: Building tree depth ${depth} (${groups} node(s))...`);
-    const baseNonce = await provider.getTransactionCount(wallet.address, 'latest');
-    for (let i = 0; i < level.length; i += GROUP_SIZE) {
-      const group = level.slice(i, i + GROUP_SIZE);
-      const concat = Buffer.concat(group.map(a => Buffer.from(ethers.getBytes(a))));
-      const ni = Math.floor(i / GROUP_SIZE);
-      await sleep(ni * 50);
-      const receipt = await deployPage(wallet, provider, concat, baseNonce + ni, `Node D${depth}-${ni + 1}/${groups}`);
-      parent.push(receipt.contractAddress);
-      console.log(`  ✅ Node D${depth}-${ni + 1}: ${receipt.contractAddress}`);
-    }
-    level = parent;
+function logProgress(e) {
+  switch (e.phase) {
+    case 'chunks':
+      if (e.deployed === 0) console.log(`\n📦 Phase 1: Deploying ${e.total} chunk(s)...`);
+      else console.log(`  ✅ Chunk ${e.deployed}/${e.total}: ${e.address}`);
+      break;
+    case 'tree':
+      if (e.deployed === 0) console.log(`\n🌲 Phase 2: Building tree depth ${e.depth} (${e.total} node(s))...`);
+      else console.log(`  ✅ Node D${e.depth}-${e.deployed}: ${e.address}`);
+      break;
+    case 'retry':
+      console.log(`  ⚠ ${e.label} attempt ${e.attempt} failed, retrying...`);
+      break;
+    case 'mint':
+      console.log('\n🎨 Phase 3: Minting site NFT...');
+      break;
+    case 'minted':
+      console.log(`  ✅ Token ID: ${e.tokenId}, Gas: ${e.gasUsed}`);
+      break;
   }
-  return { rootChunk: level[0], depth };
-}
-
-// ============================================================================
-// MasterNFT Mint
-// ============================================================================
-
-async function mintSite(wallet, rootChunk, depth, totalSize, siteType) {
-  console.log('\n🎨 Phase 3: Minting site NFT...');
-  const master = new ethers.Contract(MASTER_NFT_ADDRESS, MASTER_NFT_ABI, wallet);
-  const tx = await master.mint(wallet.address, rootChunk, depth, totalSize, siteType, { gasLimit: 100_000_000n });
-  const receipt = await tx.wait();
-  const topic = ethers.id('Transfer(address,address,uint256)');
-  const log = receipt.logs.find(l => l.topics?.[0] === topic);
-  const tokenId = log?.topics?.[3] ? Number(BigInt(log.topics[3])) : null;
-  console.log(`  ✅ Token ID: ${tokenId}, Gas: ${receipt.gasUsed}`);
-  return tokenId;
 }
 
 // ============================================================================
@@ -249,6 +173,7 @@ async function mintSite(wallet, rootChunk, depth, totalSize, siteType) {
 
 async function deploy(privateKey, content, options = {}) {
   const { name = 'Untitled', siteType = 'file' } = options;
+  const sdk = await loadSdk();
   const provider = new ethers.JsonRpcProvider(RPC_URL, CHAIN_ID);
   const wallet = new ethers.Wallet(privateKey, provider);
 
@@ -263,16 +188,16 @@ async function deploy(privateKey, content, options = {}) {
   console.log(`Balance: ${ethers.formatEther(balance)} ETH`);
   if (balance === 0n) throw new Error('No ETH balance. You need real MegaETH ETH for mainnet deployment.');
 
-  await ensureGenesisKey(wallet);
-
-  const chunks = chunkBuffer(content, CHUNK_SIZE);
-  const addrs = await deployChunks(wallet, provider, chunks);
-
-  let rootChunk, depth;
-  if (addrs.length === 1) { rootChunk = addrs[0]; depth = 0; }
-  else { ({ rootChunk, depth } = await buildTree(wallet, provider, addrs)); }
+  const key = await sdk.ensureAccessKey(wallet, { genesisKey: GENESIS_KEY_ADDRESS, agentKey: RABBIT_AGENT_ADDRESS });
+  console.log(ACCESS_KEY_MESSAGES[key]);
 
-  const tokenId = await mintSite(wallet, rootChunk, depth, content.length, SITE_TYPES[siteType] ?? 0);
+  const { tokenId, rootChunk, depth } = await sdk.deployContent(wallet, content, {
+    siteType: SITE_TYPES[siteType] ?? 0,
+    registry: MASTER_NFT_ADDRESS,
+    chunkSize: CHUNK_SIZE,
+    groupSize: GROUP_SIZE,
+    onProgress: logProgress,
+  });
   const url = `https://thewarren.app/v/site=${tokenId}`;
 
   console.log('\n' + '='.repeat(60));
@@ -299,11 +224,13 @@ Warren Direct Deploy - Deploy HTML/files to MegaETH blockchain
 Usage:
   PRIVATE_KEY=0x... node deploy.js --html "<h1>Hello</h1>" [options]
   PRIVATE_KEY=0x... node deploy.js --file ./site.html [options]
+  PRIVATE_KEY=0x... node deploy.js --dir ./my-site [options]
 
 Options:
   --private-key <key>   Wallet private key (or set PRIVATE_KEY env)
   --html <string>       HTML content to deploy
   --file <path>         Path to file to deploy
+  --dir <path>          Folder to deploy as a multi-file site (zipped, type "archive")
   --name <name>         Site name (default: "Untitled")
   --type <type>         file|image|video|audio|script (default: "file")
 
@@ -319,10 +246,22 @@ Prerequisites:
   if (!privateKey) { console.error('Error: set PRIVATE_KEY env or use --private-key'); process.exit(1); }
 
   const filePath = getArg('file');
+  const dirPath = getArg('dir');
   const htmlString = getArg('html');
   let content;
-
-  if (filePath) {
+  let siteType = getArg('type') || 'file';
+
+  if (dirPath) {
+    const resolved = path.resolve(dirPath);
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) { console.error(`Error: not a directory: ${resolved}`); process.exit(1); }
+    const { zip, count } = zipDirectory(resolved);
+    if (!count) { console.error(`Error: no files to deploy in ${resolved}`); process.exit(1); }
+    if (!fs.existsSync(path.join(resolved, 'index.html'))) console.warn('⚠ No index.html at the top of the folder; the site will have no home page');
+    console.log(`📁 Zipped ${count} file(s) from ${resolved}: ${zip.length} bytes`);
+    content = zip;
+    siteType = 'archive';
+  }
+  else if (filePath) {
     const resolved = path.resolve(filePath);
     if (!fs.existsSync(resolved)) { console.error(`Error: file not found: ${resolved}`); process.exit(1); }
     if (!fs.statSync(resolved).isFile()) { console.error(`Error: not a regular file: ${resolved}`); process.exit(1); }
@@ -334,13 +273,13 @@ Prerequisites:
     process.stdin.resume();
     for await (const c of process.stdin) chunks.push(c);
     content = Buffer.concat(chunks);
-    if (!content.length) { console.error('Error: provide --file, --html, or pipe stdin'); process.exit(1); }
+    if (!content.length) { console.error('Error: provide --file, --dir, --html, or pipe stdin'); process.exit(1); }
   }
 
   if (content.length > 500 * 1024) { console.error(`Error: ${content.length} bytes exceeds 500KB limit`); process.exit(1); }
 
   try {
-    const result = await deploy(privateKey, content, { name: getArg('name') || 'Untitled', siteType: getArg('type') || 'file' });
+    const result = await deploy(privateKey, content, { name: getArg('name') || 'Untitled', siteType });
     console.log('\n--- JSON ---');
     console.log(JSON.stringify(result, null, 2));
   } catch (e) { console.error(`\n❌ Failed: ${e.message}`); process.exit(1); }
@@ -1,14 +0,0 @@
-/**
- * Page.sol compiled EVM bytecode (Solidity 0.8.26, Cancun EVM, viaIR)
- *
- * Source: foundry-app/src/Page.sol
- * Compiler: solc 0.8.26+commit.8a97fa7a
- * Verified on: https://megaeth.blockscout.com
- *
- * SSTORE2 Page contract - stores arbitrary data as immutable contract bytecode.
- * Contains no external calls, no selfdestruct, no delegatecall.
- *
- * To reproduce: cd foundry-app && forge build
- * Then: cat out/Page.sol/Page.json | jq -r .bytecode.object
- */
-module.exports = '0x60a0604052346100e45761025c80380380610019816100fc565b9283398101906020818303126100e4578051906001600160401b0382116100e4570181601f820112156100e4578051906001600160401b0382116100e85761006a601f8301601f19166020016100fc565b92828452602083830101116100e457815f9260208093018386015e8301015280518060401b6bfe61000180600a3d393df3000161fffe8211830152600b8101601583015ff09182156100d7575260805260405161013a908161012282396080518181816044015260d50152f35b63301164255f526004601cfd5b5f80fd5b634e487b7160e01b5f52604160045260245ffd5b6040519190601f01601f191682016001600160401b038111838210176100e85760405256fe6080806040526004361015610012575f80fd5b5f3560e01c9081634822da1c146100c357506357de26a414610032575f80fd5b346100bf575f3660031901126100bf577f00000000000000000000000000000000000000000000000000000000000000006020608060405180935f19813b0164ffffffffff16905f6021830191601f8501903c808252016040810193846040528385528051938491826060850152018383015e5f828483010152603f1992601f8019910116810103010190f35b5f80fd5b346100bf575f3660031901126100bf577f00000000000000000000000000000000000000000000000000000000000000006001600160a01b03168152602090f3fea2646970667358221220fe4f8a378a0b003d3e1438e45234630293b1a4f7cf94a9f28a4c2d2531789b9d64736f6c634300081a0033';
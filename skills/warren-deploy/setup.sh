@@ -4,6 +4,7 @@ set -euo pipefail
 # Run: bash setup.sh
 
 cd "$(dirname "$0")"
+
 npm init -y > /dev/null 2>&1
 npm install ethers
 echo ""
@@ -1,10 +1,11 @@
 #!/usr/bin/env node
 
 /**
- * Warren NFT Collection Deploy - Self-contained on-chain NFT deployment
+ * Warren NFT Collection Deploy - On-chain NFT deployment
  *
  * Deploys NFT collections permanently on MegaETH blockchain.
- * Images stored on-chain via SSTORE2 fractal tree in WarrenContainer.
+ * Images stored on-chain via SSTORE2 fractal tree in WarrenContainer,
+ * using the Warren SDK (./sdk) for chunking, trees and the container mint.
  *
  * Setup:  bash setup.sh
  * Usage:  PRIVATE_KEY=0x... node deploy-nft.js --images-folder ./art/ --name "My NFT" --symbol "MNFT"
@@ -29,188 +30,29 @@ const TREASURY_ADDRESS = process.env.TREASURY_ADDRESS || '0xcea9d92ddb052e914ab6
 const REGISTER_API = process.env.REGISTER_API || 'https://thewarren.app/api/container-nfts';
 const CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE || '15000');
 const GROUP_SIZE = parseInt(process.env.GROUP_SIZE || '500');
-const BATCH_SIZE = 5;
-const RETRY_MAX = 3;
-const RETRY_DELAY = 2000;
-
-// ============================================================================
-// MegaETH Multidimensional Gas Model (ported from Warren's megaeth-gas.ts)
-// ============================================================================
-
-const MEGAETH_GAS = {
-  INTRINSIC_COMPUTE: 21_000n,
-  INTRINSIC_STORAGE: 39_000n,
-  CONTRACT_CREATION_COMPUTE: 32_000n,
-  CODE_DEPOSIT_PER_BYTE: 10_000n,
-  CALLDATA_ZERO_PER_BYTE: 40n,
-  CALLDATA_NONZERO_PER_BYTE: 160n,
-  EIP7623_FLOOR_ZERO_PER_BYTE: 100n,
-  EIP7623_FLOOR_NONZERO_PER_BYTE: 400n,
-  SSTORE2_COMPUTE_ESTIMATE: 700_000n,
-  PAGE_BYTECODE_OVERHEAD: 100n,
-};
-const MAX_GAS_PER_TX = 200_000_000n;
-
-function estimateChunkGasLimit(chunkSizeBytes) {
-  const dataSize = BigInt(chunkSizeBytes) + MEGAETH_GAS.PAGE_BYTECODE_OVERHEAD;
-  const computeGas = MEGAETH_GAS.INTRINSIC_COMPUTE + MEGAETH_GAS.CONTRACT_CREATION_COMPUTE + MEGAETH_GAS.SSTORE2_COMPUTE_ESTIMATE;
-  const codeDeposit = dataSize * MEGAETH_GAS.CODE_DEPOSIT_PER_BYTE;
-  const nonZeroBytes = BigInt(Math.floor(chunkSizeBytes * 0.8));
-  const zeroBytes = BigInt(chunkSizeBytes) - nonZeroBytes;
-  const calldataRegular = zeroBytes * MEGAETH_GAS.CALLDATA_ZERO_PER_BYTE + nonZeroBytes * MEGAETH_GAS.CALLDATA_NONZERO_PER_BYTE;
-  const calldataFloor = zeroBytes * MEGAETH_GAS.EIP7623_FLOOR_ZERO_PER_BYTE + nonZeroBytes * MEGAETH_GAS.EIP7623_FLOOR_NONZERO_PER_BYTE;
-  const calldata = calldataRegular > calldataFloor ? calldataRegular : calldataFloor;
-  const storageGas = MEGAETH_GAS.INTRINSIC_STORAGE + codeDeposit + calldata;
-  const total = computeGas + storageGas;
-  const withBuffer = (total * 150n) / 100n;
-  const MIN_GAS = 10_000_000n;
-  const gasLimit = withBuffer < MIN_GAS ? MIN_GAS : withBuffer;
-  return gasLimit < MAX_GAS_PER_TX ? gasLimit : MAX_GAS_PER_TX;
-}
 
 // ============================================================================
 // ABIs & Bytecode
 // ============================================================================
 
-// Page.sol compiled bytecode — see page_bytecode.js for source & verification info
-const PAGE_BYTECODE = require('./page_bytecode.js');
-const PAGE_ABI = [{"type":"constructor","inputs":[{"name":"_content","type":"bytes"}],"stateMutability":"nonpayable"}];
-
 // Load WarrenLaunchedNFT bytecode from companion file
 const NFT_BYTECODE = JSON.parse(fs.readFileSync(path.join(__dirname, 'WarrenLaunchedNFT.bytecode.json'), 'utf8')).bytecode;
 const NFT_ABI = [{"type":"constructor","inputs":[{"name":"_renderer","type":"address"},{"name":"_containerId","type":"uint256"},{"name":"_name","type":"string"},{"name":"_symbol","type":"string"},{"name":"_description","type":"string"},{"name":"_maxSupply","type":"uint256"},{"name":"_whitelistPrice","type":"uint256"},{"name":"_publicPrice","type":"uint256"},{"name":"_maxPerWallet","type":"uint256"},{"name":"_merkleRoot","type":"bytes32"},{"name":"_royaltyReceiver","type":"address"},{"name":"_royaltyBps","type":"uint96"},{"name":"_treasury","type":"address"},{"name":"_owner","type":"address"}],"stateMutability":"nonpayable"},{"type":"function","name":"setMintState","inputs":[{"name":"_state","type":"uint8"}],"outputs":[],"stateMutability":"nonpayable"},{"type":"function","name":"tokenURI","inputs":[{"name":"tokenId","type":"uint256"}],"outputs":[{"name":"","type":"string"}],"stateMutability":"view"},{"type":"function","name":"totalSupply","inputs":[],"outputs":[{"name":"","type":"uint256"}],"stateMutability":"view"},{"type":"function","name":"maxSupply","inputs":[],"outputs":[{"name":"","type":"uint256"}],"stateMutability":"view"},{"type":"function","name":"mintState","inputs":[],"outputs":[{"name":"","type":"uint8"}],"stateMutability":"view"}];
 
-const CONTAINER_ABI = [{"type":"function","name":"mintSite","inputs":[{"name":"to","type":"address"},{"name":"siteType","type":"uint8"},{"name":"inputFiles","type":"tuple[]","components":[{"name":"path","type":"string"},{"name":"chunk","type":"address"},{"name":"size","type":"uint32"},{"name":"depth","type":"uint8"}]}],"outputs":[{"name":"tokenId","type":"uint256"}],"stateMutability":"nonpayable"},{"type":"function","name":"getFileByPath","inputs":[{"name":"tokenId","type":"uint256"},{"name":"path","type":"string"}],"outputs":[{"name":"","type":"tuple","components":[{"name":"chunk","type":"address"},{"name":"size","type":"uint32"},{"name":"depth","type":"uint8"}]}],"stateMutability":"view"}];
-
-const GENESIS_KEY_ABI = ['function mint() external payable', 'function balanceOf(address) view returns (uint256)'];
-const RABBIT_AGENT_ABI = ['function mint() external', 'function balanceOf(address) view returns (uint256)'];
-
-// ============================================================================
-// Helpers
-// ============================================================================
-
-const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-
-function isRetryable(e) {
-  const msg = (e.message || '').toLowerCase();
-  return msg.includes('rate') || msg.includes('429') || msg.includes('timeout') || msg.includes('nonce') || e.code === -32022;
-}
-
-async function withRetry(fn, label) {
-  for (let i = 1; i <= RETRY_MAX; i++) {
-    try { return await fn(); } catch (e) {
-      if (isRetryable(e) && i < RETRY_MAX) {
-        console.log(`  ⚠ ${label} attempt ${i} failed, retrying...`);
-        await sleep(RETRY_DELAY * i);
-      } else throw e;
-    }
-  }
-}
 
 // ============================================================================
-// Genesis Key NFT
+// Warren SDK
 // ============================================================================
 
-async function ensureGenesisKey(wallet) {
-  const humanNft = new ethers.Contract(GENESIS_KEY_ADDRESS, GENESIS_KEY_ABI, wallet);
-  if (Number(await humanNft.balanceOf(wallet.address)) > 0) {
-    console.log('🔑 Genesis Key (Human): ✅');
-    return;
-  }
-
-  if (!RABBIT_AGENT_ADDRESS || RABBIT_AGENT_ADDRESS === ethers.ZeroAddress) {
-    throw new Error('No Genesis Key found and RABBIT_AGENT_ADDRESS is not configured.');
-  }
-
-  const botNft = new ethers.Contract(RABBIT_AGENT_ADDRESS, RABBIT_AGENT_ABI, wallet);
-  if (Number(await botNft.balanceOf(wallet.address)) > 0) {
-    console.log('🤖 0xRabbit.agent Key: ✅');
-    return;
-  }
-
-  console.log('🤖 Minting 0xRabbit.agent Key (free)...');
-  const tx = await botNft.mint({ gasLimit: 500000n });
-  await tx.wait();
-  console.log('  ✅ 0xRabbit.agent Key minted!');
-}
-
-// ============================================================================
-// Page Deployment (SSTORE2)
-// ============================================================================
+// The SDK's writer is an ES module (copied into ./sdk from the warren-tools
+// repository); load it from this CommonJS script on demand.
+const loadSdk = () => import('./sdk/writer.js');
 
-async function deployPage(wallet, provider, content, nonce, label) {
-  return withRetry(async () => {
-    const factory = new ethers.ContractFactory(PAGE_ABI, PAGE_BYTECODE, wallet);
-    const deployTx = await factory.getDeployTransaction(content);
-    const contentSize = Buffer.isBuffer(content) ? content.length : Buffer.from(content).length;
-    deployTx.gasLimit = estimateChunkGasLimit(contentSize);
-    if (nonce !== undefined) deployTx.nonce = nonce;
-    const tx = await wallet.sendTransaction(deployTx);
-    const receipt = await tx.wait();
-    const code = await provider.getCode(receipt.contractAddress);
-    if (!code || code.length <= 2) throw new Error(`${label}: verification failed`);
-    return receipt;
-  }, label);
-}
-
-// ============================================================================
-// Fractal Tree
-// ============================================================================
-
-function chunkBuffer(buf, size) {
-  const chunks = [];
-  for (let i = 0; i < buf.length; i += size) chunks.push(buf.subarray(i, Math.min(i + size, buf.length)));
-  return chunks;
-}
-
-async function deployChunks(wallet, provider, chunks, prefix = '') {
-  const addrs = [];
-  for (let bs = 0; bs < chunks.length; bs += BATCH_SIZE) {
-    const be = Math.min(bs + BATCH_SIZE, chunks.length);
-    const batch = chunks.slice(bs, be);
-    const baseNonce = await provider.getTransactionCount(wallet.address, 'latest');
-    const results = await Promise.all(batch.map(async (chunk, idx) => {
-      await sleep(idx * 50);
-      const receipt = await deployPage(wallet, provider, chunk, baseNonce + idx, `${prefix}Chunk ${bs + idx + 1}/${chunks.length}`);
-      return { receipt, idx: bs + idx };
-    }));
-    for (const { receipt, idx } of results.sort((a, b) => a.idx - b.idx)) {
-      addrs.push(receipt.contractAddress);
-    }
-    if (be < chunks.length) await sleep(300);
-  }
-  return addrs;
-}
-
-async function buildTree(wallet, provider, addresses) {
-  let level = [...addresses];
-  let depth = 0;
-  while (level.length > 1) {
-    depth++;
-    const parent = [];
-    const groups = Math.ceil(level.length / GROUP_SIZE);
-    const baseNonce = await provider.getTransactionCount(wallet.address, 'latest');
-    for (let i = 0; i < level.length; i += GROUP_SIZE) {
-      const group = level.slice(i, i + GROUP_SIZE);
-      const concat = Buffer.concat(group.map(a => Buffer.from(ethers.getBytes(a))));
-      const ni = Math.floor(i / GROUP_SIZE);
-      await sleep(ni * 50);
-      const receipt = await deployPage(wallet, provider, concat, baseNonce + ni, `Node D${depth}-${ni + 1}/${groups}`);
-      parent.push(receipt.contractAddress);
-    }
-    level = parent;
-  }
-  return { rootChunk: level[0], depth };
-}
-
-async function deployImageData(wallet, provider, imageBuffer, label) {
-  const chunks = chunkBuffer(imageBuffer, CHUNK_SIZE);
-  console.log(`    ${label}: ${imageBuffer.length} bytes, ${chunks.length} chunk(s)`);
-  const addrs = await deployChunks(wallet, provider, chunks, `${label} `);
-  if (addrs.length === 1) return { rootChunk: addrs[0], depth: 0, totalSize: imageBuffer.length };
-  const { rootChunk, depth } = await buildTree(wallet, provider, addrs);
-  return { rootChunk, depth, totalSize: imageBuffer.length };
-}
+const ACCESS_KEY_MESSAGES = {
+  genesis: '🔑 Genesis Key (Human): ✅',
+  agent: '🤖 0xRabbit.agent Key: ✅',
+  minted: '🤖 0xRabbit.agent Key minted (free): ✅',
+};
 
 // ============================================================================
 // Image Discovery
@@ -301,36 +143,47 @@ function generateSVGs(count) {
 }
 
 // ============================================================================
-// Container Minting
+// Image Upload + Container Minting
 // ============================================================================
 
-async function mintContainer(wallet, deployedImages) {
-  console.log('\n📦 Phase 2: Minting NFT Container...');
-  const container = new ethers.Contract(CONTAINER_ADDRESS, CONTAINER_ABI, wallet);
-
-  const fileInputs = deployedImages.map(img => ({
-    path: img.containerPath,
-    chunk: img.rootChunk,
-    size: img.totalSize,
-    depth: img.depth,
-  }));
-
-  const tx = await container.mintSite(wallet.address, 2, fileInputs, { gasLimit: 100_000_000n });
-  const receipt = await tx.wait();
-
-  const transferTopic = ethers.id('Transfer(address,address,uint256)');
-  const log = receipt.logs.find(l => l.topics?.[0] === transferTopic);
-  const containerId = log?.topics?.[3] ? Number(BigInt(log.topics[3])) : null;
+async function deployImages(sdk, wallet, images) {
+  console.log(`\n📸 Phase 1: Deploying ${images.length} image(s)...`);
+  let label = '';
+
+  const { containerId, files } = await sdk.deployContainer(
+    wallet,
+    images.map(img => ({ path: img.containerPath, data: img.buffer })),
+    {
+      siteType: 2,
+      container: CONTAINER_ADDRESS,
+      chunkSize: CHUNK_SIZE,
+      groupSize: GROUP_SIZE,
+      onProgress: (e) => {
+        if (e.phase === 'file') {
+          label = `[${e.index + 1}/${e.total}]`;
+          const size = images[e.index].buffer.length;
+          console.log(`    ${label}: ${size} bytes, ${Math.ceil(size / CHUNK_SIZE)} chunk(s)`);
+        } else if (e.phase === 'retry') {
+          console.log(`  ⚠ ${label} ${e.label} attempt ${e.attempt} failed, retrying...`);
+        } else if (e.phase === 'mint') {
+          const totalSize = images.reduce((sum, img) => sum + img.buffer.length, 0);
+          console.log(`  Total image data: ${(totalSize / 1024).toFixed(1)}KB`);
+          console.log('\n📦 Phase 2: Minting NFT Container...');
+        } else if (e.phase === 'minted') {
+          console.log(`  ✅ Container ID: ${e.tokenId}, Gas: ${e.gasUsed}`);
+        }
+      },
+    }
+  );
 
-  console.log(`  ✅ Container ID: ${containerId}, Gas: ${receipt.gasUsed}`);
-  return containerId;
+  return { containerId, files };
 }
 
 // ============================================================================
 // NFT Collection Deployment
 // ============================================================================
 
-async function deployCollection(wallet, provider, containerId, config) {
+async function deployCollection(sdk, wallet, provider, containerId, config) {
   console.log('\n🎨 Phase 3: Deploying NFT Collection...');
 
   const factory = new ethers.ContractFactory(NFT_ABI, NFT_BYTECODE, wallet);
@@ -353,7 +206,7 @@ async function deployCollection(wallet, provider, containerId, config) {
 
   // Estimate gas for the large contract deployment
   const dataBytes = Math.floor(deployTx.data.length / 2);
-  deployTx.gasLimit = estimateChunkGasLimit(dataBytes);
+  deployTx.gasLimit = sdk.estimateChunkGasLimit(dataBytes);
   console.log(`  Deploy data: ${dataBytes} bytes, gasLimit: ${deployTx.gasLimit}`);
 
   const tx = await wallet.sendTransaction(deployTx);
@@ -416,6 +269,7 @@ async function registerToDB(nftAddress, containerId, ownerAddress, config) {
 // ============================================================================
 
 async function deploy(privateKey, images, config) {
+  const sdk = await loadSdk();
   const provider = new ethers.JsonRpcProvider(RPC_URL, CHAIN_ID);
   const wallet = new ethers.Wallet(privateKey, provider);
 
@@ -432,26 +286,18 @@ async function deploy(privateKey, images, config) {
   console.log(`Balance:     ${ethers.formatEther(balance)} ETH`);
   if (balance === 0n) throw new Error('No ETH balance. You need real MegaETH ETH for mainnet deployment.');
 
-  await ensureGenesisKey(wallet);
+  const key = await sdk.ensureAccessKey(wallet, { genesisKey: GENESIS_KEY_ADDRESS, agentKey: RABBIT_AGENT_ADDRESS });
+  console.log(ACCESS_KEY_MESSAGES[key]);
 
-  // Phase 1: Deploy all images
-  console.log(`\n📸 Phase 1: Deploying ${images.length} image(s)...`);
-  const deployedImages = [];
-  for (let i = 0; i < images.length; i++) {
-    const img = images[i];
+  for (const img of images) {
     if (img.buffer.length > 500 * 1024) throw new Error(`Image ${img.originalPath} exceeds 500KB limit`);
-    const result = await deployImageData(wallet, provider, img.buffer, `[${i + 1}/${images.length}]`);
-    deployedImages.push({ ...result, containerPath: img.containerPath });
   }
 
-  const totalSize = deployedImages.reduce((sum, img) => sum + img.totalSize, 0);
-  console.log(`  Total image data: ${(totalSize / 1024).toFixed(1)}KB`);
-
-  // Phase 2: Mint container
-  const containerId = await mintContainer(wallet, deployedImages);
+  // Phase 1 + 2: Deploy all images and mint the container
+  const { containerId } = await deployImages(sdk, wallet, images);
 
   // Phase 3: Deploy NFT collection
-  const nftAddress = await deployCollection(wallet, provider, containerId, config);
+  const nftAddress = await deployCollection(sdk, wallet, provider, containerId, config);
 
   // Phase 4: Register to DB
   await registerToDB(nftAddress, containerId, wallet.address, config);
@@ -0,0 +1,369 @@
+/**
+ * Warren SDK - Writer
+ *
+ * Deploys content on-chain: splits it into Page contracts (SSTORE2), builds
+ * the fractal tree over the chunk addresses, and registers the root with
+ * MasterNFT (single files) or WarrenContainer (multi-file sites).
+ *
+ * Takes any ethers v6-compatible signer: signer.getAddress(),
+ * signer.sendTransaction() returning a response with wait(), and
+ * signer.provider with getTransactionCount(), getCode() and call().
+ * Calldata is ABI-encoded here, so the SDK itself has no dependencies.
+ */
+
+import { CONFIG } from "./config.js";
+import { keccak256 } from "./keccak256.js";
+import { PAGE_BYTECODE } from "./page-bytecode.js";
+
+export const CHUNK_SIZE = 15000;  // bytes per leaf Page
+export const GROUP_SIZE = 500;    // child addresses per tree node
+
+export const GENESIS_KEY_ADDRESS = "0x0d7BB250fc06f0073F0882E3Bf56728A948C5a88";
+export const RABBIT_AGENT_ADDRESS = "0x3f0CAbd6AB0a318f67aAA7af5F774750ec2461f2";
+
+const DEPLOY_BATCH_SIZE = 5; // Page deployments in flight, on consecutive nonces
+const RETRY_MAX = 3;
+const RETRY_DELAY = 2000;
+const MINT_GAS_LIMIT = 100_000_000n;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+const TRANSFER_TOPIC = "0x" + keccak256("Transfer(address,address,uint256)");
+const MINT_SELECTOR = selector("mint(address,address,uint8,uint256,uint8)");
+const MINT_SITE_SELECTOR = selector("mintSite(address,uint8,(string,address,uint32,uint8)[])");
+const BALANCE_OF_SELECTOR = selector("balanceOf(address)");
+const KEY_MINT_SELECTOR = selector("mint()");
+
+// ============================================================================
+// MegaETH Multidimensional Gas Model (ported from Warren's megaeth-gas.ts)
+// ============================================================================
+
+const MEGAETH_GAS = {
+  INTRINSIC_COMPUTE: 21_000n,
+  INTRINSIC_STORAGE: 39_000n,
+  CONTRACT_CREATION_COMPUTE: 32_000n,
+  CODE_DEPOSIT_PER_BYTE: 10_000n,
+  CALLDATA_ZERO_PER_BYTE: 40n,
+  CALLDATA_NONZERO_PER_BYTE: 160n,
+  EIP7623_FLOOR_ZERO_PER_BYTE: 100n,
+  EIP7623_FLOOR_NONZERO_PER_BYTE: 400n,
+  SSTORE2_COMPUTE_ESTIMATE: 700_000n,
+  PAGE_BYTECODE_OVERHEAD: 100n,
+};
+
+const MAX_GAS_PER_TX = 200_000_000n;
+// SSTORE2 actual compute cost is much higher than the model estimate
+const MIN_GAS = 10_000_000n;
+
+/**
+ * Gas limit for deploying `chunkSizeBytes` of contract data
+ * (model estimate + 50%, floored at 10M, capped at the 200M tx limit)
+ */
+export function estimateChunkGasLimit(chunkSizeBytes) {
+  const dataSize = BigInt(chunkSizeBytes) + MEGAETH_GAS.PAGE_BYTECODE_OVERHEAD;
+
+  // Compute gas
+  const computeGas = MEGAETH_GAS.INTRINSIC_COMPUTE
+    + MEGAETH_GAS.CONTRACT_CREATION_COMPUTE
+    + MEGAETH_GAS.SSTORE2_COMPUTE_ESTIMATE;
+
+  // Storage gas
+  const codeDeposit = dataSize * MEGAETH_GAS.CODE_DEPOSIT_PER_BYTE;
+  const nonZeroBytes = BigInt(Math.floor(chunkSizeBytes * 0.8));
+  const zeroBytes = BigInt(chunkSizeBytes) - nonZeroBytes;
+
+  const calldataRegular = zeroBytes * MEGAETH_GAS.CALLDATA_ZERO_PER_BYTE
+    + nonZeroBytes * MEGAETH_GAS.CALLDATA_NONZERO_PER_BYTE;
+  const calldataFloor = zeroBytes * MEGAETH_GAS.EIP7623_FLOOR_ZERO_PER_BYTE
+    + nonZeroBytes * MEGAETH_GAS.EIP7623_FLOOR_NONZERO_PER_BYTE;
+  const calldata = calldataRegular > calldataFloor ? calldataRegular : calldataFloor;
+
+  const storageGas = MEGAETH_GAS.INTRINSIC_STORAGE + codeDeposit + calldata;
+
+  const total = computeGas + storageGas;
+  const withBuffer = (total * 150n) / 100n;
+  const gasLimit = withBuffer < MIN_GAS ? MIN_GAS : withBuffer;
+  return gasLimit < MAX_GAS_PER_TX ? gasLimit : MAX_GAS_PER_TX;
+}
+
+// ============================================================================
+// Fractal Tree
+// ============================================================================
+
+/**
+ * Split content into leaf-sized pieces (views, not copies)
+ */
+export function chunkContent(content, size = CHUNK_SIZE) {
+  const bytes = toBytes(content);
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += size) {
+    chunks.push(bytes.subarray(i, Math.min(i + size, bytes.length)));
+  }
+  return chunks;
+}
+
+/**
+ * Deploy content as a fractal tree without registering it anywhere.
+ * options: { chunkSize, groupSize, onProgress }
+ * Returns { rootChunk, depth, totalSize }.
+ */
+export async function deployTree(signer, content, options = {}) {
+  const { chunkSize = CHUNK_SIZE, groupSize = GROUP_SIZE, onProgress } = options;
+  const bytes = toBytes(content);
+  if (bytes.length === 0) throw new Error("Cannot deploy empty content");
+
+  const chunks = chunkContent(bytes, chunkSize);
+  if (onProgress) onProgress({ phase: "chunks", deployed: 0, total: chunks.length });
+
+  let level = await deployPages(signer, chunks, (i) => `Chunk ${i + 1}/${chunks.length}`, (deployed, address) => {
+    if (onProgress) onProgress({ phase: "chunks", deployed, total: chunks.length, address });
+  }, onProgress);
+
+  let depth = 0;
+  while (level.length > 1) {
+    depth++;
+    const nodes = [];
+    for (let i = 0; i < level.length; i += groupSize) {
+      nodes.push(hexToBytes(level.slice(i, i + groupSize).map(a => a.slice(2)).join("")));
+    }
+
+    const d = depth;
+    if (onProgress) onProgress({ phase: "tree", depth: d, deployed: 0, total: nodes.length });
+    level = await deployPages(signer, nodes, (i) => `Node D${d}-${i + 1}/${nodes.length}`, (deployed, address) => {
+      if (onProgress) onProgress({ phase: "tree", depth: d, deployed, total: nodes.length, address });
+    }, onProgress);
+  }
+
+  return { rootChunk: level[0], depth, totalSize: bytes.length };
+}
+
+/**
+ * Deploy Page contracts in batches on consecutive nonces; addresses keep
+ * input order. onDeployed(count, address) fires per confirmed Page.
+ */
+async function deployPages(signer, contents, label, onDeployed, onProgress) {
+  const from = await signer.getAddress();
+  const addresses = new Array(contents.length);
+  let deployed = 0;
+
+  for (let start = 0; start < contents.length; start += DEPLOY_BATCH_SIZE) {
+    const batch = contents.slice(start, start + DEPLOY_BATCH_SIZE);
+    const baseNonce = await signer.provider.getTransactionCount(from, "latest");
+
+    await Promise.all(batch.map(async (content, idx) => {
+      await sleep(idx * 50);
+      const i = start + idx;
+      addresses[i] = await deployPage(signer, content, baseNonce + idx, label(i), onProgress);
+      onDeployed(++deployed, addresses[i]);
+    }));
+
+    if (start + DEPLOY_BATCH_SIZE < contents.length) await sleep(300);
+  }
+
+  return addresses;
+}
+
+async function deployPage(signer, content, nonce, label, onProgress) {
+  return withRetry(async () => {
+    const tx = await signer.sendTransaction({
+      data: PAGE_BYTECODE + encodeBytes(content),
+      gasLimit: estimateChunkGasLimit(content.length),
+      nonce,
+    });
+    const receipt = await tx.wait();
+    const code = await signer.provider.getCode(receipt.contractAddress);
+    if (!code || code.length <= 2) throw new Error(`${label}: verification failed`);
+    return receipt.contractAddress;
+  }, label, onProgress);
+}
+
+// ============================================================================
+// Registration
+// ============================================================================
+
+/**
+ * Deploy content and mint it as a MasterNFT site.
+ * options: { siteType = 0, registry, to, chunkSize, groupSize, onProgress }
+ * Returns { tokenId, rootChunk, depth, totalSize }.
+ */
+export async function deployContent(signer, content, options = {}) {
+  const { siteType = 0, registry = CONFIG.MASTER_NFT_ADDRESS, onProgress } = options;
+  const to = options.to || await signer.getAddress();
+
+  const tree = await deployTree(signer, content, options);
+
+  if (onProgress) onProgress({ phase: "mint" });
+  const data = MINT_SELECTOR
+    + encodeAddress(to)
+    + encodeAddress(tree.rootChunk)
+    + word(tree.depth)
+    + word(tree.totalSize)
+    + word(siteType);
+  const { tokenId, gasUsed } = await sendMint(signer, registry, data);
+  if (onProgress) onProgress({ phase: "minted", tokenId, gasUsed });
+
+  return { tokenId, ...tree };
+}
+
+/**
+ * Deploy several files and mint them as one WarrenContainer site.
+ * files: [{ path, data }] (paths start with "/")
+ * options: { siteType = 1, container, to, chunkSize, groupSize, onProgress }
+ * Returns { containerId, files: [{ path, chunk, size, depth }] }.
+ */
+export async function deployContainer(signer, files, options = {}) {
+  const { siteType = 1, container = CONFIG.WARREN_CONTAINER_ADDRESS, onProgress } = options;
+  const to = options.to || await signer.getAddress();
+  if (files.length === 0) throw new Error("Container needs at least one file");
+
+  const entries = [];
+  for (let i = 0; i < files.length; i++) {
+    const { path, data } = files[i];
+    if (!path.startsWith("/")) throw new Error(`Container paths must start with "/": ${path}`);
+    if (onProgress) onProgress({ phase: "file", path, index: i, total: files.length });
+
+    const tree = await deployTree(signer, data, options);
+    entries.push({ path, chunk: tree.rootChunk, size: tree.totalSize, depth: tree.depth });
+  }
+
+  if (onProgress) onProgress({ phase: "mint" });
+  const data = MINT_SITE_SELECTOR
+    + encodeAddress(to)
+    + word(siteType)
+    + word(0x60)
+    + encodeFileEntries(entries);
+  const { tokenId, gasUsed } = await sendMint(signer, container, data);
+  if (onProgress) onProgress({ phase: "minted", tokenId, gasUsed });
+
+  return { containerId: tokenId, files: entries };
+}
+
+/**
+ * Send a mint transaction; the token ID comes from the ERC-721 Transfer log
+ */
+async function sendMint(signer, contract, data) {
+  const tx = await signer.sendTransaction({ to: contract, data, gasLimit: MINT_GAS_LIMIT });
+  const receipt = await tx.wait();
+  if (receipt.status === 0) throw new Error(`Mint reverted (gasUsed: ${receipt.gasUsed})`);
+
+  const log = receipt.logs.find(l =>
+    l.address?.toLowerCase() === contract.toLowerCase() && l.topics?.[0] === TRANSFER_TOPIC
+  );
+  const tokenId = log?.topics?.[3] ? Number(BigInt(log.topics[3])) : null;
+  return { tokenId, gasUsed: receipt.gasUsed };
+}
+
+// ============================================================================
+// Genesis Access
+// ============================================================================
+
+/**
+ * Make sure the signer holds a Warren access key, minting the free
+ * 0xRabbit.agent key if it holds neither.
+ * options: { genesisKey, agentKey }
+ * Returns "genesis", "agent" or "minted".
+ */
+export async function ensureAccessKey(signer, options = {}) {
+  const { genesisKey = GENESIS_KEY_ADDRESS, agentKey = RABBIT_AGENT_ADDRESS } = options;
+  const owner = await signer.getAddress();
+
+  if (await balanceOf(signer.provider, genesisKey, owner) > 0n) return "genesis";
+
+  if (!agentKey || agentKey === ZERO_ADDRESS) {
+    throw new Error("No Genesis Key found and RABBIT_AGENT_ADDRESS is not configured.");
+  }
+  if (await balanceOf(signer.provider, agentKey, owner) > 0n) return "agent";
+
+  const tx = await signer.sendTransaction({ to: agentKey, data: KEY_MINT_SELECTOR, gasLimit: 500_000n });
+  await tx.wait();
+  return "minted";
+}
+
+async function balanceOf(provider, token, owner) {
+  const result = await provider.call({ to: token, data: BALANCE_OF_SELECTOR + encodeAddress(owner) });
+  return result && result !== "0x" ? BigInt(result) : 0n;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function isRetryable(e) {
+  const msg = (e.message || "").toLowerCase();
+  return msg.includes("rate") || msg.includes("429") || msg.includes("timeout") || msg.includes("nonce") || e.code === -32022;
+}
+
+async function withRetry(fn, label, onProgress) {
+  for (let i = 1; i <= RETRY_MAX; i++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (!isRetryable(e) || i === RETRY_MAX) throw e;
+      if (onProgress) onProgress({ phase: "retry", label, attempt: i, error: e.message });
+      await sleep(RETRY_DELAY * i);
+    }
+  }
+}
+
+function toBytes(content) {
+  if (typeof content === "string") return new TextEncoder().encode(content);
+  if (content instanceof Uint8Array) return content;
+  if (content instanceof ArrayBuffer) return new Uint8Array(content);
+  throw new Error("Content must be a string, Uint8Array or ArrayBuffer");
+}
+
+function selector(signature) {
+  return "0x" + keccak256(signature).slice(0, 8);
+}
+
+function word(n) {
+  return BigInt(n).toString(16).padStart(64, "0");
+}
+
+function encodeAddress(address) {
+  return address.toLowerCase().replace(/^0x/, "").padStart(64, "0");
+}
+
+function bytesToHex(bytes) {
+  let hex = "";
+  for (let i = 0; i < bytes.length; i++) hex += bytes[i].toString(16).padStart(2, "0");
+  return hex;
+}
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < hex.length; i += 2) {
+    bytes[i / 2] = parseInt(hex.slice(i, i + 2), 16);
+  }
+  return bytes;
+}
+
+// Length-prefixed, zero-padded tail of a `bytes`/`string` value
+function encodeTail(bytes) {
+  const hex = bytesToHex(bytes);
+  return word(bytes.length) + hex.padEnd(Math.ceil(hex.length / 64) * 64, "0");
+}
+
+// A lone `bytes` argument (Page constructor)
+function encodeBytes(bytes) {
+  return word(32) + encodeTail(bytes);
+}
+
+// (string path, address chunk, uint32 size, uint8 depth)[]
+function encodeFileEntries(entries) {
+  const tuples = entries.map(({ path, chunk, size, depth }) =>
+    word(0x80) + encodeAddress(chunk) + word(size) + word(depth) + encodeTail(new TextEncoder().encode(path))
+  );
+
+  let offset = tuples.length * 32;
+  const heads = tuples.map((tuple) => {
+    const head = word(offset);
+    offset += tuple.length / 2;
+    return head;
+  });
+
+  return word(tuples.length) + heads.join("") + tuples.join("");
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
@@ -2,6 +2,7 @@
 set -euo pipefail
 # Warren NFT Deploy - Quick Setup
 cd "$(dirname "$0")"
+
 npm init -y > /dev/null 2>&1
 npm install ethers
 echo ""